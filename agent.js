@@ -0,0 +1,322 @@
+#!/usr/bin/env node
+/*
+Node agent: runs on every playback machine (the master too) and looks after
+its player, so the control server can bring up the whole rig (see rig.js).
+- `node agent.js` finds its node in config.json by the machine's addresses
+  (or the node marked "local"); `--node <id>` names it.
+- Starts the player with its control interface switched on: VLC with the
+  HTTP interface on the node's port and password, mpv with its IPC socket
+  (the node's `ipc`), fullscreen if launch.fullscreen. Simulated nodes have
+  nothing to start.
+- A started player is "ready" once it answers a status request the way the
+  control server will ask it (driver, port and password), within
+  launch.readyTimeoutMs; one that does not is stopped and "failed".
+- A ready player that exits is started again after launch.restartDelayMs.
+- HTTP on launch.agentPort (or the node's agentPort), with agentToken from
+  secrets.json as a bearer token:
+    GET  /status                 the agent and its player
+    POST /player/start|stop|restart
+  start and restart answer once the player is ready or has failed.
+- The agent starts the player when it starts and stops it when it exits.
+*/
+
+const os = require("os");
+const crypto = require("crypto");
+const { spawn } = require("child_process");
+const express = require("express");
+const { getConfig } = require("./config");
+const { getNodes } = require("./nodes");
+const { getAgentToken } = require("./secrets");
+const { createDriver } = require("./drivers");
+
+const READY_POLL_MS = 250;
+const KILL_TIMEOUT_MS = 5000;
+const PLAYER_ACTIONS = ["start", "stop", "restart"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Helper: Log a line with the time, like the agent's player output around it
+function say(message) {
+  console.log(`${new Date().toISOString()} ${message}`);
+}
+
+// The node this machine plays: `id`, or the node with one of this machine's
+// addresses, or the "local" node
+function findOwnNode(id) {
+  const nodes = getNodes();
+  if (id) {
+    const node = nodes.find((n) => n.id === id);
+    if (!node) throw new Error(`No node "${id}" in config.json.`);
+    return node;
+  }
+  const addresses = Object.values(os.networkInterfaces())
+    .flat()
+    .map((entry) => entry.address);
+  const node =
+    nodes.find((n) => addresses.includes(n.host)) || nodes.find((n) => n.local);
+  if (!node) {
+    throw new Error("No node in config.json has this machine's address.");
+  }
+  return node;
+}
+
+// The program and arguments that start node's player, or null for a driver
+// with nothing to start
+function playerCommandLine(node, launch = getConfig().launch) {
+  if (node.driver === "simulated") return null;
+  const [program, ...args] = (
+    node.playerCommand || launch[`${node.driver}Command`]
+  )
+    .split(/\s+/)
+    .filter(Boolean);
+  if (node.driver === "vlc") {
+    args.push(
+      "--extraintf",
+      "http",
+      "--http-port",
+      String(node.port),
+      "--http-password",
+      node.password,
+      "--no-video-title-show"
+    );
+    if (launch.fullscreen) args.push("--fullscreen");
+  } else if (node.driver === "mpv") {
+    if (!node.ipc) {
+      throw new Error(
+        `Node ${node.id} reaches mpv through a TCP bridge; the agent can only start mpv with an ipc socket.`
+      );
+    }
+    args.push("--idle=yes", "--force-window=yes");
+    args.push(`--input-ipc-server=${node.ipc}`);
+    if (launch.fullscreen) args.push("--fullscreen");
+  }
+  return { program, args };
+}
+
+// An agent for `node` (from the registry, with its password)
+function createAgent(node) {
+  // The agent asks the player on this machine, the way the control server will
+  const driver = createDriver({ ...node, host: "127.0.0.1" });
+  const startedAt = new Date().toISOString();
+  let child = null;
+  let starting = null; // Promise of the start in progress
+  let restartTimer = null;
+  let player = {
+    state: "stopped", // stopped, starting, ready, failed, restarting
+    pid: null,
+    since: startedAt,
+    restarts: 0,
+    error: null,
+    lastCrash: null, // { at, error } of the last time it exited on its own
+  };
+
+  function setPlayer(changes) {
+    player = { ...player, since: new Date().toISOString(), ...changes };
+    say(`Player ${player.state}${player.error ? `: ${player.error}` : ""}`);
+  }
+
+  // Helper: Resolve once the player answers, or throw when it exits or the
+  // time runs out
+  async function waitReady(proc) {
+    const { readyTimeoutMs } = getConfig().launch;
+    const deadline = Date.now() + readyTimeoutMs;
+    let lastError = null;
+    while (Date.now() < deadline) {
+      if (proc.exitCode !== null || proc.signalCode !== null) {
+        throw new Error(
+          `The player exited while starting (${
+            proc.exitCode !== null ? `code ${proc.exitCode}` : proc.signalCode
+          }).`
+        );
+      }
+      try {
+        await driver.getStatus();
+        return;
+      } catch (err) {
+        lastError = err;
+      }
+      await sleep(READY_POLL_MS);
+    }
+    throw new Error(
+      `The player did not answer within ${readyTimeoutMs / 1000}s${
+        lastError ? ` (${lastError.message})` : ""
+      }.`
+    );
+  }
+
+  // Helper: After a ready player exits on its own, start it again
+  function exited(proc, code, signal) {
+    if (proc !== child) return;
+    child = null;
+    if (player.state !== "ready") return;
+    const { restartDelayMs } = getConfig().launch;
+    const error = `The player exited (${
+      code !== null ? `code ${code}` : signal
+    }).`;
+    setPlayer({
+      state: "restarting",
+      pid: null,
+      restarts: player.restarts + 1,
+      error,
+      lastCrash: { at: new Date().toISOString(), error },
+    });
+    restartTimer = setTimeout(() => {
+      restartTimer = null;
+      start();
+    }, restartDelayMs);
+  }
+
+  async function launch() {
+    const commandLine = playerCommandLine(node);
+    if (!commandLine) {
+      setPlayer({ state: "ready", pid: null, error: null });
+      return;
+    }
+    const proc = spawn(commandLine.program, commandLine.args, {
+      stdio: ["ignore", "inherit", "inherit"],
+    });
+    child = proc;
+    proc.on("exit", (code, signal) => exited(proc, code, signal));
+    // A missing program: "exit" may not follow, so end the wait here
+    const spawnFailed = new Promise((resolve, reject) =>
+      proc.once("error", (err) => {
+        if (proc === child) child = null;
+        reject(
+          new Error(`Cannot start ${commandLine.program}: ${err.message}`)
+        );
+      })
+    );
+    spawnFailed.catch(() => {}); // Only the race below listens
+    setPlayer({ state: "starting", pid: proc.pid || null, error: null });
+    try {
+      await Promise.race([waitReady(proc), spawnFailed]);
+      setPlayer({ state: "ready" });
+    } catch (err) {
+      await kill(proc);
+      setPlayer({ state: "failed", pid: null, error: err.message });
+    }
+  }
+
+  // Helper: End `proc` (SIGTERM, then SIGKILL); resolves once it has exited
+  function kill(proc) {
+    if (proc === child) child = null;
+    if (proc.exitCode !== null || proc.signalCode !== null || !proc.pid) {
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => proc.kill("SIGKILL"), KILL_TIMEOUT_MS);
+      proc.once("exit", () => {
+        clearTimeout(timer);
+        resolve();
+      });
+      proc.kill("SIGTERM");
+    });
+  }
+
+  // Start the player unless it is running; resolves to the status once it
+  // is ready or has failed
+  async function start() {
+    if (!starting && player.state !== "ready") {
+      clearTimeout(restartTimer);
+      restartTimer = null;
+      starting = launch().finally(() => {
+        starting = null;
+      });
+    }
+    await starting;
+    return getStatus();
+  }
+
+  async function stop() {
+    if (starting) await starting;
+    clearTimeout(restartTimer);
+    restartTimer = null;
+    if (child) await kill(child);
+    if (player.state !== "stopped") {
+      setPlayer({ state: "stopped", pid: null, error: null });
+    }
+    return getStatus();
+  }
+
+  async function restart() {
+    await stop();
+    return start();
+  }
+
+  function getStatus() {
+    return {
+      node: node.id,
+      label: node.label,
+      driver: node.driver,
+      agent: { pid: process.pid, startedAt },
+      player,
+    };
+  }
+
+  return { start, stop, restart, getStatus };
+}
+
+// Helper: Whether `header` carries the agent token
+function authorized(header = "") {
+  const expected = Buffer.from(`Bearer ${getAgentToken()}`);
+  const given = Buffer.from(header);
+  return (
+    given.length === expected.length && crypto.timingSafeEqual(given, expected)
+  );
+}
+
+// The agent's HTTP interface for `agent`
+function createAgentApp(agent) {
+  const app = express();
+  app.use((req, res, next) => {
+    if (!authorized(req.get("Authorization"))) {
+      return res.status(401).json({ error: "Wrong or missing agent token." });
+    }
+    next();
+  });
+  app.get("/status", (req, res) => {
+    res.json(agent.getStatus());
+  });
+  app.post("/player/:action", async (req, res) => {
+    const { action } = req.params;
+    if (!PLAYER_ACTIONS.includes(action)) {
+      return res.status(404).json({ error: `No player action "${action}".` });
+    }
+    res.json(await agent[action]());
+  });
+  app.use((req, res) => {
+    res.status(404).json({ error: "No such endpoint." });
+  });
+  return app;
+}
+
+module.exports = {
+  PLAYER_ACTIONS,
+  findOwnNode,
+  playerCommandLine,
+  createAgent,
+  createAgentApp,
+};
+
+if (require.main === module) {
+  const index = process.argv.indexOf("--node");
+  let node;
+  try {
+    node = findOwnNode(index === -1 ? null : process.argv[index + 1]);
+    if (!getAgentToken()) {
+      throw new Error("Set agentToken in secrets.json first.");
+    }
+  } catch (err) {
+    console.error(err.message);
+    process.exit(1);
+  }
+  const agent = createAgent(node);
+  const port = node.agentPort || getConfig().launch.agentPort;
+  createAgentApp(agent).listen(port, () => {
+    say(`Agent for node ${node.id} listening on port ${port}`);
+    agent.start();
+  });
+  ["SIGINT", "SIGTERM"].forEach((signal) =>
+    process.on(signal, () => agent.stop().then(() => process.exit(0)))
+  );
+}
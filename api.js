@@ -0,0 +1,1435 @@
+/*
+REST API v1, mounted at /api/v1 by control.js, for scripts and hardware
+controllers (Stream Deck and the like).
+- Every route is one entry in ROUTES: method, path, the role it needs and
+  the schemas of its path, query and body. The same table drives the
+  request checks and the OpenAPI document at /api/v1/openapi.json.
+- Routes that drive the show turn into the same command bodies /control
+  takes and run through the command queue, so both APIs behave alike.
+- A route answers with JSON unless it has its own respond(res, result,
+  request), like the CSV session report.
+- Answers use HTTP status codes: 400 for a request that does not match its
+  schema, 401/403 for logins and roles, 404 for an unknown resource, 409
+  when the show's state (or the queue) does not allow it, 422 for files a
+  node does not have and 502 when no player answered. Errors are
+  { error, details?, nodes? }.
+*/
+
+const express = require("express");
+const { readLogs } = require("./log");
+const { getNodes } = require("./nodes");
+const { readPaths } = require("./paths");
+const auth = require("./auth");
+const config = require("./config");
+const commands = require("./commands");
+const cues = require("./cues");
+const health = require("./health");
+const library = require("./library");
+const audio = require("./audio");
+const playlist = require("./playlist");
+const presets = require("./presets");
+const rig = require("./rig");
+const arm = require("./arm");
+const sessions = require("./sessions");
+const schedule = require("./schedule");
+const showState = require("./showState");
+const statusMonitor = require("./statusMonitor");
+const syncEngine = require("./syncEngine");
+const syncedStart = require("./syncedStart");
+const { formatTimecode } = require("./timecode");
+
+const API_VERSION = "1.0.0";
+
+// Schemas (the JSON Schema subset checkRequest() understands)
+const PLAY_OPTION = {
+  type: "object",
+  properties: {
+    play: {
+      type: "boolean",
+      description: "true starts the item, false holds it on its first frame",
+    },
+  },
+  additionalProperties: false,
+};
+const CUE = {
+  type: "object",
+  required: ["at", "command"],
+  properties: {
+    id: { type: "string" },
+    at: {
+      type: ["number", "string"],
+      description: 'Seconds, "MM:SS", "HH:MM:SS" or "end"',
+    },
+    command: { type: "string", enum: cues.CUE_COMMANDS },
+    args: { type: "object", description: "Arguments of the command" },
+    label: { type: "string" },
+  },
+  additionalProperties: false,
+};
+const SCHEDULE_ENTRY = {
+  type: "object",
+  required: ["steps"],
+  properties: {
+    id: { type: "string" },
+    label: { type: "string" },
+    enabled: { type: "boolean" },
+    at: { type: "string", description: "A date and time, for one run" },
+    cron: {
+      type: "string",
+      description:
+        'minute hour day-of-month month day-of-week, e.g. "0 6 * * *"',
+    },
+    steps: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["command"],
+        properties: {
+          command: { type: "string", enum: schedule.SCHEDULE_COMMANDS },
+        },
+      },
+      description: "/control command bodies, sent in order",
+    },
+  },
+  additionalProperties: false,
+};
+const TRIM_POINT = { type: ["number", "null"], minimum: 0 };
+const PLAYLIST_ITEM = {
+  type: "object",
+  properties: {
+    title: { type: "string" },
+    file: { type: "string", description: "The same file on every node" },
+    files: {
+      type: "object",
+      additionalProperties: { type: "string" },
+      description: "Node id -> file",
+    },
+    start: TRIM_POINT,
+    end: TRIM_POINT,
+    cues: { type: "array", items: CUE },
+  },
+  additionalProperties: false,
+};
+const SYNC_SETTINGS = {
+  type: "object",
+  properties: {
+    intervalMs: { type: "number", minimum: 250 },
+    nudgeThreshold: { type: "number", minimum: 0 },
+    seekThreshold: { type: "number", minimum: 0 },
+    nudgeGain: { type: "number", minimum: 0 },
+    maxNudge: { type: "number", minimum: 0 },
+  },
+  additionalProperties: false,
+};
+const ITEM_INDEX = { type: "integer", minimum: 0, description: "From 0" };
+
+const SCHEMAS = {
+  Error: {
+    type: "object",
+    required: ["error"],
+    properties: {
+      error: { type: "string" },
+      details: { type: "array", items: { type: "string" } },
+      nodes: {
+        type: "array",
+        items: { $ref: "#/components/schemas/NodeResult" },
+      },
+    },
+  },
+  NodeResult: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      label: { type: "string" },
+      ok: { type: "boolean" },
+      detail: {},
+      error: { type: "string" },
+    },
+  },
+  CommandResult: {
+    type: "object",
+    required: ["message"],
+    properties: {
+      message: { type: "string" },
+      warning: { type: "string" },
+      nodes: {
+        type: "array",
+        items: { $ref: "#/components/schemas/NodeResult" },
+      },
+    },
+  },
+  Show: {
+    type: "object",
+    properties: {
+      state: { type: "string", enum: showState.STATES },
+      previous: { type: ["string", "null"] },
+      since: { type: "number" },
+      command: { type: ["string", "null"] },
+      position: { type: ["number", "null"] },
+      recovered: { type: "boolean" },
+    },
+  },
+  Position: {
+    type: "object",
+    properties: {
+      reference: { type: ["string", "null"] },
+      state: { type: ["string", "null"] },
+      time: { type: ["number", "null"] },
+      timecode: { type: ["string", "null"], description: "HH:MM:SS:FF" },
+      length: { type: ["number", "null"] },
+      frameRate: { type: "number" },
+      maxDrift: { type: ["number", "null"] },
+      nodes: { type: "array", items: { type: "object" } },
+    },
+  },
+  ArmCheck: {
+    type: "object",
+    properties: {
+      check: {
+        type: ["object", "null"],
+        properties: {
+          ready: { type: "boolean" },
+          checkedAt: { type: "string" },
+          nodes: {
+            type: "array",
+            items: {
+              type: "object",
+              properties: {
+                id: { type: "string" },
+                label: { type: "string" },
+                ok: { type: "boolean" },
+                latencyMs: { type: ["integer", "null"] },
+                length: { type: ["number", "null"] },
+                checks: {
+                  type: "array",
+                  items: {
+                    type: "object",
+                    properties: {
+                      name: {
+                        type: "string",
+                        enum: [
+                          "reachable",
+                          "latency",
+                          "file",
+                          "loaded",
+                          "length",
+                          "frame0",
+                          "fullscreen",
+                          "lengthMatch",
+                        ],
+                      },
+                      ok: { type: ["boolean", "null"] },
+                      detail: { type: "string" },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  Rig: {
+    type: "object",
+    properties: {
+      nodes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            id: { type: "string" },
+            label: { type: "string" },
+            agent: {
+              type: "string",
+              enum: ["online", "offline", "error", "none"],
+            },
+            player: {
+              type: ["object", "null"],
+              properties: {
+                state: {
+                  type: "string",
+                  enum: [
+                    "stopped",
+                    "starting",
+                    "ready",
+                    "failed",
+                    "restarting",
+                  ],
+                },
+                pid: { type: ["integer", "null"] },
+                since: { type: "string" },
+                restarts: { type: "integer" },
+                error: { type: ["string", "null"] },
+                lastCrash: { type: ["object", "null"] },
+              },
+            },
+            error: { type: ["string", "null"] },
+          },
+        },
+      },
+    },
+  },
+  Schedule: {
+    type: "object",
+    properties: {
+      entries: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            ...SCHEDULE_ENTRY.properties,
+            at: { type: ["string", "null"] },
+            cron: { type: ["string", "null"] },
+            nextRunAt: { type: ["string", "null"] },
+            lastRun: {
+              type: ["object", "null"],
+              properties: {
+                at: { type: "string" },
+                dueAt: { type: "string" },
+                ok: { type: "boolean" },
+                error: { type: ["string", "null"] },
+                late: { type: "boolean" },
+              },
+            },
+          },
+        },
+      },
+    },
+  },
+  Sessions: {
+    type: "object",
+    properties: {
+      sessions: {
+        type: "array",
+        items: { $ref: "#/components/schemas/SessionSummary" },
+      },
+    },
+  },
+  SessionSummary: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      startedAt: { type: "string" },
+      endedAt: { type: ["string", "null"] },
+      preset: { type: "string" },
+      open: { type: "boolean" },
+      interrupted: { type: "boolean" },
+      durationSeconds: { type: "integer" },
+      items: { type: "array", items: { type: "string" } },
+      pauses: { type: "integer" },
+      speedChanges: { type: "integer" },
+      corrections: { type: "integer" },
+      nodeErrors: { type: "integer" },
+    },
+  },
+  Session: {
+    type: "object",
+    properties: {
+      id: { type: "string" },
+      startedAt: { type: "string" },
+      endedAt: { type: ["string", "null"] },
+      events: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            at: { type: "string" },
+            type: { type: "string" },
+            node: { type: "string" },
+          },
+        },
+      },
+      drift: { type: "array", items: { type: "object" } },
+    },
+  },
+  DriftSummary: {
+    type: "object",
+    properties: {
+      sessions: { type: "integer" },
+      nodes: {
+        type: "array",
+        items: {
+          type: "object",
+          properties: {
+            node: { type: "string" },
+            label: { type: "string" },
+            sessions: { type: "integer" },
+            corrections: { type: "integer" },
+            errors: { type: "integer" },
+            meanDrift: { type: ["number", "null"] },
+            maxDrift: { type: ["number", "null"] },
+          },
+        },
+      },
+    },
+  },
+  Audio: {
+    type: "object",
+    properties: {
+      volume: { type: "number" },
+      muted: { type: "boolean" },
+      nodes: { type: "array", items: { type: "object" } },
+    },
+  },
+  Speed: {
+    type: "object",
+    properties: {
+      speed: { type: ["number", "null"] },
+      presetSpeed: { type: "number" },
+      nodes: { type: "array", items: { type: "object" } },
+    },
+  },
+};
+
+// Helper: Throw an error that answers with `status`
+function fail(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  throw error;
+}
+
+function findNode(id) {
+  return (
+    getNodes().find((node) => node.id === id) || fail(404, "No such node.")
+  );
+}
+
+// Helper: A node with its health and the status from `snapshot`
+function describeNode(node, snapshot, files) {
+  const status = snapshot.nodes.find((entry) => entry.id === node.id);
+  return {
+    id: node.id,
+    label: node.label,
+    host: node.host,
+    port: node.port,
+    driver: node.driver,
+    local: node.local,
+    file: files[node.id] || "",
+    health: health.getNodeHealth(node.id) || null,
+    status: status || null,
+  };
+}
+
+// Every route: { name, method, path, summary, role, params, query, body,
+// response, and either command(req) -> /control body or handle(req) -> data }
+const ROUTES = [
+  {
+    name: "getShow",
+    method: "get",
+    path: "/show",
+    summary: "The show state the server keeps",
+    response: "Show",
+    handle: () => showState.getShowState(),
+  },
+  {
+    name: "play",
+    method: "post",
+    path: "/transport/play",
+    summary:
+      "Load the current files and play; `synced` starts every node on one instant, `startAt` (HH:MM:SS) schedules that start",
+    role: "operator",
+    body: {
+      type: "object",
+      properties: {
+        synced: { type: "boolean" },
+        startAt: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) =>
+      body.synced || body.startAt
+        ? { command: "syncedPlay", startAt: body.startAt }
+        : { command: "play" },
+  },
+  {
+    name: "cancelStart",
+    method: "post",
+    path: "/transport/cancel-start",
+    summary: "Cancel a scheduled synchronized start",
+    role: "operator",
+    command: () => ({ command: "cancelStart" }),
+  },
+  ...[
+    ["pause", "pause", "Pause every node at the latest position"],
+    ["resume", "resume", "Continue the show from its last known position"],
+    ["wake-up", "wakeUp", "Reload the files and start them together"],
+    [
+      "arm",
+      "arm",
+      "Load every node paused on frame 0 and check it is ready; never plays (409 with the checklist if not)",
+    ],
+    ["sync", "sync", "Bring every node to the leader's position once"],
+    ["fullscreen", "fullscreen", "Put every node in fullscreen"],
+  ].map(([segment, command, summary]) => ({
+    name: command,
+    method: "post",
+    path: `/transport/${segment}`,
+    summary,
+    role: "operator",
+    command: () => ({ command }),
+  })),
+  {
+    name: "stop",
+    method: "post",
+    path: "/transport/stop",
+    summary:
+      "Stop every node, fading out first if asked; cancels whatever command is running",
+    role: "operator",
+    body: {
+      type: "object",
+      properties: {
+        fadeSeconds: {
+          type: "number",
+          minimum: 0,
+          description: "Overrides audio.stopFadeSeconds",
+        },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "stop", fadeSeconds: body.fadeSeconds }),
+  },
+  {
+    name: "getPosition",
+    method: "get",
+    path: "/position",
+    summary: "The synchronized position and each node's drift",
+    response: "Position",
+    async handle() {
+      const snapshot = await statusMonitor.snapshot();
+      const reference = snapshot.nodes.find(
+        (node) => node.id === snapshot.reference
+      );
+      return {
+        reference: snapshot.reference,
+        state: reference ? reference.state : null,
+        time: reference ? reference.time : null,
+        timecode: reference
+          ? formatTimecode(reference.time, snapshot.frameRate)
+          : null,
+        length: reference ? reference.length : null,
+        frameRate: snapshot.frameRate,
+        maxDrift: snapshot.maxDrift,
+        nodes: snapshot.nodes.map(({ id, label, online, time, drift }) => ({
+          id,
+          label,
+          online,
+          time: online ? time : null,
+          drift: online ? drift : null,
+        })),
+      };
+    },
+  },
+  {
+    name: "seek",
+    method: "put",
+    path: "/position",
+    summary: "Seek every node to `seconds` or to `timecode`",
+    role: "operator",
+    body: {
+      type: "object",
+      properties: {
+        seconds: { type: "number", minimum: 0 },
+        timecode: { type: "string", description: "HH:MM:SS:FF" },
+      },
+      additionalProperties: false,
+    },
+    // /control takes the value as the UI's text field sends it
+    command: ({ body }) => ({
+      command: "seek",
+      seekValue:
+        body.timecode !== undefined ? body.timecode : String(body.seconds),
+    }),
+  },
+  {
+    name: "skip",
+    method: "post",
+    path: "/position/skip",
+    summary: "Skip forward or backward by `step` or control.skipSeconds",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["direction"],
+      properties: {
+        direction: { type: "string", enum: ["forward", "backward"] },
+        step: {
+          type: ["number", "string"],
+          description: "Seconds, or a timecode such as 00:00:00:01",
+        },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({
+      command: `skip_${body.direction}`,
+      step: body.step,
+    }),
+  },
+  {
+    name: "getSpeed",
+    method: "get",
+    path: "/speed",
+    summary: "The playback speed of every node and of the active preset",
+    response: "Speed",
+    async handle() {
+      const snapshot = await statusMonitor.snapshot();
+      const reference = snapshot.nodes.find(
+        (node) => node.id === snapshot.reference
+      );
+      return {
+        speed: reference ? reference.rate : null,
+        presetSpeed: presets.getActivePreset().speed,
+        nodes: snapshot.nodes.map(({ id, label, online, rate }) => ({
+          id,
+          label,
+          rate: online ? rate : null,
+        })),
+      };
+    },
+  },
+  {
+    name: "setSpeed",
+    method: "put",
+    path: "/speed",
+    summary: "Set the playback speed on every node",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["speed"],
+      properties: { speed: { type: "number", exclusiveMinimum: 0 } },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "setSpeed", speed: body.speed }),
+  },
+  {
+    name: "resetSpeed",
+    method: "delete",
+    path: "/speed",
+    summary: "Back to normal speed on every node",
+    role: "operator",
+    command: () => ({ command: "resetSpeed" }),
+  },
+  {
+    name: "getAudio",
+    method: "get",
+    path: "/audio",
+    summary: "Volume, mute and tracks of every node",
+    response: "Audio",
+    handle: () => audio.getAudio(),
+  },
+  {
+    name: "setVolume",
+    method: "put",
+    path: "/audio/volume",
+    summary: "Set the group volume, or one node's with `node`",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["volume"],
+      properties: {
+        volume: { type: "number", minimum: 0, description: "Percent" },
+        node: { type: "string" },
+        fadeSeconds: { type: "number", minimum: 0 },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "setVolume", ...body }),
+  },
+  {
+    name: "setMute",
+    method: "put",
+    path: "/audio/mute",
+    summary: "Mute or unmute the group, or one node with `node`",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["muted"],
+      properties: {
+        muted: { type: "boolean" },
+        node: { type: "string" },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "setMute", ...body }),
+  },
+  ...[
+    ["audio-track", "setAudioTrack", "Choose a node's audio track"],
+    ["subtitle-track", "setSubtitleTrack", "Choose a node's subtitles"],
+  ].map(([segment, command, summary]) => ({
+    name: command,
+    method: "put",
+    path: `/nodes/:id/${segment}`,
+    summary,
+    role: "operator",
+    params: { id: { type: "string" } },
+    body: {
+      type: "object",
+      required: ["track"],
+      properties: {
+        track: {
+          type: "integer",
+          minimum: -1,
+          description: "An id from GET /audio; -1 turns subtitles off",
+        },
+      },
+      additionalProperties: false,
+    },
+    command: ({ params, body }) => ({
+      command,
+      node: params.id,
+      track: body.track,
+    }),
+  })),
+  {
+    name: "listNodes",
+    method: "get",
+    path: "/nodes",
+    summary: "Every node with its file, health and player status",
+    async handle() {
+      const [snapshot, files] = [await statusMonitor.snapshot(), readPaths()];
+      return {
+        nodes: getNodes().map((node) => describeNode(node, snapshot, files)),
+      };
+    },
+  },
+  {
+    name: "getNode",
+    method: "get",
+    path: "/nodes/:id",
+    summary: "One node with its file, health and player status",
+    params: { id: { type: "string" } },
+    async handle({ params }) {
+      const node = findNode(params.id);
+      return describeNode(node, await statusMonitor.snapshot(), readPaths());
+    },
+  },
+  {
+    name: "getFiles",
+    method: "get",
+    path: "/files",
+    summary: "The file each node plays",
+    handle: () => ({ files: readPaths() }),
+  },
+  {
+    name: "saveFiles",
+    method: "put",
+    path: "/files",
+    summary:
+      "Set the file each node plays; refused (422) if a node does not have it",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["files"],
+      properties: {
+        files: {
+          type: "object",
+          additionalProperties: { type: "string", minLength: 1 },
+          description: "Node id -> file",
+        },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "savePaths", files: body.files }),
+  },
+  {
+    name: "getPlaylist",
+    method: "get",
+    path: "/playlist",
+    summary: "The running order and its current item",
+    handle: () => playlist.getPlaylist(),
+  },
+  {
+    name: "savePlaylist",
+    method: "put",
+    path: "/playlist",
+    summary: "Replace the running order",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["items"],
+      properties: {
+        items: { type: "array", items: PLAYLIST_ITEM },
+        autoAdvance: { type: "boolean" },
+      },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "savePlaylist", ...body }),
+  },
+  {
+    name: "setAutoAdvance",
+    method: "put",
+    path: "/playlist/auto-advance",
+    summary: "Turn auto-advance on or off",
+    role: "operator",
+    body: {
+      type: "object",
+      required: ["enabled"],
+      properties: { enabled: { type: "boolean" } },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({
+      command: "setAutoAdvance",
+      enabled: body.enabled,
+    }),
+  },
+  ...["next", "previous"].map((command) => ({
+    name: command,
+    method: "post",
+    path: `/playlist/${command}`,
+    summary: `Load the ${command} item`,
+    role: "operator",
+    body: PLAY_OPTION,
+    command: ({ body }) => ({ command, ...body }),
+  })),
+  {
+    name: "loadItem",
+    method: "post",
+    path: "/playlist/items/:index/load",
+    summary: "Load one item of the running order",
+    role: "operator",
+    params: { index: ITEM_INDEX },
+    body: PLAY_OPTION,
+    command: ({ params, body }) => ({
+      command: "jumpTo",
+      index: params.index,
+      ...body,
+    }),
+  },
+  {
+    name: "listCues",
+    method: "get",
+    path: "/playlist/items/:index/cues",
+    summary: "The cues of an item, with the ones still to come",
+    params: { index: ITEM_INDEX },
+    handle: ({ params }) => cues.getCues(params.index),
+  },
+  {
+    name: "addCue",
+    method: "post",
+    path: "/playlist/items/:index/cues",
+    summary: "Add a cue to an item",
+    role: "operator",
+    params: { index: ITEM_INDEX },
+    body: CUE,
+    command: ({ params, body }) => ({
+      command: "saveCue",
+      item: params.index,
+      cue: body,
+    }),
+  },
+  {
+    name: "saveCue",
+    method: "put",
+    path: "/playlist/items/:index/cues/:id",
+    summary: "Create or replace the cue with this id",
+    role: "operator",
+    params: { index: ITEM_INDEX, id: { type: "string" } },
+    body: CUE,
+    command: ({ params, body }) => ({
+      command: "saveCue",
+      item: params.index,
+      cue: { ...body, id: params.id },
+    }),
+  },
+  {
+    name: "deleteCue",
+    method: "delete",
+    path: "/playlist/items/:index/cues/:id",
+    summary: "Delete a cue",
+    role: "operator",
+    params: { index: ITEM_INDEX, id: { type: "string" } },
+    command: ({ params }) => ({
+      command: "deleteCue",
+      item: params.index,
+      id: params.id,
+    }),
+  },
+  {
+    name: "listPresets",
+    method: "get",
+    path: "/presets",
+    summary: "All presets and the name of the active one",
+    handle: () => presets.listPresets(),
+  },
+  {
+    name: "savePreset",
+    method: "put",
+    path: "/presets/:name",
+    summary: "Create or replace a preset",
+    role: "operator",
+    params: { name: { type: "string" } },
+    body: {
+      type: "object",
+      properties: {
+        speed: { type: "number", exclusiveMinimum: 0 },
+        fullscreen: { type: "boolean" },
+        files: { type: "object", additionalProperties: { type: "string" } },
+        audio: {
+          type: "object",
+          description:
+            "{ volume, muted, nodes: { <id>: { volume, muted, audioTrack, subtitleTrack } } }",
+        },
+        playlist: {
+          type: "object",
+          properties: {
+            items: { type: "array", items: PLAYLIST_ITEM },
+            autoAdvance: { type: "boolean" },
+          },
+        },
+      },
+      additionalProperties: false,
+    },
+    command: ({ params, body }) => ({
+      command: "savePreset",
+      preset: { ...body, name: params.name },
+    }),
+  },
+  {
+    name: "deletePreset",
+    method: "delete",
+    path: "/presets/:name",
+    summary: "Delete a preset other than the active one",
+    role: "operator",
+    params: { name: { type: "string" } },
+    command: ({ params }) => ({ command: "deletePreset", name: params.name }),
+  },
+  {
+    name: "activatePreset",
+    method: "post",
+    path: "/presets/:name/activate",
+    summary: "Make a preset the active one",
+    role: "operator",
+    params: { name: { type: "string" } },
+    command: ({ params }) => ({ command: "activatePreset", name: params.name }),
+  },
+  {
+    name: "getAutoSync",
+    method: "get",
+    path: "/autosync",
+    summary:
+      "The automatic drift correction, per-node drift and any scheduled start",
+    handle: () => ({
+      ...syncEngine.getStatus(),
+      scheduledStart: syncedStart.getScheduledStart(),
+    }),
+  },
+  {
+    name: "startAutoSync",
+    method: "post",
+    path: "/autosync/start",
+    summary: "Start automatic drift correction",
+    role: "operator",
+    body: {
+      type: "object",
+      properties: { settings: SYNC_SETTINGS },
+      additionalProperties: false,
+    },
+    command: ({ body }) => ({ command: "syncStart", settings: body.settings }),
+  },
+  {
+    name: "stopAutoSync",
+    method: "post",
+    path: "/autosync/stop",
+    summary: "Stop automatic drift correction",
+    role: "operator",
+    command: () => ({ command: "syncStop" }),
+  },
+  {
+    name: "configureAutoSync",
+    method: "patch",
+    path: "/autosync/settings",
+    summary: "Change drift correction settings",
+    role: "operator",
+    body: SYNC_SETTINGS,
+    command: ({ body }) => ({ command: "syncSettings", settings: body }),
+  },
+  {
+    name: "listCommands",
+    method: "get",
+    path: "/commands",
+    summary: "Running, queued and recently finished commands",
+    handle: () => commands.listCommands(),
+  },
+  {
+    name: "getCommand",
+    method: "get",
+    path: "/commands/:id",
+    summary: "One command of the queue",
+    params: { id: { type: "string" } },
+    handle: ({ params }) =>
+      commands.getCommand(params.id) || fail(404, "No such command."),
+  },
+  {
+    name: "cancelCommand",
+    method: "post",
+    path: "/commands/:id/cancel",
+    summary: "Cancel a queued or running command",
+    role: "operator",
+    params: { id: { type: "string" } },
+    handle: ({ params, session }) => {
+      const command = commands.cancel(params.id, session.name);
+      return { message: `Cancelling ${command.command}.`, command };
+    },
+  },
+  {
+    name: "searchLibrary",
+    method: "get",
+    path: "/library",
+    summary: "Media library files whose path contains every word of `q`",
+    query: {
+      q: { type: "string" },
+      folder: { type: "string" },
+      limit: { type: "integer", minimum: 1 },
+    },
+    handle: ({ query }) =>
+      library.search({
+        query: query.q,
+        folder: query.folder,
+        limit: query.limit,
+      }),
+  },
+  {
+    name: "browseLibrary",
+    method: "get",
+    path: "/library/browse",
+    summary: "One media library folder, or the configured folders",
+    query: { path: { type: "string" } },
+    async handle({ query }) {
+      try {
+        return await library.browse(query.path);
+      } catch (error) {
+        return fail(404, error.message);
+      }
+    },
+  },
+  {
+    name: "rescanLibrary",
+    method: "post",
+    path: "/library/rescan",
+    summary: "Read the media folders again",
+    role: "operator",
+    async handle() {
+      const { items, errors } = await library.rescan();
+      return { message: `Media library has ${items.length} files.`, errors };
+    },
+  },
+  {
+    name: "getArmCheck",
+    method: "get",
+    path: "/arm",
+    summary: "The last pre-show check, or null before the first",
+    response: "ArmCheck",
+    handle: () => ({ check: arm.getLastCheck() }),
+  },
+  {
+    name: "getRig",
+    method: "get",
+    path: "/rig",
+    summary: "Every node's agent and player",
+    response: "Rig",
+    handle: () => rig.getRig(),
+  },
+  {
+    name: "startRig",
+    method: "post",
+    path: "/rig/start",
+    summary: "Start every player that is not ready and wait for them",
+    role: "operator",
+    async handle() {
+      const result = await rig.startAll();
+      if (!result.ok) {
+        const error = new Error(result.message);
+        error.status = 502;
+        error.nodes = result.nodes;
+        throw error;
+      }
+      return result;
+    },
+  },
+  {
+    name: "getSchedule",
+    method: "get",
+    path: "/schedule",
+    summary: "Scheduled runs, the next one due first",
+    response: "Schedule",
+    handle: () => schedule.getSchedule(),
+  },
+  {
+    name: "createScheduleEntry",
+    method: "post",
+    path: "/schedule",
+    summary: "Schedule commands once (at) or by cron",
+    role: "operator",
+    body: SCHEDULE_ENTRY,
+    command: ({ body }) => ({ command: "saveScheduleEntry", entry: body }),
+  },
+  {
+    name: "saveScheduleEntry",
+    method: "put",
+    path: "/schedule/:id",
+    summary: "Create or replace the schedule entry with this id",
+    role: "operator",
+    params: { id: { type: "string" } },
+    body: SCHEDULE_ENTRY,
+    command: ({ params, body }) => ({
+      command: "saveScheduleEntry",
+      entry: { ...body, id: params.id },
+    }),
+  },
+  {
+    name: "deleteScheduleEntry",
+    method: "delete",
+    path: "/schedule/:id",
+    summary: "Delete a schedule entry",
+    role: "operator",
+    params: { id: { type: "string" } },
+    command: ({ params }) => ({
+      command: "deleteScheduleEntry",
+      id: params.id,
+    }),
+  },
+  ...["enable", "disable"].map((action) => ({
+    name: `${action}ScheduleEntry`,
+    method: "post",
+    path: `/schedule/:id/${action}`,
+    summary: `${action === "enable" ? "Switch on" : "Switch off"} a schedule entry`,
+    role: "operator",
+    params: { id: { type: "string" } },
+    command: ({ params }) => ({
+      command: "setScheduleEnabled",
+      id: params.id,
+      enabled: action === "enable",
+    }),
+  })),
+  {
+    name: "listSessions",
+    method: "get",
+    path: "/sessions",
+    summary: "Recorded show sessions, newest first",
+    response: "Sessions",
+    handle: () => sessions.listSessions(),
+  },
+  {
+    name: "getDriftSummary",
+    method: "get",
+    path: "/sessions/drift",
+    summary: "Drift per node over the recent sessions",
+    response: "DriftSummary",
+    handle: () => sessions.driftSummary(),
+  },
+  {
+    name: "getSession",
+    method: "get",
+    path: "/sessions/:id",
+    summary: "One session with every event",
+    params: { id: { type: "string" } },
+    response: "Session",
+    handle: ({ params }) => sessions.getSession(params.id),
+  },
+  {
+    name: "getSessionReport",
+    method: "get",
+    path: "/sessions/:id/report",
+    summary: "A session report to download, as JSON or CSV",
+    params: { id: { type: "string" } },
+    query: { format: { type: "string", enum: sessions.REPORT_FORMATS } },
+    response: "Session",
+    mediaTypes: ["text/csv"],
+    handle: ({ params, query }) => sessions.report(params.id, query.format),
+    respond(res, report, { params, query }) {
+      const format = query.format || "json";
+      res.attachment(`session-${params.id}.${format}`);
+      if (format === "csv") return res.type("text/csv").send(report);
+      res.json(report);
+    },
+  },
+  ...rig.PLAYER_ACTIONS.map((action) => ({
+    name: `${action}Player`,
+    method: "post",
+    path: `/nodes/:id/player/${action}`,
+    summary: `${action[0].toUpperCase()}${action.slice(1)} a node's player`,
+    role: "operator",
+    params: { id: { type: "string" } },
+    async handle({ params }) {
+      findNode(params.id);
+      const entry = await rig.playerAction(params.id, action);
+      if (entry.error) fail(502, entry.error);
+      return entry;
+    },
+  })),
+  {
+    name: "getHealth",
+    method: "get",
+    path: "/health",
+    summary: "Health of every node",
+    handle: () => health.getHealth(),
+  },
+  {
+    name: "readLogs",
+    method: "get",
+    path: "/logs",
+    summary: "Log entries, filtered",
+    query: {
+      level: { type: "string", enum: ["debug", "info", "warn", "error"] },
+      node: { type: "string" },
+      command: { type: "string" },
+      requestId: { type: "string" },
+      since: { type: "string" },
+      until: { type: "string" },
+      limit: { type: "integer", minimum: 1 },
+    },
+    async handle({ query }) {
+      try {
+        return { entries: await readLogs(query) };
+      } catch (error) {
+        return fail(400, error.message);
+      }
+    },
+  },
+  {
+    name: "getConfig",
+    method: "get",
+    path: "/config",
+    summary: "The configuration in effect",
+    handle: () => config.describeConfig(),
+  },
+];
+
+// Helper: Whether `value` is of JSON Schema type `type`
+function isType(type, value) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        Boolean(value) && typeof value === "object" && !Array.isArray(value)
+      );
+    case "null":
+      return value === null;
+    default:
+      return typeof value === type;
+  }
+}
+
+// Helper: Describe how `value` (named `where`) breaks `schema`; [] if it fits
+function schemaProblems(schema, value, where) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => isType(type, value))) {
+    return [`${where} must be ${types.join(" or ")}.`];
+  }
+  const problems = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    problems.push(`${where} must be one of: ${schema.enum.join(", ")}.`);
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${where} must be at least ${schema.minimum}.`);
+    }
+    if (
+      schema.exclusiveMinimum !== undefined &&
+      value <= schema.exclusiveMinimum
+    ) {
+      problems.push(`${where} must be more than ${schema.exclusiveMinimum}.`);
+    }
+  }
+  if (typeof value === "string" && value.length < (schema.minLength || 0)) {
+    problems.push(`${where} must not be empty.`);
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((entry, i) =>
+      problems.push(...schemaProblems(schema.items, entry, `${where}[${i}]`))
+    );
+  }
+  if (isType("object", value)) {
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined)
+        problems.push(`${where}.${name} is required.`);
+    });
+    Object.entries(value).forEach(([name, entry]) => {
+      const property = schema.properties && schema.properties[name];
+      const other = schema.additionalProperties;
+      if (property) {
+        problems.push(...schemaProblems(property, entry, `${where}.${name}`));
+      } else if (other === false) {
+        problems.push(`${where}.${name} is not allowed.`);
+      } else if (other) {
+        problems.push(...schemaProblems(other, entry, `${where}.${name}`));
+      }
+    });
+  }
+  return problems;
+}
+
+// Helper: A path or query string as the type its schema asks for
+function coerce(schema, value) {
+  const types = [].concat(schema.type || []);
+  if (types.includes("integer") || types.includes("number")) {
+    return value.trim() === "" ? value : Number(value);
+  }
+  if (types.includes("boolean") && ["true", "false"].includes(value)) {
+    return value === "true";
+  }
+  return value;
+}
+
+// Helper: Check path, query and body against the route's schemas; returns
+// { params, query, body } with strings turned into numbers where asked
+function checkRequest(route, req) {
+  const problems = [];
+  const read = (schemas = {}, values, where) => {
+    const result = {};
+    Object.entries(schemas).forEach(([name, schema]) => {
+      if (values[name] === undefined) return;
+      result[name] = coerce(schema, values[name]);
+      problems.push(
+        ...schemaProblems(schema, result[name], `${where}.${name}`)
+      );
+    });
+    return result;
+  };
+  const params = read(route.params, req.params, "path");
+  const query = read(route.query, req.query, "query");
+  const body = req.body || {};
+  if (route.body) problems.push(...schemaProblems(route.body, body, "body"));
+  if (problems.length > 0) {
+    const error = new Error(`Invalid request: ${problems[0]}`);
+    error.status = 400;
+    error.details = problems;
+    throw error;
+  }
+  return { params, query, body, session: req.session };
+}
+
+// Helper: Answer with an error's status and { error, details?, nodes? }
+function sendError(res, error) {
+  const { status = 500, details, nodes } = error;
+  res.status(status).json({ error: error.message, details, nodes });
+}
+
+// The OpenAPI 3.1 document for ROUTES
+function openApiDocument() {
+  const paths = {};
+  ROUTES.forEach((route) => {
+    const path = route.path.replace(/:(\w+)/g, "{$1}");
+    const parameters = [
+      ...Object.entries(route.params || {}).map(([name, schema]) => ({
+        name,
+        in: "path",
+        required: true,
+        schema,
+      })),
+      ...Object.entries(route.query || {}).map(([name, schema]) => ({
+        name,
+        in: "query",
+        schema,
+      })),
+    ];
+    const error = (description) => ({
+      description,
+      content: {
+        "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+      },
+    });
+    let result = { type: "object" };
+    if (route.command) result = { $ref: "#/components/schemas/CommandResult" };
+    if (route.response)
+      result = { $ref: `#/components/schemas/${route.response}` };
+    const content = { "application/json": { schema: result } };
+    (route.mediaTypes || []).forEach((type) => {
+      content[type] = { schema: { type: "string" } };
+    });
+    const responses = {
+      200: { description: "OK", content },
+      400: error("The request does not match its schema"),
+      401: error("Not logged in"),
+    };
+    if (route.role === "operator") responses[403] = error("Not an operator");
+    if (route.command) {
+      responses[409] = error("Not allowed in the show's current state");
+      responses[502] = error("No player answered");
+    }
+    paths[path] = paths[path] || {};
+    paths[path][route.method] = {
+      operationId: route.name,
+      summary: route.summary,
+      tags: [route.path.split("/")[1]],
+      "x-role": route.role || "viewer",
+      parameters: parameters.length > 0 ? parameters : undefined,
+      requestBody: route.body && {
+        required: Boolean(route.body.required),
+        content: { "application/json": { schema: route.body } },
+      },
+      responses,
+    };
+  });
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "ParallelPlay control API",
+      version: API_VERSION,
+      description:
+        "Log in with POST /login for a token and send it as a bearer token. Viewers may read; operators may also change things.",
+    },
+    servers: [{ url: "/api/v1" }],
+    security: [{ bearer: [] }],
+    paths,
+    components: {
+      securitySchemes: { bearer: { type: "http", scheme: "bearer" } },
+      schemas: SCHEMAS,
+    },
+  };
+}
+
+// The /api/v1 router; `run(req, res, body)` queues a /control command body
+// and resolves to its response body (see control.js)
+function createRouter({ run }) {
+  const router = express.Router();
+  router.get("/openapi.json", (req, res) => {
+    res.json(openApiDocument());
+  });
+  router.use(auth.requireRole("viewer"));
+  ROUTES.forEach((route) => {
+    const role = auth.requireRole(route.role || "viewer");
+    router[route.method](route.path, role, async (req, res) => {
+      try {
+        const request = checkRequest(route, req);
+        if (route.handle) {
+          const result = await route.handle(request);
+          if (route.respond) return route.respond(res, result, request);
+          return res.json(result);
+        }
+        const { status, ...response } = await run(
+          req,
+          res,
+          route.command(request)
+        );
+        res.status(response.error ? status || 400 : 200).json(response);
+      } catch (error) {
+        sendError(res, error);
+      }
+    });
+  });
+  router.use((req, res) => {
+    res.status(404).json({ error: "No such endpoint." });
+  });
+  return router;
+}
+
+// Error middleware for /api/v1: a body that is not JSON is a 400, not a page
+function handleErrors(err, req, res, next) {
+  if (err.type === "entity.parse.failed") {
+    return res.status(400).json({ error: "The request body is not JSON." });
+  }
+  next(err);
+}
+
+module.exports = {
+  API_VERSION,
+  ROUTES,
+  createRouter,
+  handleErrors,
+  openApiDocument,
+};
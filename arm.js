@@ -0,0 +1,201 @@
+/*
+Arm: the pre-show readiness check, run by the `arm` command. Every node
+loads its file paused on the first frame and is checked, without anything
+ever starting to play:
+- reachable: the player answers; latency: the middle of
+  arm.latencySamples status requests, failing above health.slowResponseMs
+- file: the node has the file (a node that cannot tell is skipped)
+- loaded: the player took the file; length: it reports a length
+- frame0: it sits paused (or stopped) on the first frame
+- fullscreen: it is in fullscreen, if the active preset wants that; arm
+  puts it there first, as play would
+- lengthMatch: its length is within arm.lengthToleranceSeconds of every
+  other node's
+A check is { name, ok, detail } with ok null for a skipped one. The last
+checklist is kept for GET /arm.
+*/
+
+const { logAction, logWarn } = require("./log");
+const {
+  getNodes,
+  getPlayer,
+  forEachNode,
+  enterFullscreenIfNeeded,
+  loadFile,
+  sleep,
+} = require("./nodes");
+const { getActivePreset } = require("./presets");
+const { frameRateOf } = require("./library");
+const { formatTimecode, roundSeconds } = require("./timecode");
+const { getConfig } = require("./config");
+
+let lastCheck = null;
+
+// Helper: The middle value of `values`
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+// Helper: Run the checks of one node; resolves to { latencyMs, length, checks }
+async function checkNode(node, file, frameRate) {
+  const { arm, health, timing } = getConfig();
+  const { speed, fullscreen } = getActivePreset();
+  const player = getPlayer(node);
+  const checks = [];
+  const result = { latencyMs: null, length: null, checks };
+  const add = (name, ok, detail) => checks.push({ name, ok, detail });
+
+  const samples = [];
+  try {
+    for (let i = 0; i < arm.latencySamples; i++) {
+      const startedAt = Date.now();
+      await player.getStatus();
+      samples.push(Date.now() - startedAt);
+    }
+  } catch (err) {
+    add("reachable", false, err.message);
+    return result;
+  }
+  add("reachable", true, "The player answers.");
+  result.latencyMs = median(samples);
+  add(
+    "latency",
+    result.latencyMs <= health.slowResponseMs,
+    `${result.latencyMs} ms (limit ${health.slowResponseMs} ms)`
+  );
+
+  try {
+    const exists = await player.fileExists(file);
+    add("file", exists, exists ? file : `${file} is not on ${node.label}.`);
+  } catch (err) {
+    add("file", null, "The node cannot tell; loading it will show.");
+  }
+
+  try {
+    await loadFile(node, file, speed);
+    // Some players start what they load; arm never leaves anything playing
+    await player.pause();
+    await player.seek(0);
+    add("loaded", true, file);
+  } catch (err) {
+    add("loaded", false, err.message);
+    return result;
+  }
+  await sleep(timing.loadSettleMs);
+
+  let status;
+  try {
+    status = await player.getStatus();
+  } catch (err) {
+    add("length", false, err.message);
+    return result;
+  }
+  result.length = status.length > 0 ? status.length : null;
+  add(
+    "length",
+    result.length !== null,
+    result.length !== null
+      ? formatTimecode(status.length, frameRate)
+      : "The player reports no length; it may not open the file."
+  );
+  add(
+    "frame0",
+    status.state !== "playing" && status.time < 0.5 / frameRate,
+    `${status.state} at ${formatTimecode(status.time, frameRate)}`
+  );
+
+  if (!fullscreen) {
+    add("fullscreen", null, "The preset does not ask for fullscreen.");
+  } else {
+    try {
+      await enterFullscreenIfNeeded(node);
+      await sleep(timing.fullscreenDelayMs);
+      const { fullscreen: on } = await player.getStatus();
+      add("fullscreen", on === true, on ? "On" : "The player is windowed.");
+    } catch (err) {
+      add("fullscreen", false, err.message);
+    }
+  }
+  return result;
+}
+
+// Load `files` (node id -> path) on every node and check it; resolves to
+// { ready, checkedAt, nodes: [{ id, label, ok, latencyMs, length, checks }] }
+async function armNodes(files) {
+  const { lengthToleranceSeconds } = getConfig().arm;
+  const frameRate = frameRateOf(files);
+  logAction("Arming: loading every node paused on the first frame");
+  const results = await forEachNode((node) =>
+    checkNode(node, files[node.id], frameRate)
+  );
+  const nodes = results.map((r) =>
+    r.ok
+      ? { id: r.id, label: r.label, ...r.detail }
+      : {
+          id: r.id,
+          label: r.label,
+          latencyMs: null,
+          length: null,
+          checks: [{ name: "reachable", ok: false, detail: r.error }],
+        }
+  );
+
+  const lengths = nodes.map((n) => n.length).filter((l) => l !== null);
+  const shortest = Math.min(...lengths);
+  const longest = Math.max(...lengths);
+  nodes.forEach((node) => {
+    if (node.length === null) return;
+    const off = Math.max(node.length - shortest, longest - node.length);
+    node.checks.push({
+      name: "lengthMatch",
+      ok: off <= lengthToleranceSeconds,
+      detail:
+        lengths.length < 2
+          ? "No other node to compare with."
+          : `Within ${roundSeconds(off)}s of the others (tolerance ${lengthToleranceSeconds}s)`,
+    });
+  });
+
+  nodes.forEach((node) => {
+    node.ok = node.checks.every((check) => check.ok !== false);
+  });
+  lastCheck = {
+    ready: nodes.every((node) => node.ok),
+    checkedAt: new Date().toISOString(),
+    nodes,
+  };
+  if (!lastCheck.ready) {
+    logWarn("Arming found problems", {
+      nodes: nodes
+        .filter((node) => !node.ok)
+        .map((node) => ({ id: node.id, failed: failedChecks(node) })),
+    });
+  }
+  return lastCheck;
+}
+
+// The names of a node's failed checks
+function failedChecks(node) {
+  return node.checks.filter((check) => check.ok === false).map((c) => c.name);
+}
+
+// The nodes that took their file in `check` (the result of armNodes)
+function loadedNodes(check) {
+  return check.nodes.filter((node) =>
+    node.checks.some((c) => c.name === "loaded" && c.ok)
+  );
+}
+
+// The last checklist, or null before the first arm; nodes no longer in the
+// config are left out
+function getLastCheck() {
+  if (!lastCheck) return null;
+  const ids = getNodes().map((node) => node.id);
+  return {
+    ...lastCheck,
+    nodes: lastCheck.nodes.filter((node) => ids.includes(node.id)),
+  };
+}
+
+module.exports = { armNodes, failedChecks, loadedNodes, getLastCheck };
@@ -0,0 +1,203 @@
+/*
+Audio: volume, mute and track choice per node, kept in the active preset
+(see presets.js), so a show remembers which node has sound and which
+language each screen plays.
+- A node plays at its own volume times the group volume. Muting the node or
+  the group silences it; players are muted by setting their volume to 0, as
+  VLC's HTTP interface has no mute of its own.
+- Players reset volume and tracks with every file, so the levels and tracks
+  are applied again after each load (nodes.onFileLoaded).
+- fade() moves the players' volume in steps of audio.fadeStepMs. It runs
+  inside a command, so stop cancels it. Fades leave the saved levels alone:
+  after a fade out and stop, restoreLevels() puts the players back at them
+  for the next play.
+*/
+
+const { logAction } = require("./log");
+const {
+  getNodes,
+  getPlayer,
+  forEachNode,
+  onFileLoaded,
+  sleep,
+} = require("./nodes");
+const {
+  getActivePreset,
+  updateActivePreset,
+  normalizeAudio,
+} = require("./presets");
+const { getConfig } = require("./config");
+
+const levels = new Map(); // node id -> volume last sent to the player
+
+onFileLoaded((node) => apply(node));
+
+// The active preset's audio settings, with defaults filled in
+function getSettings() {
+  return normalizeAudio(getActivePreset().audio);
+}
+
+// Helper: One node's settings, with defaults for a node never set
+function nodeSettings(settings, id) {
+  return {
+    volume: 100,
+    muted: false,
+    audioTrack: null,
+    subtitleTrack: null,
+    ...settings.nodes[id],
+  };
+}
+
+// The volume node `id` should play at, in percent
+function levelOf(id, settings = getSettings()) {
+  const own = nodeSettings(settings, id);
+  if (settings.muted || own.muted) return 0;
+  return Math.round((settings.volume * own.volume) / 100);
+}
+
+// Helper: Change the saved settings of the group (id null) or one node
+function update(id, changes) {
+  const settings = getSettings();
+  if (id === null) Object.assign(settings, changes);
+  else settings.nodes[id] = { ...nodeSettings(settings, id), ...changes };
+  updateActivePreset({ audio: normalizeAudio(settings) });
+  return settings;
+}
+
+// Helper: The node with `id`; throws for an unknown one (404 in /api/v1)
+function findNode(id) {
+  const node = getNodes().find((n) => n.id === id);
+  if (!node) {
+    const error = new Error(`No node "${id}".`);
+    error.status = 404;
+    throw error;
+  }
+  return node;
+}
+
+async function setLevel(node, volume) {
+  await getPlayer(node).setVolume(volume);
+  levels.set(node.id, volume);
+}
+
+// Send node's saved level and tracks to its player
+async function apply(node) {
+  const settings = getSettings();
+  const own = nodeSettings(settings, node.id);
+  await setLevel(node, levelOf(node.id, settings));
+  if (own.audioTrack !== null) {
+    await getPlayer(node).setAudioTrack(own.audioTrack);
+  }
+  if (own.subtitleTrack !== null) {
+    await getPlayer(node).setSubtitleTrack(own.subtitleTrack);
+  }
+}
+
+// Move the volume of `targets` to levelOf(node) over `seconds`, from where
+// each player was last set; resolves to the per-node results of the last step
+async function fade(targets, targetLevel, seconds) {
+  const { fadeStepMs } = getConfig().audio;
+  const steps = Math.max(1, Math.round((seconds * 1000) / fadeStepMs));
+  const from = new Map(
+    targets.map((node) => [
+      node.id,
+      levels.has(node.id) ? levels.get(node.id) : levelOf(node.id),
+    ])
+  );
+  logAction(`Fading volume over ${seconds}s`, {
+    nodes: targets.map((node) => node.id),
+  });
+  let results = [];
+  for (let step = 1; step <= steps; step++) {
+    if (step > 1) await sleep(fadeStepMs);
+    results = await forEachNode((node) => {
+      const start = from.get(node.id);
+      const volume = start + ((targetLevel(node) - start) * step) / steps;
+      return setLevel(node, Math.round(volume));
+    }, targets);
+  }
+  return results;
+}
+
+// Set the volume of the group (id null) or one node, optionally fading to it
+async function setVolume(id, volume, fadeSeconds = 0) {
+  const targets = id === null ? getNodes() : [findNode(id)];
+  const settings = update(id, { volume });
+  logAction(`Volume ${volume}% on ${id === null ? "all nodes" : id}`);
+  if (fadeSeconds > 0) {
+    return fade(targets, (node) => levelOf(node.id, settings), fadeSeconds);
+  }
+  return forEachNode(
+    (node) => setLevel(node, levelOf(node.id, settings)),
+    targets
+  );
+}
+
+// Mute or unmute the group (id null) or one node
+async function setMuted(id, muted) {
+  const targets = id === null ? getNodes() : [findNode(id)];
+  const settings = update(id, { muted });
+  logAction(`${muted ? "Muted" : "Unmuted"} ${id === null ? "all nodes" : id}`);
+  return forEachNode(
+    (node) => setLevel(node, levelOf(node.id, settings)),
+    targets
+  );
+}
+
+// Choose node `id`'s audio or subtitle track (`kind`); -1 turns subtitles off
+async function setTrack(id, kind, track) {
+  const node = findNode(id);
+  if (kind === "audio" && track === -1) {
+    throw new Error("Choose an audio track; mute the node for no sound.");
+  }
+  const field = kind === "audio" ? "audioTrack" : "subtitleTrack";
+  update(id, { [field]: track });
+  logAction(`${node.label} ${kind} track: ${track}`, { node: id });
+  const method = kind === "audio" ? "setAudioTrack" : "setSubtitleTrack";
+  return forEachNode((target) => getPlayer(target)[method](track), [node]);
+}
+
+// Put every player back at its saved level (after a fade out)
+function restoreLevels() {
+  return forEachNode((node) => setLevel(node, levelOf(node.id)));
+}
+
+// The settings with each node's level, player volume and tracks
+async function getAudio() {
+  const settings = getSettings();
+  const results = await forEachNode(async (node) => {
+    const player = getPlayer(node);
+    const [status, tracks] = await Promise.all([
+      player.getStatus(),
+      player.getTracks(),
+    ]);
+    return { playerVolume: status.volume, tracks };
+  });
+  return {
+    volume: settings.volume,
+    muted: settings.muted,
+    nodes: getNodes().map((node) => {
+      const result = results.find((r) => r.id === node.id);
+      return {
+        id: node.id,
+        label: node.label,
+        ...nodeSettings(settings, node.id),
+        level: levelOf(node.id, settings),
+        playerVolume: result.ok ? result.detail.playerVolume : null,
+        tracks: result.ok ? result.detail.tracks : null,
+      };
+    }),
+  };
+}
+
+module.exports = {
+  getSettings,
+  levelOf,
+  apply,
+  fade,
+  setVolume,
+  setMuted,
+  setTrack,
+  restoreLevels,
+  getAudio,
+};
@@ -0,0 +1,111 @@
+/*
+Access control for the control server.
+- POST /login trades a user name and password (see secrets.js) for a session
+  token. Requests carry it as "Authorization: Bearer <token>"; the /events
+  stream, which cannot set headers, takes it as ?token=.
+- Roles: a "viewer" may read status, playlist, presets, health and logs; an
+  "operator" may also send commands.
+- Sessions live in memory and expire after auth.sessionTtlHours (config.json).
+- `node auth.js --hash <password>` prints the hash to put in secrets.json.
+*/
+
+const crypto = require("crypto");
+const { logAction, logWarn } = require("./log");
+const { getUsers } = require("./secrets");
+const { getConfig } = require("./config");
+
+const ROLES = ["viewer", "operator"]; // Each role may do what the ones before it may
+
+const sessions = new Map(); // token -> { name, role, expiresAt }
+
+// scrypt$<salt>$<hash>, all hex
+function hashPassword(password, salt = crypto.randomBytes(16).toString("hex")) {
+  const hash = crypto.scryptSync(String(password), salt, 32).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+// Returns a new session, or null if the name or password is wrong
+function login(name, password) {
+  const user = getUsers().find((u) => u.name === name);
+  if (!user || !ROLES.includes(user.role)) {
+    logWarn(`Failed login for "${name}"`);
+    return null;
+  }
+  if (!verifyPassword(password, user.passwordHash)) {
+    logWarn(`Failed login for "${name}"`);
+    return null;
+  }
+  const token = crypto.randomBytes(24).toString("hex");
+  const session = {
+    name: user.name,
+    role: user.role,
+    expiresAt: Date.now() + getConfig().auth.sessionTtlHours * 60 * 60 * 1000,
+  };
+  sessions.set(token, session);
+  logAction(`${user.name} logged in as ${user.role}`);
+  return { token, ...session };
+}
+
+function logout(token) {
+  return sessions.delete(token);
+}
+
+// Helper: The bearer token of a request (header, or ?token= for /events
+// only: EventSource cannot send headers, and tokens in other URLs end up in
+// logs and browser history)
+function tokenOf(req) {
+  const header = req.get("Authorization") || "";
+  if (header.startsWith("Bearer ")) return header.slice(7);
+  if (req.path !== "/events") return null;
+  return req.query.token || null;
+}
+
+function getSession(token) {
+  const session = token && sessions.get(token);
+  if (!session) return null;
+  if (session.expiresAt < Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return session;
+}
+
+// Middleware: Only let through logged-in users with at least `role`
+function requireRole(role) {
+  return (req, res, next) => {
+    const session = getSession(tokenOf(req));
+    if (!session) {
+      return res.status(401).json({ error: "Please log in." });
+    }
+    if (ROLES.indexOf(session.role) < ROLES.indexOf(role)) {
+      return res.status(403).json({ error: `Only an ${role} can do that.` });
+    }
+    req.session = session;
+    next();
+  };
+}
+
+if (require.main === module && process.argv[2] === "--hash") {
+  if (!process.argv[3]) {
+    console.error("Usage: node auth.js --hash <password>");
+    process.exit(1);
+  }
+  console.log(hashPassword(process.argv[3]));
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  login,
+  logout,
+  tokenOf,
+  requireRole,
+};
@@ -0,0 +1,205 @@
+/*
+Command queue: /control commands run one at a time, in the order they arrive,
+so two sequences never drive the players at once.
+- Every command has an id (its request id, see log.js) and a status: queued,
+  running, completed, failed or cancelled. GET /commands lists them and the
+  /events stream pushes every change (subscribe()).
+- An urgent command (stop) cancels the running command and everything queued
+  behind it, then runs first.
+- Cancelling is cooperative: the running command stops at its next sleep,
+  player call or forEachNode (see nodes.js). The next command only starts
+  once it has.
+- Work the server starts on its own (auto-recovery, playlist auto-advance,
+  scheduled starts, sync corrections) goes through the same queue with
+  runInternal(), so it never interleaves with a command and stop cancels it.
+- Only the last HISTORY_SIZE finished commands are kept.
+*/
+
+const { AsyncLocalStorage, AsyncResource } = require("async_hooks");
+const { logAction, withLogContext, newRequestId } = require("./log");
+
+const URGENT_COMMANDS = new Set(["stop"]);
+const HISTORY_SIZE = 50;
+
+const current = new AsyncLocalStorage(); // The job whose code is running
+const queue = []; // Jobs waiting, in order
+const history = []; // Finished jobs, oldest first
+const listeners = [];
+let running = null;
+
+// Helper: The part of a job that is reported
+function describe(job) {
+  const { id, command, by, status, queuedAt, startedAt, finishedAt, error } =
+    job;
+  return { id, command, by, status, queuedAt, startedAt, finishedAt, error };
+}
+
+function listCommands() {
+  return {
+    running: running ? describe(running) : null,
+    queued: queue.map(describe),
+    finished: history.map(describe),
+  };
+}
+
+function getCommand(id) {
+  const job = [running, ...queue, ...history].find((j) => j && j.id === id);
+  return job ? describe(job) : null;
+}
+
+// Helper: Be told about every status change with listCommands()
+function subscribe(fn) {
+  listeners.push(fn);
+  return () => listeners.splice(listeners.indexOf(fn), 1);
+}
+
+function changed() {
+  const snapshot = listCommands();
+  listeners.forEach((fn) => fn(snapshot));
+}
+
+function cancelledError(job, by) {
+  const error = new Error(`${job.command} was cancelled by ${by}.`);
+  error.cancelled = true;
+  return error;
+}
+
+function isCancelled(error) {
+  return Boolean(error && error.cancelled);
+}
+
+function finish(job, status, error) {
+  job.status = status;
+  job.error = error;
+  job.finishedAt = Date.now();
+  history.push(job);
+  if (history.length > HISTORY_SIZE) history.shift();
+  changed();
+}
+
+// Cancel a queued or running command; `by` names who or what asked
+function cancel(id, by) {
+  const index = queue.findIndex((job) => job.id === id);
+  if (index >= 0) {
+    const [job] = queue.splice(index, 1);
+    const error = cancelledError(job, by);
+    finish(job, "cancelled", error.message);
+    job.reject(error);
+    logAction(`Cancelled queued ${job.command}`, { commandId: id });
+    return describe(job);
+  }
+  if (running && running.id === id) {
+    if (!running.controller.signal.aborted) {
+      running.controller.abort(cancelledError(running, by));
+      logAction(`Cancelling ${running.command}`, { commandId: id });
+    }
+    return describe(running);
+  }
+  const finished = Boolean(getCommand(id));
+  const error = new Error(
+    finished ? "That command has already finished." : "No such command."
+  );
+  error.status = finished ? 409 : 404; // For /api/v1
+  throw error;
+}
+
+async function pump() {
+  if (running || queue.length === 0) return;
+  const job = queue.shift();
+  running = job;
+  job.status = "running";
+  job.startedAt = Date.now();
+  changed();
+  try {
+    const result = await job.start();
+    const error = result && result.error;
+    finish(job, error ? "failed" : "completed", error);
+    job.resolve(result);
+  } catch (err) {
+    finish(job, isCancelled(err) ? "cancelled" : "failed", err.message);
+    job.reject(err);
+  }
+  running = null;
+  pump();
+}
+
+// Queue fn as the command described by fields ({ id, command, by }) and
+// resolve to its result once it has run; rejects if it is cancelled
+function run(fields, fn) {
+  const job = {
+    ...fields,
+    status: "queued",
+    queuedAt: Date.now(),
+    controller: new AbortController(),
+    // Keep the caller's log context for when the job gets its turn
+    start: AsyncResource.bind(() => current.run(job, fn)),
+  };
+  const done = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  if (URGENT_COMMANDS.has(job.command)) {
+    [...queue].forEach((waiting) => cancel(waiting.id, job.command));
+    if (running) cancel(running.id, job.command);
+    queue.unshift(job);
+  } else {
+    queue.push(job);
+  }
+  changed();
+  pump();
+  return done;
+}
+
+// Queue work the server starts by itself as the command `command`, with its
+// own request id for the log; `by` names the module that started it
+function runInternal(command, by, fn) {
+  const id = newRequestId();
+  return withLogContext({ requestId: id, command }, () =>
+    run({ id, command, by }, fn)
+  );
+}
+
+// Helper: Is a command running or waiting?
+function isBusy() {
+  return Boolean(running) || queue.length > 0;
+}
+
+// Throw if the command running this code has been cancelled
+function throwIfCancelled() {
+  const job = current.getStore();
+  if (job && job.controller.signal.aborted) {
+    throw job.controller.signal.reason;
+  }
+}
+
+// Helper: setTimeout as a promise; rejects early if the command is cancelled
+function sleep(ms) {
+  const job = current.getStore();
+  const signal = job && job.status === "running" && job.controller.signal;
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) return reject(signal.reason);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  URGENT_COMMANDS,
+  run,
+  runInternal,
+  isBusy,
+  cancel,
+  isCancelled,
+  listCommands,
+  getCommand,
+  subscribe,
+  throwIfCancelled,
+  sleep,
+};
@@ -0,0 +1,523 @@
+/*
+Configuration: one file, config.json next to the app (or CONFIG_FILE), read by
+the control server, the node agents and the Electron shell.
+- Holds the server port, the playback nodes, file locations, logging and
+  every timing constant. Settings left out of the file take the defaults
+  below.
+- Any single setting can be overridden from the environment:
+  PARALLELPLAY_<SECTION>_<SETTING>, e.g. PARALLELPLAY_SERVER_PORT=3001 or
+  PARALLELPLAY_TIMING_PLAY_START_DELAY_MS=1500. A node's address can be
+  overridden with PARALLELPLAY_NODE_<ID>_HOST / _PORT.
+- The whole file is validated; a file that fails validation is rejected
+  with a message naming the setting.
+- watch() reloads the file when it changes (or on SIGHUP) without a
+  restart; onConfigChange() listeners hear about every successful reload.
+- Relative file paths (files.*, library.folders) are resolved against the
+  config file's directory.
+- Lists (library.folders, library.extensions) are overridden from the
+  environment as one value split like PATH, e.g. "/Volumes/A:/Volumes/B";
+  maps (osc.addresses, osc.feedback, desktop.hotkeys) as JSON.
+- `node config.js --get server.port` prints one setting.
+*/
+
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULTS = {
+  server: {
+    port: 3000,
+  },
+  nodes: [],
+  launch: {
+    // Players the node agents start (see agent.js); a node's playerCommand
+    // wins. Split on spaces, e.g. "/Applications/VLC.app/Contents/MacOS/VLC"
+    vlcCommand: "vlc",
+    mpvCommand: "mpv",
+    fullscreen: true,
+    agentPort: 8090, // Where each node's agent listens; a node's agentPort wins
+    readyTimeoutMs: 15000, // How long a started player has to answer
+    restartDelayMs: 2000, // Wait before starting a crashed player again
+  },
+  files: {
+    presets: "presets.json",
+    secrets: "secrets.json",
+    state: "state.json",
+    sessionDir: "sessions",
+    schedule: "schedule.json",
+    logDir: "logs",
+  },
+  logging: {
+    level: "info",
+    maxFileBytes: 5 * 1024 * 1024,
+    maxFiles: 5,
+  },
+  timing: {
+    requestTimeoutMs: 2000, // An unreachable node must not stall a command
+    enqueueSettleMs: 300, // Between in_enqueue and pl_next
+    playStartDelayMs: 1000, // Between loading files and starting them
+    fullscreenDelayMs: 300, // Between starting playback and fullscreen
+    loadSettleMs: 500, // After reloading files before checking them
+    reloadSettleMs: 350, // After a recovered node restarts its file
+    speedSettleMs: 200, // After a rate change
+    statusRetryDelayMs: 200, // Between status retries in sync
+  },
+  control: {
+    skipSeconds: 10, // Default skip step; skip commands can send their own
+    frameRate: 25, // For timecode when the media's frame rate is unknown
+    statusRetries: 3, // Status attempts per node before sync gives up on it
+    syncThresholdSeconds: 0.5, // Manual sync leaves smaller differences alone
+    syncLeadSeconds: 1, // Nodes behind are seeked this far past the leader
+  },
+  sync: {
+    intervalMs: 2000, // How often all nodes are polled
+    nudgeThreshold: 0.15, // Seconds of drift before the rate is nudged
+    seekThreshold: 1.5, // Seconds of drift before a hard seek
+    nudgeGain: 0.05, // Rate change per second of drift
+    maxNudge: 0.05, // Largest rate change, as a fraction of the group rate
+    historySize: 30, // Drift samples kept per node
+  },
+  syncedStart: {
+    latencySamples: 5,
+    startLeadMs: 500, // Gap between the last measurement and the target
+    prepareLeadMs: 10000, // Load and measure this long before a scheduled start
+  },
+  health: {
+    pollIntervalMs: 2000,
+    offlineAfterFailures: 3, // Consecutive failures before "offline"
+    slowResponseMs: 1000, // Slower answers mark a node "degraded"
+  },
+  cues: {
+    catchUpSeconds: 2, // Larger jumps pass over cues instead of firing them
+  },
+  statusMonitor: {
+    pollIntervalMs: 500,
+  },
+  playlist: {
+    watchIntervalMs: 1000,
+    endMarginSeconds: 0.5, // Seconds before the end that count as "ended"
+  },
+  auth: {
+    sessionTtlHours: 12,
+  },
+  library: {
+    folders: [], // Media folders to index, e.g. "/Volumes/DATA/01_Playouts"
+    extensions: [".mp4", ".mov", ".m4v", ".mkv", ".mxf", ".avi"],
+    ffprobe: "ffprobe", // Reads durations and stream details
+    probeTimeoutMs: 10000,
+  },
+  audio: {
+    stopFadeSeconds: 0, // Fade out this long before every stop; 0: cut
+    fadeStepMs: 100, // Volume steps of a fade
+  },
+  arm: {
+    lengthToleranceSeconds: 0.5, // Most the nodes' file lengths may differ
+    latencySamples: 3, // Status requests timed per node
+  },
+  schedule: {
+    missedGraceMinutes: 15, // Still make a run this late after a restart
+  },
+  desktop: {
+    restartDelayMs: 1000, // Wait before restarting a crashed control server
+    maxRestartDelayMs: 30000, // Longest wait after crashes in a row
+    hotkeys: {
+      Space: "playPause",
+      Left: "skipBackward",
+      Right: "skipForward",
+      S: "sync",
+    },
+    hotkeysWhenUnfocused: false, // true: hotkeys work in every app
+  },
+  osc: {
+    enabled: false,
+    port: 8000, // UDP port for OSC commands
+    allowedHosts: [], // Only listen to these senders; empty: anyone
+    feedbackHost: "", // Always sent feedback, e.g. the lighting desk
+    feedbackPort: 9000, // 0: reply to the port each sender used
+    addresses: {
+      "/parallelplay/play": "play",
+      "/parallelplay/syncedplay": "syncedPlay",
+      "/parallelplay/pause": "pause",
+      "/parallelplay/stop": "stop",
+      "/parallelplay/resume": "resume",
+      "/parallelplay/wakeup": "wakeUp",
+      "/parallelplay/arm": "arm",
+      "/parallelplay/sync": "sync",
+      "/parallelplay/fullscreen": "fullscreen",
+      "/parallelplay/seek": "seek",
+      "/parallelplay/skip/forward": "skipForward",
+      "/parallelplay/skip/backward": "skipBackward",
+      "/parallelplay/speed": "speed",
+      "/parallelplay/speed/reset": "resetSpeed",
+      "/parallelplay/next": "next",
+      "/parallelplay/previous": "previous",
+      "/parallelplay/goto": "jumpTo",
+      "/parallelplay/preset": "activatePreset",
+    },
+    // Feedback has its own namespace, so a desk that echoes what it
+    // receives does not send it back as commands
+    feedback: {
+      result: "/parallelplay/status/result", // command, message
+      error: "/parallelplay/status/error", // command, error
+      state: "/parallelplay/status/state", // show state
+      position: "/parallelplay/status/position", // seconds
+      timecode: "/parallelplay/status/timecode", // "HH:MM:SS:FF"
+      speed: "/parallelplay/status/speed", // rate
+      item: "/parallelplay/status/item", // number (from 1), title
+    },
+  },
+};
+
+const LOG_LEVELS = ["debug", "info", "warn", "error"];
+// What the Electron app's hotkeys and tray menu can do (see main.js)
+const HOTKEY_ACTIONS = [
+  "playPause",
+  "play",
+  "pause",
+  "stop",
+  "sync",
+  "skipForward",
+  "skipBackward",
+];
+const ENV_PREFIX = "PARALLELPLAY_";
+
+let current = null; // { config, file, loadedAt, overrides }
+let watching = false;
+const listeners = [];
+
+function configFile() {
+  return process.env.CONFIG_FILE || path.join(__dirname, "config.json");
+}
+
+// Helper: timing.playStartDelayMs -> PARALLELPLAY_TIMING_PLAY_START_DELAY_MS
+function envName(...keys) {
+  return (
+    ENV_PREFIX +
+    keys.map((key) => key.replace(/([a-z])([A-Z])/g, "$1_$2")).join("_")
+  ).toUpperCase();
+}
+
+// Helper: An environment string as the type of the setting it overrides
+function parseEnv(name, value, example) {
+  if (typeof example === "number") {
+    const number = Number(value);
+    if (value.trim() === "" || !Number.isFinite(number)) {
+      throw new Error(`${name} must be a number.`);
+    }
+    return number;
+  }
+  if (Array.isArray(example)) {
+    return value.split(path.delimiter).filter(Boolean);
+  }
+  if (example && typeof example === "object") {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      throw new Error(`${name} must be JSON.`);
+    }
+  }
+  if (typeof example === "boolean") {
+    if (!["true", "false"].includes(value)) {
+      throw new Error(`${name} must be true or false.`);
+    }
+    return value === "true";
+  }
+  return value;
+}
+
+// Defaults, then the file, then the environment
+function merge(fileConfig, env) {
+  const config = {};
+  const overrides = [];
+  Object.keys(fileConfig).forEach((key) => {
+    if (!(key in DEFAULTS)) throw new Error(`Unknown setting "${key}".`);
+  });
+  Object.entries(DEFAULTS).forEach(([key, defaults]) => {
+    const value = fileConfig[key];
+    if (Array.isArray(defaults) || typeof defaults !== "object") {
+      config[key] = value === undefined ? defaults : value;
+      return;
+    }
+    if (value !== undefined && (typeof value !== "object" || !value)) {
+      throw new Error(`Setting "${key}" must be an object.`);
+    }
+    Object.keys(value || {}).forEach((name) => {
+      if (!(name in defaults)) {
+        throw new Error(`Unknown setting "${key}.${name}".`);
+      }
+    });
+    config[key] = { ...defaults, ...value };
+    if (key === "osc" && value && value.feedback) {
+      // Feedback addresses not listed keep their defaults
+      config.osc.feedback = { ...defaults.feedback, ...value.feedback };
+    }
+    Object.keys(defaults).forEach((name) => {
+      const variable = envName(key, name);
+      if (env[variable] === undefined) return;
+      config[key][name] = parseEnv(variable, env[variable], defaults[name]);
+      overrides.push(variable);
+    });
+  });
+  if (Array.isArray(config.nodes)) {
+    config.nodes = config.nodes.map((node) => {
+      const entry = { ...node };
+      const hostVariable = envName("node", String(node.id), "host");
+      const portVariable = envName("node", String(node.id), "port");
+      if (env[hostVariable] !== undefined) {
+        entry.host = env[hostVariable];
+        overrides.push(hostVariable);
+      }
+      if (env[portVariable] !== undefined) {
+        entry.port = parseEnv(portVariable, env[portVariable], 0);
+        overrides.push(portVariable);
+      }
+      return entry;
+    });
+  }
+  return { config, overrides };
+}
+
+function validateNodes(nodes) {
+  const { DRIVERS } = require("./drivers");
+  if (!Array.isArray(nodes) || nodes.length === 0) {
+    throw new Error('Setting "nodes" must list at least one node.');
+  }
+  const ids = new Set();
+  nodes.forEach((node, index) => {
+    const driver = node.driver || "vlc";
+    const needsHost = driver !== "simulated" && !node.ipc;
+    if (!node.id || (needsHost && !node.host)) {
+      throw new Error(`Node #${index + 1} needs an id and host.`);
+    }
+    if (ids.has(node.id)) throw new Error(`Duplicate node id "${node.id}".`);
+    ids.add(node.id);
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown driver "${driver}" for node ${node.id}.`);
+    }
+    ["port", "agentPort"].forEach((name) => {
+      if (node[name] !== undefined && !Number.isInteger(node[name])) {
+        throw new Error(`Node ${node.id} ${name} must be a whole number.`);
+      }
+    });
+    if (
+      node.playerCommand !== undefined &&
+      typeof node.playerCommand !== "string"
+    ) {
+      throw new Error(`Node ${node.id} playerCommand must be a string.`);
+    }
+  });
+}
+
+function validateOsc({ port, feedbackPort, addresses, feedback }) {
+  const { ACTIONS } = require("./osc");
+  [
+    ["port", port],
+    ["feedbackPort", feedbackPort],
+  ].forEach(([name, value]) => {
+    if (!Number.isInteger(value) || value > 65535) {
+      throw new Error(`Setting "osc.${name}" must be a port number.`);
+    }
+  });
+  [
+    ["addresses", addresses],
+    ["feedback", feedback],
+  ].forEach(([name, value]) => {
+    if (!value || Array.isArray(value)) {
+      throw new Error(`Setting "osc.${name}" must be an object.`);
+    }
+  });
+  Object.entries(addresses).forEach(([address, action]) => {
+    if (!address.startsWith("/")) {
+      throw new Error(`OSC address "${address}" must start with "/".`);
+    }
+    if (!ACTIONS[action]) {
+      throw new Error(`Unknown OSC action "${action}" for ${address}.`);
+    }
+  });
+  Object.entries(feedback).forEach(([name, address]) => {
+    if (!(name in DEFAULTS.osc.feedback)) {
+      throw new Error(`Unknown OSC feedback "${name}".`);
+    }
+    if (typeof address !== "string") {
+      throw new Error(`OSC feedback "${name}" must be an address or "".`);
+    }
+    // A desk echoing the feedback would send it straight back as a command
+    if (address in addresses) {
+      throw new Error(
+        `OSC feedback "${name}" cannot use the command address ${address}.`
+      );
+    }
+  });
+}
+
+function validateHotkeys(hotkeys) {
+  if (!hotkeys || Array.isArray(hotkeys)) {
+    throw new Error('Setting "desktop.hotkeys" must be an object.');
+  }
+  Object.entries(hotkeys).forEach(([key, action]) => {
+    if (!HOTKEY_ACTIONS.includes(action)) {
+      throw new Error(
+        `Unknown hotkey action "${action}" for ${key}; use one of: ${HOTKEY_ACTIONS.join(", ")}.`
+      );
+    }
+  });
+}
+
+function validate(config) {
+  Object.entries(DEFAULTS).forEach(([key, defaults]) => {
+    if (Array.isArray(defaults) || typeof defaults !== "object") return;
+    Object.entries(defaults).forEach(([name, example]) => {
+      if (Array.isArray(example)) return; // Lists are checked below
+      const value = config[key][name];
+      if (typeof value !== typeof example) {
+        throw new Error(
+          `Setting "${key}.${name}" must be a ${typeof example}.`
+        );
+      }
+      if (typeof value === "number" && !(value >= 0)) {
+        throw new Error(`Setting "${key}.${name}" must not be negative.`);
+      }
+    });
+  });
+  const { port } = config.server;
+  if (!Number.isInteger(port) || port < 1 || port > 65535) {
+    throw new Error('Setting "server.port" must be a port number.');
+  }
+  if (!LOG_LEVELS.includes(config.logging.level)) {
+    throw new Error(
+      `Setting "logging.level" must be one of: ${LOG_LEVELS.join(", ")}.`
+    );
+  }
+  [
+    ["control", "skipSeconds"],
+    ["control", "frameRate"],
+    ["audio", "fadeStepMs"],
+    ["arm", "latencySamples"],
+  ].forEach(([key, name]) => {
+    if (!(config[key][name] > 0)) {
+      throw new Error(`Setting "${key}.${name}" must be more than 0.`);
+    }
+  });
+  if (config.sync.seekThreshold <= config.sync.nudgeThreshold) {
+    throw new Error(
+      'Setting "sync.seekThreshold" must be larger than "sync.nudgeThreshold".'
+    );
+  }
+  [
+    ["library", "folders"],
+    ["library", "extensions"],
+    ["osc", "allowedHosts"],
+  ].forEach(([key, name]) => {
+    const list = config[key][name];
+    if (!Array.isArray(list) || list.some((v) => typeof v !== "string")) {
+      throw new Error(`Setting "${key}.${name}" must be a list of strings.`);
+    }
+  });
+  validateOsc(config.osc);
+  validateHotkeys(config.desktop.hotkeys);
+  validateNodes(config.nodes);
+}
+
+// Read, merge and validate without applying; throws on any problem
+function read(file = configFile(), env = process.env) {
+  let fileConfig;
+  try {
+    fileConfig = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (err) {
+    throw new Error(`Could not read ${file}: ${err.message}`);
+  }
+  const { config, overrides } = merge(fileConfig, env);
+  validate(config);
+  const dir = path.dirname(file);
+  Object.keys(config.files).forEach((name) => {
+    config.files[name] = path.resolve(dir, config.files[name]);
+  });
+  config.library.folders = config.library.folders.map((folder) =>
+    path.resolve(dir, folder)
+  );
+  return { config, file, loadedAt: Date.now(), overrides };
+}
+
+function getConfig() {
+  if (!current) current = read();
+  return current.config;
+}
+
+// Helper: Resolve `file` against the config file's directory, like files.*
+function resolvePath(file) {
+  getConfig();
+  return path.resolve(path.dirname(current.file), file);
+}
+
+// The effective configuration, where it came from and what the environment changed
+function describeConfig() {
+  getConfig();
+  const { config, file, loadedAt, overrides } = current;
+  return { file, loadedAt, overrides, config };
+}
+
+// Helper: Be told about every successful reload with (config, previous)
+function onConfigChange(fn) {
+  listeners.push(fn);
+}
+
+// Re-read the file; a bad file is logged and the running config kept
+function reload() {
+  const { logAction, logError } = require("./log");
+  const previous = getConfig();
+  try {
+    current = read();
+  } catch (err) {
+    logError(
+      `Config reload failed, keeping the running config: ${err.message}`
+    );
+    return false;
+  }
+  logAction(`Config reloaded from ${current.file}`);
+  listeners.forEach((fn) => fn(current.config, previous));
+  return true;
+}
+
+function watch() {
+  if (watching) return;
+  watching = true;
+  fs.watchFile(configFile(), { interval: 1000 }, (now, before) => {
+    if (now.mtimeMs !== before.mtimeMs) reload();
+  });
+  process.on("SIGHUP", reload);
+}
+
+function unwatch() {
+  if (!watching) return;
+  watching = false;
+  fs.unwatchFile(configFile());
+  process.removeListener("SIGHUP", reload);
+}
+
+// Exported before the CLI runs: validation loads drivers, which load this file
+module.exports = {
+  DEFAULTS,
+  read,
+  getConfig,
+  resolvePath,
+  describeConfig,
+  onConfigChange,
+  reload,
+  watch,
+  unwatch,
+};
+
+if (require.main === module) {
+  const config = getConfig();
+  if (process.argv[2] === "--get") {
+    const value = process.argv[3]
+      .split(".")
+      .reduce((obj, key) => (obj == null ? undefined : obj[key]), config);
+    if (value === undefined) {
+      console.error(`No setting "${process.argv[3]}".`);
+      process.exit(1);
+    }
+    console.log(typeof value === "object" ? JSON.stringify(value) : value);
+  } else {
+    console.log(JSON.stringify(describeConfig(), null, 2));
+  }
+}
@@ -2,771 +2,1189 @@
 README:
 - Install dependencies: npm install
 - Start server: node control.js
-- The server listens on port 3000 by default.
-- Expects VLC web interfaces at http://10.10.10.2:8080 and http://10.10.10.1:8080
+- Run tests: npm test (fake VLC nodes, see test/fakeVlc.js)
+- Settings live in config.json (see config.js): the port (3000 by default),
+  the nodes, file locations and timings. Environment variables override
+  single settings; the file is reloaded when it changes; GET /config shows
+  what is in effect.
+- Logs go to logs/control.jsonl (see log.js); GET /logs filters them.
+- Expects a player on every node listed in config.json (see drivers/)
+- Logins and player passwords live in secrets.json (copy secrets.example.json;
+  `node auth.js --hash <password>` makes a password hash). Viewers can watch,
+  operators can also send commands.
+- /control commands run one at a time through a queue (see commands.js);
+  stop cancels whatever is running. GET /commands shows the queue.
+- The server keeps the show state (idle, loaded, armed, playing, paused,
+  stopped, error) in state.json and refuses commands that make no sense in
+  it (see showState.js). GET /show reports it; `resume` continues a show
+  from its last known position after a crash.
+- Running-order items can carry cues that send commands at set playback
+  times (see cues.js); GET /cues lists them, saveCue/deleteCue edit them.
+- /api/v1 is the versioned REST API (see api.js) with real status codes
+  and an OpenAPI document at /api/v1/openapi.json; /control stays for older
+  clients.
+- The media library (see library.js) indexes the folders in config.json:
+  GET /library searches it, GET /library/browse walks it and POST
+  /library/rescan reads the folders again. Saved paths and running orders
+  are checked on every node first.
+- Positions are sub-second: seek takes seconds or an HH:MM:SS:FF timecode
+  (see timecode.js), skips take an optional step, and pause lines every
+  node up on the same fraction of a second.
+- Audio (see audio.js): setVolume and setMute for all nodes or one `node`,
+  setAudioTrack/setSubtitleTrack per node, kept in the active preset.
+  stop can fade out first (fadeSeconds, or audio.stopFadeSeconds).
+- With osc.enabled, lighting and sound desks send OSC over UDP (see osc.js):
+  /parallelplay/play, /parallelplay/seek <seconds>, /parallelplay/speed
+  <rate> and so on, mapped in osc.addresses. The show state, position,
+  speed and current item go back to them as OSC feedback.
+- `arm` is the pre-show check (see arm.js): every node loads its file
+  paused on frame 0 and is checked for the file, its length, fullscreen
+  and latency; GET /arm shows the last checklist.
+- Every playback machine runs the node agent (`npm run agent`, see
+  agent.js), which starts its player with the control interface on and
+  restarts it if it crashes. GET /rig shows every agent and player; POST
+  /rig/start brings them all up and /rig/<node>/start|stop|restart one.
+- The scheduler (see schedule.js) runs commands at set times, once or by
+  cron, e.g. "0 6 * * *: activatePreset, arm, play". Entries live in
+  schedule.json; GET /schedule lists them, saveScheduleEntry,
+  deleteScheduleEntry and setScheduleEnabled edit them.
+- Every show session is recorded in sessions/ (see sessions.js): what
+  played, pauses, speed changes, sync corrections and node errors. GET
+  /sessions lists them, /sessions/<id>/report?format=csv|json exports one
+  and /sessions/drift shows which nodes keep drifting.
+- npm start opens the Electron app, which runs this server itself and
+  restarts it if it crashes (see supervisor.js and main.js). It adds a tray
+  menu and hotkeys (desktop.hotkeys). `npm run server` runs the server alone.
 */
 
+const path = require("path");
 const express = require("express");
-const fetch = require("node-fetch");
-const fs = require("fs");
 const bodyParser = require("body-parser");
+const {
+  logAction,
+  logWarn,
+  logError,
+  withLogContext,
+  newRequestId,
+  configureLogging,
+  readLogs,
+} = require("./log");
+const config = require("./config");
+const {
+  getNodes,
+  getPlayer,
+  getPlayerStatus,
+  forEachNode,
+  broadcast,
+  mergeResults,
+  enterFullscreenIfNeeded,
+  loadFile,
+  sleep,
+} = require("./nodes");
+const {
+  describeFiles,
+  readPaths,
+  savePaths,
+  resolveFiles,
+  missingFiles,
+} = require("./paths");
+const syncEngine = require("./syncEngine");
+const syncedStart = require("./syncedStart");
+const playlist = require("./playlist");
+const presets = require("./presets");
+const statusMonitor = require("./statusMonitor");
+const health = require("./health");
+const auth = require("./auth");
+const commands = require("./commands");
+const showState = require("./showState");
+const cues = require("./cues");
+const library = require("./library");
+const audio = require("./audio");
+const rig = require("./rig");
+const arm = require("./arm");
+const sessions = require("./sessions");
+const schedule = require("./schedule");
+const { parseTimecode, formatTimecode, roundSeconds } = require("./timecode");
+const api = require("./api");
+const osc = require("./osc");
 const app = express();
-const PORT = 3000;
-
-const LOG_FILE = "control_log.txt";
-const ERROR_LOG_FILE = "control_errors.log";
-const PATHS_FILE = "paths.txt";
-const VLC_URL_MASTER = "http://192.168.127.177:8080/requests/status.json";
-const VLC_URL_SLAVE = "http://192.168.127.141:8080/requests/status.json";
-const PASSWORD = "sairam";
+const UI_ASSETS = ["index.html", "Final logo.png"];
+
+// Commands that never touch media files, so they work before paths are saved
+const COMMANDS_WITHOUT_FILES = new Set([
+  "savePaths",
+  "syncStart",
+  "syncStop",
+  "syncSettings",
+  "cancelStart",
+  "savePlaylist",
+  "setAutoAdvance",
+  "next",
+  "previous",
+  "jumpTo",
+  "savePreset",
+  "deletePreset",
+  "activatePreset",
+  "saveCue",
+  "deleteCue",
+  "saveScheduleEntry",
+  "deleteScheduleEntry",
+  "setScheduleEnabled",
+  "setVolume",
+  "setMute",
+  "setAudioTrack",
+  "setSubtitleTrack",
+]);
+
+// Helper: Point the log at the configured directory and level
+function applyLoggingConfig({ logging, files }) {
+  configureLogging({ ...logging, dir: files.logDir });
+}
+applyLoggingConfig(config.getConfig());
+config.onConfigChange((next, previous) => {
+  if (
+    JSON.stringify([next.logging, next.files.logDir]) !==
+    JSON.stringify([previous.logging, previous.files.logDir])
+  ) {
+    applyLoggingConfig(next);
+  }
+});
 
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
-app.use(express.static("."));
+
+// The UI is opened from file:// by Electron, so allow cross-origin calls;
+// access is controlled by the bearer token, not by the origin
+app.use((req, res, next) => {
+  res.set({
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Authorization, Content-Type",
+    "Access-Control-Expose-Headers": "X-Request-Id",
+  });
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+});
 
 // Default route to serve index.html
 app.get("/", (req, res) => {
-  res.sendFile(__dirname + "/index.html");
+  res.sendFile(path.join(__dirname, "index.html"));
+});
+
+// Only the UI's own files are served; not presets, logs or secrets
+UI_ASSETS.forEach((asset) => {
+  app.get("/" + encodeURI(asset), (req, res) => {
+    res.sendFile(path.join(__dirname, asset));
+  });
 });
 
-// Logging middleware
-function logAction(message) {
-  const timestamp = new Date().toISOString().replace("T", " ").replace("Z", "");
-  const logMessage = `[${timestamp}] ${message}\n`;
-  fs.appendFileSync(LOG_FILE, logMessage);
+// The REST API; it checks logins itself so its OpenAPI document is public
+app.use("/api/v1", api.createRouter({ run: queueCommand }));
+
+app.post("/login", (req, res) => {
+  const session = auth.login(req.body.name, req.body.password);
+  if (!session) {
+    return res.status(401).json({ error: "Wrong name or password." });
+  }
+  res.json(session);
+});
+
+// Everything below needs a login; commands need an operator
+app.use(auth.requireRole("viewer"));
+
+app.post("/logout", (req, res) => {
+  auth.logout(auth.tokenOf(req));
+  res.json({ message: "Logged out." });
+});
+
+// Helper: Enter fullscreen on every node unless the active preset turns it off
+function applyFullscreenPreference() {
+  if (!presets.getActivePreset().fullscreen) return [];
+  return forEachNode(enterFullscreenIfNeeded);
 }
 
-// Error logging
-function logError(message) {
-  const timestamp = new Date().toISOString().replace("T", " ").replace("Z", "");
-  const logMessage = `[${timestamp}] ${message}\n`;
-  fs.appendFileSync(ERROR_LOG_FILE, logMessage);
+function describeFullscreen(results) {
+  if (results.length === 0) return "off (preset)";
+  return results
+    .map((r) => (r.ok ? `${r.label} - ${r.detail} ON` : `${r.label} - unknown`))
+    .join(", ");
 }
 
-// Helper: Send command to VLC
-async function sendCommand(url, password) {
+// Node registry for the UI (passwords stay on the server)
+app.get("/nodes", (req, res) => {
+  const files = readPaths();
+  res.json({
+    nodes: getNodes().map((node) => ({
+      id: node.id,
+      label: node.label,
+      host: node.host,
+      port: node.port,
+      local: node.local,
+      mediaPath: files[node.id] || "",
+    })),
+  });
+});
+
+// Sync engine state, per-node drift and any scheduled start
+app.get("/sync", (req, res) => {
+  res.json({
+    ...syncEngine.getStatus(),
+    scheduledStart: syncedStart.getScheduledStart(),
+  });
+});
+
+// Running order and the current item
+app.get("/playlist", (req, res) => {
+  res.json(playlist.getPlaylist());
+});
+
+// All presets and the name of the active one
+app.get("/presets", (req, res) => {
+  res.json(presets.listPresets());
+});
+
+// Volume, mute and tracks of every node, with the tracks each file has
+app.get("/audio", async (req, res) => {
+  res.json(await audio.getAudio());
+});
+
+// The last pre-show check (see arm.js), or null before the first
+app.get("/arm", (req, res) => {
+  res.json({ check: arm.getLastCheck() });
+});
+
+// Scheduled runs, the next one due first (see schedule.js)
+app.get("/schedule", (req, res) => {
+  res.json(schedule.getSchedule());
+});
+
+// Recorded show sessions, newest first (see sessions.js)
+app.get("/sessions", (req, res) => {
+  res.json(sessions.listSessions());
+});
+
+// Drift per node over the recent sessions
+app.get("/sessions/drift", (req, res) => {
+  res.json(sessions.driftSummary());
+});
+
+app.get("/sessions/:id", (req, res) => {
   try {
-    const res = await fetch(url, {
-      headers: {
-        Authorization:
-          "Basic " + Buffer.from(":" + password).toString("base64"),
-      },
-    });
-    return await res.text();
-  } catch (err) {
-    logError(`sendCommand error: ${err}`);
-    return null;
+    res.json(sessions.getSession(req.params.id));
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
   }
-}
+});
 
-// Helper: Get VLC status
-async function getVLCStatus(url, password) {
+// A session report to download, ?format=json (default) or csv
+app.get("/sessions/:id/report", (req, res) => {
+  const { id } = req.params;
+  const { format = "json" } = req.query;
   try {
-    const res = await fetch(url, {
-      headers: {
-        Authorization:
-          "Basic " + Buffer.from(":" + password).toString("base64"),
-      },
-    });
-    return await res.json();
-  } catch (err) {
-    logError(`getVLCStatus error: ${err}`);
-    return null;
+    const report = sessions.report(id, format);
+    res.attachment(`session-${id}.${format}`);
+    if (format === "csv") return res.type("text/csv").send(report);
+    res.json(report);
+  } catch (error) {
+    // 404 for an unknown session, 400 for a format other than json or csv
+    res.status(error.status || 500).json({ error: error.message });
   }
-}
+});
 
-// Helper: Check fullscreen
-async function isFullscreen(url, password) {
-  const data = await getVLCStatus(url, password);
-  return data && typeof data.fullscreen !== "undefined" ? data.fullscreen : -1;
-}
+// Every node's agent and player (see rig.js)
+app.get("/rig", async (req, res) => {
+  res.json(await rig.getRig());
+});
+
+// Start every player that is not ready
+app.post("/rig/start", auth.requireRole("operator"), async (req, res) => {
+  res.json(await rig.startAll());
+});
 
-// Helper: Read paths
-function readPaths() {
-  logAction(`Reading paths from ${PATHS_FILE}`);
-  if (fs.existsSync(PATHS_FILE)) {
-    const content = fs.readFileSync(PATHS_FILE, "utf-8");
-    logAction(`File content: ${content}`);
-    const lines = content.split(/\r?\n/);
-    let masterFile = "",
-      slaveFile = "";
-    lines.forEach((line) => {
-      if (line.startsWith("MASTER_VIDEO_PATH="))
-        masterFile = line.replace("MASTER_VIDEO_PATH=", "");
-      if (line.startsWith("SLAVE_VIDEO_PATH="))
-        slaveFile = line.replace("SLAVE_VIDEO_PATH=", "");
+// Start, stop or restart one node's player
+app.post("/rig/:id/:action", auth.requireRole("operator"), async (req, res) => {
+  try {
+    const entry = await rig.playerAction(req.params.id, req.params.action);
+    if (entry.error) {
+      // The agent did not answer or refused
+      return res.status(502).json({ error: entry.error, node: entry });
+    }
+    res.json({
+      message: `${entry.label}: player ${entry.player.state}${
+        entry.player.error ? ` (${entry.player.error})` : ""
+      }`,
+      node: entry,
     });
-    logAction(
-      `Read paths: masterFile="${masterFile}", slaveFile="${slaveFile}"`
-    );
-    return { masterFile, slaveFile };
+  } catch (error) {
+    // 404 for an unknown node or action, 400 for a node without an agent
+    res.status(error.status || 400).json({ error: error.message });
   }
-  logAction(`Paths file ${PATHS_FILE} does not exist`);
-  return { masterFile: "", slaveFile: "" };
-}
+});
 
-// Helper: Save paths
-function savePaths(masterFile, slaveFile) {
-  fs.writeFileSync(
-    PATHS_FILE,
-    `MASTER_VIDEO_PATH=${masterFile}\nSLAVE_VIDEO_PATH=${slaveFile}`
-  );
-}
+// Health of every node: online/degraded/offline, last seen, error counts
+app.get("/health", (req, res) => {
+  res.json(health.getHealth());
+});
 
-// Helper: Set fullscreen (always enter fullscreen)
-async function setFullscreen(url, password, label) {
-  logAction(`${label} setting fullscreen`);
-  await sendCommand(
-    `${url.replace("/requests/status.json", "")}?command=fullscreen`,
-    password
-  );
-  return `${label} set to fullscreen.`;
-}
+// Live node status, show state, cues, the schedule and the command queue as
+// Server-Sent Events
+app.get("/events", (req, res) => {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+  });
+  res.flushHeaders();
+  const unsubscribe = statusMonitor.subscribe((snapshot) => {
+    res.write(`event: status\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  });
+  const sendShow = (show) => {
+    res.write(`event: show\ndata: ${JSON.stringify(show)}\n\n`);
+  };
+  sendShow(showState.getShowState());
+  const unsubscribeShow = showState.subscribe(sendShow);
+  const sendCues = (list) => {
+    res.write(`event: cues\ndata: ${JSON.stringify(list)}\n\n`);
+  };
+  const unsubscribeCues = cues.subscribe(sendCues);
+  const sendSchedule = (list) => {
+    res.write(`event: schedule\ndata: ${JSON.stringify(list)}\n\n`);
+  };
+  const unsubscribeSchedule = schedule.subscribe(sendSchedule);
+  const sendCommands = (snapshot) => {
+    res.write(`event: commands\ndata: ${JSON.stringify(snapshot)}\n\n`);
+  };
+  sendCommands(commands.listCommands());
+  const unsubscribeCommands = commands.subscribe(sendCommands);
+  req.on("close", () => {
+    unsubscribe();
+    unsubscribeCommands();
+    unsubscribeShow();
+    unsubscribeCues();
+    unsubscribeSchedule();
+  });
+});
 
-// Helper: Enter fullscreen only if not already in fullscreen
-async function enterFullscreenIfNeeded(url, password, label) {
-  const status = await isFullscreen(url, password);
-  logAction(`${label} fullscreen status: ${status}`);
-
-  if (status === 1) {
-    // Already in fullscreen, do nothing
-    return `${label} already in fullscreen.`;
-  } else {
-    // Not in fullscreen or status unknown, enter fullscreen
-    await sendCommand(
-      `${url.replace("/requests/status.json", "")}?command=fullscreen`,
-      password
-    );
-    return `${label} entered fullscreen.`;
+// Log entries, filtered by level, node, command, requestId, since/until
+app.get("/logs", async (req, res) => {
+  try {
+    res.json({ entries: await readLogs(req.query) });
+  } catch (error) {
+    res.json({ error: error.message });
   }
-}
+});
 
-// Helper: Force load correct files from paths.txt (optimized)
-async function forceLoadCorrectFiles(masterFile, slaveFile) {
-  logAction(
-    `Checking if correct files are loaded: Master="${masterFile}", Slave="${slaveFile}"`
-  );
-
-  // Quick check - only load if VLC is not playing or if we can't get status
-  const statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-  const statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-
-  // Only force load if VLC is not playing or status is unavailable
-  const shouldLoadMaster =
-    !statusMaster ||
-    statusMaster.state === "stopped" ||
-    statusMaster.state === "paused";
-  const shouldLoadSlave =
-    !statusSlave ||
-    statusSlave.state === "stopped" ||
-    statusSlave.state === "paused";
-
-  if (shouldLoadMaster) {
-    logAction(`Loading master file: ${masterFile}`);
-    await sendCommand(
-      `${VLC_URL_MASTER.replace(
-        "/status.json",
-        ""
-      )}?command=in_play&input=${encodeURIComponent(masterFile)}`,
-      PASSWORD
-    );
+// The configuration in effect: file, load time, environment overrides
+app.get("/config", (req, res) => {
+  res.json(config.describeConfig());
+});
+
+// Cues of a running-order item (?item=<index>, default the current one)
+app.get("/cues", (req, res) => {
+  try {
+    const index =
+      req.query.item === undefined ? undefined : Number(req.query.item);
+    res.json(cues.getCues(index));
+  } catch (error) {
+    res.json({ error: error.message });
   }
+});
 
-  if (shouldLoadSlave) {
-    logAction(`Loading slave file: ${slaveFile}`);
-    await sendCommand(
-      `${VLC_URL_SLAVE.replace(
-        "/status.json",
-        ""
-      )}?command=in_play&input=${encodeURIComponent(slaveFile)}`,
-      PASSWORD
-    );
+// Library files matching ?q= (every word), optionally in ?folder=, up to ?limit=
+app.get("/library", async (req, res) => {
+  try {
+    const { q, folder, limit } = req.query;
+    res.json(await library.search({ query: q, folder, limit }));
+  } catch (error) {
+    res.json({ error: error.message });
   }
+});
 
-  // Only wait if we actually loaded files
-  if (shouldLoadMaster || shouldLoadSlave) {
-    await new Promise((resolve) => setTimeout(resolve, 500));
-    logAction("Files loaded successfully");
-  } else {
-    logAction("Files already loaded, skipping load operation");
+// One library folder (?path=), or the configured media folders
+app.get("/library/browse", async (req, res) => {
+  try {
+    res.json(await library.browse(req.query.path));
+  } catch (error) {
+    res.json({ error: error.message });
   }
-}
+});
 
-// Main endpoint
-app.post("/control", async (req, res) => {
-  logAction("Accessed /control");
-  logAction("GET Data: " + JSON.stringify(req.query));
-  logAction("POST Data: " + JSON.stringify(req.body));
+app.post("/library/rescan", auth.requireRole("operator"), async (req, res) => {
+  try {
+    const { items, errors } = await library.rescan();
+    res.json({ message: `Media library has ${items.length} files.`, errors });
+  } catch (error) {
+    res.json({ error: error.message });
+  }
+});
 
-  let { command, masterFile, slaveFile, seekValue } = req.body;
-  if (!slaveFile) slaveFile = masterFile; // fallback for legacy
+// Helper: The response to a failed command. `status` is the HTTP status the
+// /api/v1 routes answer with (an error's own status wins); /control, which
+// always answers 200, leaves it out.
+function failure(error, status = 400, fields = {}) {
+  if (error instanceof Error) {
+    return { error: error.message, status: error.status || status, ...fields };
+  }
+  return { error, status, ...fields };
+}
 
-  // Always read latest paths from file for all commands except savePaths
-  if (command !== "savePaths") {
-    const paths = readPaths();
-    masterFile = masterFile || paths.masterFile;
-    slaveFile = slaveFile || paths.slaveFile;
-
-    if (!masterFile || !slaveFile) {
-      return res.json({
-        error: "No file paths found. Please save file paths first.",
-      });
-    }
+// Helper: Refuse files a node says it does not have; a node that cannot
+// tell only earns a warning. Returns { error } or { warning }.
+async function checkNodeFiles(files, what = "") {
+  const { missing, unchecked } = await library.checkFiles(files);
+  if (missing.length > 0) {
+    const error = missing
+      .map((node) => `${what}${node.file} is not on ${node.label}.`)
+      .join(" ");
+    logWarn(`Refused to save: ${error}`);
+    return failure(error, 422);
+  }
+  if (unchecked.length > 0) {
+    return {
+      warning: `Could not check the files on ${unchecked
+        .map((node) => node.label)
+        .join(", ")}.`,
+    };
   }
+  return {};
+}
 
-  let responseMessage = "";
+// The show state the server keeps (see showState.js)
+app.get("/show", (req, res) => {
+  res.json(showState.getShowState());
+});
 
-  switch (command) {
-    case "play": {
-      const { masterFile, slaveFile } = readPaths();
-      if (!masterFile || !slaveFile) {
-        return res.json({ error: "File paths not found. Save them first." });
-      }
+// Queued, running and recently finished commands
+app.get("/commands", (req, res) => {
+  res.json(commands.listCommands());
+});
 
-      // Check current playback state
-      const [statusMaster, statusSlave] = await Promise.all([
-        getVLCStatus(VLC_URL_MASTER, PASSWORD),
-        getVLCStatus(VLC_URL_SLAVE, PASSWORD),
-      ]);
+app.get("/commands/:id", (req, res) => {
+  const command = commands.getCommand(req.params.id);
+  if (!command) return res.status(404).json({ error: "No such command." });
+  res.json(command);
+});
 
-      const masterPaused = statusMaster?.state === "paused";
-      const slavePaused = statusSlave?.state === "paused";
+app.post("/commands/:id/cancel", auth.requireRole("operator"), (req, res) => {
+  try {
+    const command = commands.cancel(req.params.id, req.session.name);
+    res.json({ message: `Cancelling ${command.command}.`, command });
+  } catch (error) {
+    // 404 for an unknown command, 409 for one that has already finished
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
 
-      const resumingFromPause = masterPaused || slavePaused;
+// Run a command `body` for a request through the queue (see commands.js),
+// tagging everything logged meanwhile with a request id; resolves to the
+// response body
+function queueCommand(req, res, body) {
+  const requestId = newRequestId();
+  const { command } = body;
+  const startedAt = Date.now();
+  res.set("X-Request-Id", requestId);
+  res.on("finish", () => {
+    logAction("Command finished", {
+      requestId,
+      command,
+      durationMs: Date.now() - startedAt,
+    });
+  });
+  return withLogContext({ requestId, command }, async () => {
+    logAction("Command received", { body });
+    const job = { id: requestId, command, by: req.session.name };
+    try {
+      return await commands.run(job, () => runRecorded(body));
+    } catch (error) {
+      if (commands.isCancelled(error)) return failure(error, 409);
+      logError(`${command} failed: ${error.message}`);
+      return failure(error, 500);
+    }
+  });
+}
 
-      if (!resumingFromPause) {
-        logAction("Enqueuing media files on both players...");
-        await sendCommand(
-          `${VLC_URL_MASTER}?command=in_enqueue&input=${encodeURIComponent(masterFile)}`,
-          PASSWORD
-        );
-        await sendCommand(
-          `${VLC_URL_SLAVE}?command=in_enqueue&input=${encodeURIComponent(slaveFile)}`,
-          PASSWORD
-        );
+// Helper: Run a command and add what it did to the session history
+async function runRecorded(body) {
+  const result = await runCommand(body);
+  sessions.recordCommand(body, result);
+  return result;
+}
 
-        logAction("Activating enqueued files (pl_next)...");
-        await sendCommand(`${VLC_URL_MASTER}?command=pl_next`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=pl_next`, PASSWORD);
+// Run one /control command; resolves to the response body
+async function runCommand(body) {
+  const { command, seekValue } = body;
 
-        // Reset playback rate and seek to 0 only on fresh start
-        await sendCommand(`${VLC_URL_MASTER}?command=rate&val=1.0`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=rate&val=1.0`, PASSWORD);
-        await sendCommand(`${VLC_URL_MASTER}?command=seek&val=0`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=seek&val=0`, PASSWORD);
+  // Always read latest paths from file for all commands except savePaths
+  const files = resolveFiles(body, command !== "savePaths" ? readPaths() : {});
+  if (!COMMANDS_WITHOUT_FILES.has(command) && missingFiles(files).length > 0) {
+    return failure("No file paths found. Please save file paths first.", 409);
+  }
+
+  try {
+    showState.checkCommand(command);
+  } catch (error) {
+    return failure(error, 409);
+  }
+  const { state } = showState.getShowState();
+  // Players that are paused or hold a loaded file (a held playlist item, an
+  // arm) start from where they are instead of loading the file again
+  const held = state === "paused" || state === "loaded";
+
+  let responseMessage = "";
+  let nodeResults = [];
+  let nextState = null; // Where the show goes if any player followed
+  let position; // Seconds to remember for resume, if the command knows it
 
-        logAction("Waiting 1 second before starting playback...");
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+  switch (command) {
+    case "play": {
+      const { speed } = presets.getActivePreset();
+      const { playStartDelayMs } = config.getConfig().timing;
+
+      let loadResults = [];
+      if (!held) {
+        logAction("Loading media files on all players...");
+        loadResults = await forEachNode((node) =>
+          loadFile(node, files[node.id], speed)
+        );
+
+        logAction(`Waiting ${playStartDelayMs}ms before starting playback...`);
+        await sleep(playStartDelayMs);
       }
 
       // Start/resume playback
-      await sendCommand(`${VLC_URL_MASTER}?command=pl_play`, PASSWORD);
-      await sendCommand(`${VLC_URL_SLAVE}?command=pl_play`, PASSWORD);
+      const playResults = await broadcast("play");
 
       // Wait a bit for playback to initialize before checking fullscreen
-      await new Promise((resolve) => setTimeout(resolve, 300));
-
-      const [updatedStatusMaster, updatedStatusSlave] = await Promise.all([
-        getVLCStatus(VLC_URL_MASTER, PASSWORD),
-        getVLCStatus(VLC_URL_SLAVE, PASSWORD),
-      ]);
+      await sleep(config.getConfig().timing.fullscreenDelayMs);
 
-      const fullscreenMaster = updatedStatusMaster.fullscreen === true;
-      const fullscreenSlave = updatedStatusSlave.fullscreen === true;
+      const fullscreenResults = await applyFullscreenPreference();
+      nodeResults = mergeResults(loadResults, playResults, fullscreenResults);
+      nextState = "playing";
 
-      if (!fullscreenMaster) {
-        await sendCommand(`${VLC_URL_MASTER}?command=fullscreen`, PASSWORD);
+      const fullscreen = describeFullscreen(fullscreenResults);
+      if (state === "paused") {
+        responseMessage = `Playback resumed from paused position. Fullscreen: ${fullscreen}.`;
+      } else if (held) {
+        responseMessage = `Playback started from the loaded position. Fullscreen: ${fullscreen}.`;
+      } else {
+        responseMessage = `Playback started in sync after ${playStartDelayMs / 1000}-second buffer. Rate set to ${speed}x. Fullscreen: ${fullscreen}.`;
+      }
+      break;
+    }
+    case "syncedPlay": {
+      const { startAt } = body;
+      if (startAt) {
+        try {
+          const target = syncedStart.scheduleStart(files, startAt, held);
+          nextState = "armed";
+          responseMessage = `Synchronized start scheduled for ${new Date(
+            target
+          ).toLocaleTimeString()}.`;
+        } catch (error) {
+          return failure(error);
+        }
+        break;
       }
-      if (!fullscreenSlave) {
-        await sendCommand(`${VLC_URL_SLAVE}?command=fullscreen`, PASSWORD);
+      try {
+        const result = await syncedStart.synchronizedStart(files, null, held);
+        nodeResults = result.nodes;
+        nextState = "playing";
+        const offsets = nodeResults
+          .filter((r) => r.ok)
+          .map((r) => `${r.label} ${r.detail.offsetMs}ms`)
+          .join(", ");
+        responseMessage = `${
+          result.resumingFromPause ? "Playback resumed" : "Playback started"
+        } on a shared start instant. Latency offsets: ${offsets}.`;
+      } catch (error) {
+        return failure(error);
+      }
+      break;
+    }
+    case "cancelStart": {
+      const cancelled = syncedStart.cancelScheduledStart();
+      responseMessage = cancelled
+        ? "Scheduled start cancelled."
+        : "No start was scheduled.";
+      // Back to where the show was when the start was armed
+      if (cancelled && state === "armed") {
+        nextState = showState.getShowState().previous || "idle";
       }
-
-      responseMessage = resumingFromPause
-        ? `Playback resumed from paused position. Fullscreen: Master - ${fullscreenMaster ? "already" : "now"} ON, Slave - ${fullscreenSlave ? "already" : "now"} ON.`
-        : `Playback started in sync after 1-second buffer. Rate set to 1.0x. Fullscreen: Master - ${fullscreenMaster ? "already" : "now"} ON, Slave - ${fullscreenSlave ? "already" : "now"} ON.`;
       break;
     }
-
-    // case "play": {
-    //   const { masterFile, slaveFile } = readPaths();
-    //   if (!masterFile || !slaveFile) {
-    //     return res.json({ error: "File paths not found. Save them first." });
-    //   }
-
-    //   logAction("Enqueuing media files on both players...");
-    //   await sendCommand(
-    //     `${VLC_URL_MASTER}?command=in_enqueue&input=${encodeURIComponent(
-    //       masterFile
-    //     )}`,
-    //     PASSWORD
-    //   );
-    //   await sendCommand(
-    //     `${VLC_URL_SLAVE}?command=in_enqueue&input=${encodeURIComponent(
-    //       slaveFile
-    //     )}`,
-    //     PASSWORD
-    //   );
-
-    //   logAction("Activating enqueued files (pl_next)...");
-    //   await sendCommand(`${VLC_URL_MASTER}?command=pl_next`, PASSWORD);
-    //   await sendCommand(`${VLC_URL_SLAVE}?command=pl_next`, PASSWORD);
-
-    //   // Reset playback rate to normal
-    //   await sendCommand(`${VLC_URL_MASTER}?command=rate&val=1.0`, PASSWORD);
-    //   await sendCommand(`${VLC_URL_SLAVE}?command=rate&val=1.0`, PASSWORD);
-
-    //   // Optional: Seek to 0 if needed
-    //   await sendCommand(`${VLC_URL_MASTER}?command=seek&val=0`, PASSWORD);
-    //   await sendCommand(`${VLC_URL_SLAVE}?command=seek&val=0`, PASSWORD);
-
-    //   logAction("Waiting 1 second before starting playback...");
-    //   await new Promise((resolve) => setTimeout(resolve, 1000)); // Let VLC buffer and stabilize
-
-    //   // Start playback
-    //   await sendCommand(`${VLC_URL_MASTER}?command=pl_play`, PASSWORD);
-    //   await sendCommand(`${VLC_URL_SLAVE}?command=pl_play`, PASSWORD);
-
-    //   // Fullscreen handling
-    //   const [statusMaster, statusSlave] = await Promise.all([
-    //     getVLCStatus(VLC_URL_MASTER, PASSWORD),
-    //     getVLCStatus(VLC_URL_SLAVE, PASSWORD),
-    //   ]);
-    //   if (!statusMaster.fullscreen) {
-    //     await sendCommand(`${VLC_URL_MASTER}?command=fullscreen`, PASSWORD);
-    //   }
-    //   if (!statusSlave.fullscreen) {
-    //     await sendCommand(`${VLC_URL_SLAVE}?command=fullscreen`, PASSWORD);
-    //   }
-
-    //   responseMessage =
-    //     "Playback started in sync after 1-second buffer. Rate set to 1.0x.";
-    //   break;
-    // }
-
-    ///////////////////////////////////////
-    // case "play": {
-    //   const { masterFile, slaveFile } = readPaths();
-    //   if (!masterFile || !slaveFile) {
-    //     return res.json({ error: "File paths not found. Save them first." });
-    //   }
-
-    //   // Check current playback state
-    //   const [statusMaster, statusSlave] = await Promise.all([
-    //     getVLCStatus(VLC_URL_MASTER, PASSWORD),
-    //     getVLCStatus(VLC_URL_SLAVE, PASSWORD),
-    //   ]);
-
-    //   const masterPaused = statusMaster?.state === "paused";
-    //   const slavePaused = statusSlave?.state === "paused";
-
-    //   const resumingFromPause = masterPaused || slavePaused;
-
-    //   if (!resumingFromPause) {
-    //     logAction("Enqueuing media files on both players...");
-    //     await sendCommand(
-    //       `${VLC_URL_MASTER}?command=in_enqueue&input=${encodeURIComponent(masterFile)}`,
-    //       PASSWORD
-    //     );
-    //     await sendCommand(
-    //       `${VLC_URL_SLAVE}?command=in_enqueue&input=${encodeURIComponent(slaveFile)}`,
-    //       PASSWORD
-    //     );
-
-    //     logAction("Activating enqueued files (pl_next)...");
-    //     await sendCommand(`${VLC_URL_MASTER}?command=pl_next`, PASSWORD);
-    //     await sendCommand(`${VLC_URL_SLAVE}?command=pl_next`, PASSWORD);
-
-    //     // Reset playback rate and seek to 0 only on fresh start
-    //     await sendCommand(`${VLC_URL_MASTER}?command=rate&val=1.0`, PASSWORD);
-    //     await sendCommand(`${VLC_URL_SLAVE}?command=rate&val=1.0`, PASSWORD);
-    //     await sendCommand(`${VLC_URL_MASTER}?command=seek&val=0`, PASSWORD);
-    //     await sendCommand(`${VLC_URL_SLAVE}?command=seek&val=0`, PASSWORD);
-
-    //     logAction("Waiting 1 second before starting playback...");
-    //     await new Promise((resolve) => setTimeout(resolve, 1000));
-    //   }
-
-    //   // Start/resume playback
-    //   await sendCommand(`${VLC_URL_MASTER}?command=pl_play`, PASSWORD);
-    //   await sendCommand(`${VLC_URL_SLAVE}?command=pl_play`, PASSWORD);
-
-    //   // Fullscreen handling
-    //   if (!statusMaster.fullscreen) {
-    //     await sendCommand(`${VLC_URL_MASTER}?command=fullscreen`, PASSWORD);
-    //   }
-    //   if (!statusSlave.fullscreen) {
-    //     await sendCommand(`${VLC_URL_SLAVE}?command=fullscreen`, PASSWORD);
-    //   }
-
-    //   responseMessage = resumingFromPause
-    //     ? "Playback resumed from paused position."
-    //     : "Playback started in sync after 1-second buffer. Rate set to 1.0x.";
-    //   break;
-    // }
-    /////////////////////////////
     case "pause": {
-      const statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-      const statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-      if (!statusMaster || !statusSlave)
-        return res.json({ error: "Could not retrieve VLC status." });
-      const isMasterPlaying = statusMaster.state === "playing";
-      const isSlavePlaying = statusSlave.state === "playing";
-      const masterTime = statusMaster.time || 0;
-      const slaveTime = statusSlave.time || 0;
-      const maxTime = Math.max(masterTime, slaveTime);
-      // Seek both to the latest time
-      await sendCommand(
-        `${VLC_URL_MASTER}?command=seek&val=${maxTime}`,
-        PASSWORD
+      // Pause first (drivers leave paused players alone), then read where
+      // each one stopped so they all end up on the same sub-second point
+      const pauseResults = await forEachNode((node) => getPlayer(node).pause());
+      const statuses = {};
+      await Promise.all(
+        getNodes().map(async (node) => {
+          statuses[node.id] = await getPlayerStatus(node);
+        })
       );
-      await sendCommand(
-        `${VLC_URL_SLAVE}?command=seek&val=${maxTime}`,
-        PASSWORD
+      const reachable = getNodes().filter((node) => statuses[node.id]);
+      if (reachable.length === 0)
+        return failure("Could not retrieve player status.", 502);
+      const maxTime = Math.max(
+        ...reachable.map((node) => statuses[node.id].time)
       );
-      // Only pause those that are currently playing
-      if (isMasterPlaying) {
-        await sendCommand(`${VLC_URL_MASTER}?command=pl_pause`, PASSWORD);
-      }
-      if (isSlavePlaying) {
-        await sendCommand(`${VLC_URL_SLAVE}?command=pl_pause`, PASSWORD);
-      }
-      responseMessage = `Both players synced to ${maxTime} sec and paused (no toggling).`;
+      const seekResults = await forEachNode(async (node) => {
+        if (!statuses[node.id]) {
+          throw new Error(`${node.label} status unavailable.`);
+        }
+        // Seek to the latest time
+        await getPlayer(node).seek(maxTime);
+      });
+      nodeResults = mergeResults(pauseResults, seekResults);
+      nextState = "paused";
+      position = maxTime;
+      responseMessage = `All players synced to ${roundSeconds(
+        maxTime
+      )} sec (${formatTimecode(
+        maxTime,
+        library.frameRateOf(files)
+      )}) and paused (no toggling).`;
       break;
     }
     case "stop": {
-      await sendCommand(`${VLC_URL_MASTER}?command=pl_stop`, PASSWORD);
-      await sendCommand(`${VLC_URL_SLAVE}?command=pl_stop`, PASSWORD);
-      responseMessage = "Both players stopped.";
+      syncedStart.cancelScheduledStart();
+      // fadeSeconds overrides audio.stopFadeSeconds. A stop sent during the
+      // fade cancels that stop and cuts straight away.
+      const fadeSeconds = Number(
+        body.fadeSeconds !== undefined
+          ? body.fadeSeconds
+          : config.getConfig().audio.stopFadeSeconds
+      );
+      const [last] = commands.listCommands().finished.slice(-1);
+      const interrupted =
+        last && last.command === "stop" && last.status === "cancelled";
+      const fading = fadeSeconds > 0 && state === "playing" && !interrupted;
+      if (fading) await audio.fade(getNodes(), () => 0, fadeSeconds);
+      nodeResults = await broadcast("stop");
+      if (fading || interrupted) await audio.restoreLevels();
+      nextState = "stopped";
+      responseMessage = fading
+        ? `All players faded out over ${fadeSeconds}s and stopped.`
+        : "All players stopped.";
       break;
     }
     case "seek": {
-      if (seekValue && !isNaN(seekValue)) {
-        await sendCommand(
-          `${VLC_URL_MASTER}?command=seek&val=${seekValue}`,
-          PASSWORD
-        );
-        await sendCommand(
-          `${VLC_URL_SLAVE}?command=seek&val=${seekValue}`,
-          PASSWORD
-        );
-        responseMessage = "Seek command sent.";
-      } else {
-        return res.json({ error: "Invalid or missing seek value." });
+      // Seconds, HH:MM:SS or a frame as HH:MM:SS:FF
+      let target;
+      try {
+        target = parseTimecode(seekValue, library.frameRateOf(files));
+      } catch (error) {
+        return failure("Invalid or missing seek value.");
       }
+      nodeResults = await broadcast("seek", [target]);
+      responseMessage = "Seek command sent.";
       break;
     }
-    case "skip_forward": {
-      const statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-      const statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-      if (!statusMaster || !statusSlave)
-        return res.json({ error: "Could not retrieve VLC status." });
-      const masterTime = (statusMaster.time || 0) + 10;
-      const slaveTime = (statusSlave.time || 0) + 10;
-      await sendCommand(
-        `${VLC_URL_MASTER}?command=seek&val=${masterTime}`,
-        PASSWORD
-      );
-      await sendCommand(
-        `${VLC_URL_SLAVE}?command=seek&val=${slaveTime}`,
-        PASSWORD
-      );
-      responseMessage = "Skipped forward 10 seconds.";
+    case "skip_forward":
+    case "skip_backward": {
+      // `step` (seconds or a timecode, e.g. 00:00:00:01 for one frame)
+      // overrides control.skipSeconds
+      let size = config.getConfig().control.skipSeconds;
+      if (body.step !== undefined && body.step !== "") {
+        try {
+          size = parseTimecode(body.step, library.frameRateOf(files));
+        } catch (error) {
+          return failure(error);
+        }
+        if (!(size > 0)) return failure("The skip step must be more than 0.");
+      }
+      const step = command === "skip_forward" ? size : -size;
+      nodeResults = await forEachNode(async (node) => {
+        const status = await getPlayerStatus(node);
+        if (!status) throw new Error("Could not retrieve player status.");
+        const time = Math.max(0, status.time + step);
+        await getPlayer(node).seek(time);
+        return roundSeconds(time);
+      });
+      if (nodeResults.every((r) => !r.ok))
+        return failure("Could not retrieve player status.", 502, {
+          nodes: nodeResults,
+        });
+      responseMessage =
+        step > 0
+          ? `Skipped forward ${roundSeconds(size)} seconds.`
+          : `Skipped backward ${roundSeconds(size)} seconds.`;
       break;
     }
-    case "skip_backward": {
-      const statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-      const statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-      if (!statusMaster || !statusSlave)
-        return res.json({ error: "Could not retrieve VLC status." });
-      const masterTime = Math.max(0, (statusMaster.time || 0) - 10);
-      const slaveTime = Math.max(0, (statusSlave.time || 0) - 10);
-      await sendCommand(
-        `${VLC_URL_MASTER}?command=seek&val=${masterTime}`,
-        PASSWORD
-      );
-      await sendCommand(
-        `${VLC_URL_SLAVE}?command=seek&val=${slaveTime}`,
-        PASSWORD
+    case "wakeUp": {
+      // Load files paused (loadFile) so playback starts together below
+      const { speed } = presets.getActivePreset();
+      const loadResults = await forEachNode((node) =>
+        loadFile(node, files[node.id], speed)
       );
-      responseMessage = "Skipped backward 10 seconds.";
+
+      // Let everything settle
+      await sleep(config.getConfig().timing.playStartDelayMs);
+
+      // Start playback
+      const playResults = await broadcast("play");
+
+      // Set fullscreen if not already
+      const fullscreenResults = await applyFullscreenPreference();
+      nodeResults = mergeResults(loadResults, playResults, fullscreenResults);
+      nextState = "playing";
+
+      responseMessage =
+        "Wake-up completed: media loaded, rate set, playback started smoothly.";
       break;
     }
-    case "wakeUp": {
-      if (masterFile && slaveFile) {
-        // Load files using in_enqueue + pl_next instead of in_play to avoid auto-start
-        await sendCommand(
-          `${VLC_URL_MASTER}?command=in_enqueue&input=${encodeURIComponent(
-            masterFile
-          )}`,
-          PASSWORD
-        );
-        await sendCommand(
-          `${VLC_URL_SLAVE}?command=in_enqueue&input=${encodeURIComponent(
-            slaveFile
-          )}`,
-          PASSWORD
-        );
 
-        await new Promise((resolve) => setTimeout(resolve, 300)); // Give time to enqueue
+    case "arm": {
+      // The pre-show check: load everything paused on frame 0, never play.
+      // The show is then "loaded", so play starts from frame 0 as armed.
+      const check = await arm.armNodes(files);
+      if (arm.loadedNodes(check).length > 0) {
+        showState.setShowState("loaded", { command });
+      }
+      if (!check.ready) {
+        const problems = check.nodes
+          .filter((node) => !node.ok)
+          .map(
+            (node) => `${node.label} (${arm.failedChecks(node).join(", ")})`
+          );
+        return failure(`Not ready: ${problems.join("; ")}.`, 409, {
+          arm: check,
+        });
+      }
+      return {
+        message: `Armed: every check passed on ${check.nodes.length} nodes. Nothing is playing.`,
+        arm: check,
+      };
+    }
+
+    case "resume": {
+      // Continue from the last known position, e.g. after a crash
+      const saved = showState.getShowState().position;
+      if (typeof saved !== "number") {
+        return failure("There is no saved position to resume from.", 409);
+      }
+      const { speed } = presets.getActivePreset();
+      const loadResults = await forEachNode(async (node) => {
+        await loadFile(node, files[node.id], speed);
+        await getPlayer(node).seek(saved);
+      });
+      await sleep(config.getConfig().timing.playStartDelayMs);
+      const playResults = await broadcast("play");
+      const fullscreenResults = await applyFullscreenPreference();
+      nodeResults = mergeResults(loadResults, playResults, fullscreenResults);
+      nextState = "playing";
+      responseMessage = `Show resumed at ${saved.toFixed(1)} sec.`;
+      break;
+    }
 
-        // Move to enqueued track (won't auto-play)
-        await sendCommand(`${VLC_URL_MASTER}?command=pl_next`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=pl_next`, PASSWORD);
+    case "fullscreen": {
+      // Refresh status to get fullscreen flags
+      await sleep(config.getConfig().timing.fullscreenDelayMs);
+      nodeResults = await forEachNode(enterFullscreenIfNeeded);
 
-        // Set rate to 1.0x
-        await sendCommand(`${VLC_URL_MASTER}?command=rate&val=1.0`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=rate&val=1.0`, PASSWORD);
+      responseMessage = `All players playing. Fullscreen: ${describeFullscreen(nodeResults)}.`;
+      break;
+    }
 
-        // Seek to beginning
-        await sendCommand(`${VLC_URL_MASTER}?command=seek&val=0`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=seek&val=0`, PASSWORD);
+    case "sync": {
+      const nodes = getNodes();
+      const statuses = {};
+      const hasTime = (status) => status && typeof status.time !== "undefined";
+      const { statusRetries, syncThresholdSeconds, syncLeadSeconds } =
+        config.getConfig().control;
 
-        // Let everything settle
-        await new Promise((resolve) => setTimeout(resolve, 1000));
+      // Try fetching status with retries
+      for (let i = 0; i < statusRetries; i++) {
+        await Promise.all(
+          nodes
+            .filter((node) => !hasTime(statuses[node.id]))
+            .map(async (node) => {
+              statuses[node.id] = await getPlayerStatus(node);
+            })
+        );
+        if (nodes.every((node) => hasTime(statuses[node.id]))) break;
+        await sleep(config.getConfig().timing.statusRetryDelayMs);
+      }
 
-        // Start playback
-        await sendCommand(`${VLC_URL_MASTER}?command=pl_play`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=pl_play`, PASSWORD);
+      if (nodes.every((node) => !hasTime(statuses[node.id]))) {
+        return failure("All players are unreachable.", 502);
+      }
 
-        // Set fullscreen if not already
-        const [statusMaster, statusSlave] = await Promise.all([
-          getVLCStatus(VLC_URL_MASTER, PASSWORD),
-          getVLCStatus(VLC_URL_SLAVE, PASSWORD),
-        ]);
-        if (!statusMaster.fullscreen) {
-          await sendCommand(`${VLC_URL_MASTER}?command=fullscreen`, PASSWORD);
-        }
-        if (!statusSlave.fullscreen) {
-          await sendCommand(`${VLC_URL_SLAVE}?command=fullscreen`, PASSWORD);
+      // Wake up (recover) any node that is unreachable or not playing
+      const wakeResults = await forEachNode(async (node) => {
+        const status = statuses[node.id];
+        if (hasTime(status) && status.state === "playing") return;
+        const result = await health.recoverNode(node, files);
+        statuses[node.id] = await getPlayerStatus(node);
+        if (!hasTime(statuses[node.id])) {
+          throw new Error(
+            `${node.label} player is unreachable or failed to reload.`
+          );
         }
+        return result;
+      });
 
-        responseMessage =
-          "Wake-up completed: media loaded, rate set, playback started smoothly.";
-      } else {
-        return res.json({ error: "File paths not found. Save them first." });
+      // Compare timestamps and sync only the ones behind
+      const live = nodes.filter((node) => hasTime(statuses[node.id]));
+      const timeOf = (node) => statuses[node.id].time;
+      const leaderTime = Math.max(...live.map(timeOf));
+      const behind = live.filter(
+        (node) => leaderTime - timeOf(node) > syncThresholdSeconds
+      );
+
+      // Only sync if there's a significant difference
+      if (behind.length === 0) {
+        nodeResults = wakeResults;
+        if (state === "error") nextState = "playing"; // Recovered players play
+        responseMessage = "Players already in sync.";
+        break;
       }
+
+      const seekResults = await forEachNode(async (node) => {
+        await getPlayer(node).seek(leaderTime + syncLeadSeconds);
+        logAction(
+          `Synced ${node.label} from ${timeOf(node).toFixed(
+            1
+          )}s to ${leaderTime.toFixed(1)}s`
+        );
+      }, behind);
+
+      // Ensure playback continues on all
+      const playResults = await broadcast("play", [], live);
+      nodeResults = mergeResults(wakeResults, seekResults, playResults);
+      nextState = "playing";
+
+      const finalTime = leaderTime + syncLeadSeconds;
+      responseMessage = `Sync complete. All players are now playing at ~${finalTime.toFixed(
+        1
+      )} sec.`;
       break;
     }
 
-    case "fullscreen": {
-      // Refresh status to get fullscreen flags
-      await new Promise((resolve) => setTimeout(resolve, 300));
-      statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-      statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
+    case "syncStart":
+    case "syncSettings": {
+      const { settings } = body;
+      try {
+        if (command === "syncStart") syncEngine.start(settings);
+        else syncEngine.configure(settings);
+      } catch (error) {
+        return failure(error);
+      }
+      const { running, settings: applied } = syncEngine.getStatus();
+      responseMessage = `Auto sync ${running ? "running" : "stopped"}: every ${
+        applied.intervalMs
+      } ms, nudge above ${applied.nudgeThreshold}s, seek above ${
+        applied.seekThreshold
+      }s.`;
+      break;
+    }
 
-      const fullscreenMaster = statusMaster.fullscreen === true;
-      const fullscreenSlave = statusSlave.fullscreen === true;
+    case "syncStop": {
+      syncEngine.stop();
+      responseMessage = "Auto sync stopped.";
+      break;
+    }
 
-      if (!fullscreenMaster) {
-        await sendCommand(`${VLC_URL_MASTER}?command=fullscreen`, PASSWORD);
-      }
-      if (!fullscreenSlave) {
-        await sendCommand(`${VLC_URL_SLAVE}?command=fullscreen`, PASSWORD);
+    case "savePlaylist": {
+      try {
+        const items = playlist.normalizeItems(body.items);
+        const warnings = [];
+        for (const [i, item] of items.entries()) {
+          const check = await checkNodeFiles(item.files, `Item ${i + 1}: `);
+          if (check.error) return check;
+          if (check.warning) warnings.push(check.warning);
+        }
+        const saved = playlist.savePlaylist(items, body.autoAdvance);
+        const message = `Playlist saved with ${saved.items.length} items.`;
+        if (warnings.length === 0) return { message };
+        return { message, warning: [...new Set(warnings)].join(" ") };
+      } catch (error) {
+        return failure(error);
       }
+    }
 
-      responseMessage = `Both players playing. Fullscreen: Master - ${fullscreenMaster ? "already" : "now"
-        } ON, Slave - ${fullscreenSlave ? "already" : "now"} ON.`;
+    case "setAutoAdvance": {
+      playlist.setAutoAdvance(body.enabled === true);
+      responseMessage = `Auto-advance ${body.enabled === true ? "on" : "off"}.`;
       break;
     }
 
-    case "sync": {
-      // Always read the latest paths from file
-      const { masterFile, slaveFile } = readPaths();
-      if (!masterFile || !slaveFile) {
-        return res.json({ error: "File paths not found. Save them first." });
+    case "next":
+    case "previous":
+    case "jumpTo": {
+      // play: false holds the item on its first frame, true starts it
+      const options = typeof body.play === "boolean" ? { play: body.play } : {};
+      try {
+        const result =
+          command === "jumpTo"
+            ? await playlist.loadItem(Number(body.index), options)
+            : await playlist[command](options);
+        nodeResults = result.nodes;
+        responseMessage = `Loaded item ${result.index + 1}/${
+          playlist.getPlaylist().items.length
+        }: ${result.item.title}${result.playing ? " (playing)" : ""}.`;
+      } catch (error) {
+        return failure(error);
       }
+      break;
+    }
 
-      let statusMaster, statusSlave;
-      const retries = 3;
-      let masterOk = false,
-        slaveOk = false;
+    case "saveCue": {
+      try {
+        const cue = cues.saveCue(body.item, body.cue);
+        responseMessage = `Cue at ${cues.formatCueTime(cue.at)} saved.`;
+      } catch (error) {
+        return failure(error);
+      }
+      break;
+    }
 
-      // Try fetching status with retries
-      for (let i = 0; i < retries; i++) {
-        statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-        statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-        masterOk = statusMaster && typeof statusMaster.time !== "undefined";
-        slaveOk = statusSlave && typeof statusSlave.time !== "undefined";
-        if (masterOk && slaveOk) break;
-        await new Promise((r) => setTimeout(r, 200));
+    case "deleteCue": {
+      try {
+        cues.deleteCue(body.item, body.id);
+        responseMessage = "Cue deleted.";
+      } catch (error) {
+        return failure(error);
       }
+      break;
+    }
 
-      if (!masterOk && !slaveOk) {
-        return res.json({ error: "Both VLC systems are unreachable." });
-      } else if (!masterOk) {
-        // Attempt to wake up master
-        await sendCommand(
-          `${VLC_URL_MASTER.replace(
-            "/status.json",
-            ""
-          )}?command=in_play&input=${encodeURIComponent(masterFile)}`,
-          PASSWORD
-        );
-        await new Promise((r) => setTimeout(r, 350));
-        statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-        if (!statusMaster || typeof statusMaster.time === "undefined") {
-          return res.json({
-            error: "Master VLC is unreachable or failed to reload.",
-          });
-        }
-      } else if (!slaveOk) {
-        // Attempt to wake up slave
-        await sendCommand(
-          `${VLC_URL_SLAVE.replace(
-            "/status.json",
-            ""
-          )}?command=in_play&input=${encodeURIComponent(slaveFile)}`,
-          PASSWORD
-        );
-        await new Promise((r) => setTimeout(r, 350));
-        statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-        if (!statusSlave || typeof statusSlave.time === "undefined") {
-          return res.json({
-            error: "Slave VLC is unreachable or failed to reload.",
-          });
-        }
+    case "saveScheduleEntry": {
+      try {
+        const entry = schedule.saveEntry(body.entry);
+        responseMessage = entry.nextRunAt
+          ? `Schedule entry saved; next run ${new Date(
+              entry.nextRunAt
+            ).toLocaleString()}.`
+          : "Schedule entry saved.";
+      } catch (error) {
+        return failure(error);
       }
+      break;
+    }
 
-      // Reload file if not in 'playing' state
-      let didWakeMaster = false,
-        didWakeSlave = false;
-      if (statusMaster.state !== "playing") {
-        await sendCommand(
-          `${VLC_URL_MASTER.replace(
-            "/status.json",
-            ""
-          )}?command=in_play&input=${encodeURIComponent(masterFile)}`,
-          PASSWORD
-        );
-        await new Promise((r) => setTimeout(r, 350));
-        statusMaster = await getVLCStatus(VLC_URL_MASTER, PASSWORD);
-        didWakeMaster = true;
+    case "deleteScheduleEntry": {
+      try {
+        schedule.deleteEntry(body.id);
+        responseMessage = "Schedule entry deleted.";
+      } catch (error) {
+        return failure(error);
       }
-      if (statusSlave.state !== "playing") {
-        await sendCommand(
-          `${VLC_URL_SLAVE.replace(
-            "/status.json",
-            ""
-          )}?command=in_play&input=${encodeURIComponent(slaveFile)}`,
-          PASSWORD
-        );
-        await new Promise((r) => setTimeout(r, 350));
-        statusSlave = await getVLCStatus(VLC_URL_SLAVE, PASSWORD);
-        didWakeSlave = true;
+      break;
+    }
+
+    case "setScheduleEnabled": {
+      try {
+        const entry = schedule.setEnabled(body.id, body.enabled === true);
+        responseMessage = `Schedule entry ${entry.enabled ? "on" : "off"}.`;
+      } catch (error) {
+        return failure(error);
       }
-      //
-      // Compare timestamps and sync only the one behind
-      const masterTime = parseFloat(statusMaster.time);
-      const slaveTime = parseFloat(statusSlave.time);
-      const threshold = 0.5;
+      break;
+    }
 
-      // Only sync if there's a significant difference
-      if (Math.abs(masterTime - slaveTime) > threshold) {
-        if (masterTime < slaveTime) {
-          // Master is behind, sync it to slave's time
-          await sendCommand(
-            `${VLC_URL_MASTER}?command=seek&val=${slaveTime + 1} `,
-            PASSWORD
-          );
-          logAction(
-            `Synced master from ${masterTime.toFixed(
-              1
-            )}s to ${slaveTime.toFixed(1)}s`
-          );
-        } else if (slaveTime < masterTime) {
-          // Slave is behind, sync it to master's time
-          await sendCommand(
-            `${VLC_URL_SLAVE}?command=seek&val=${masterTime + 1}`,
-            PASSWORD
-          );
-          logAction(
-            `Synced slave from ${slaveTime.toFixed(1)}s to ${masterTime.toFixed(
-              1
-            )}s`
-          );
+    case "savePreset": {
+      try {
+        const preset = { ...body.preset };
+        if (preset.playlist) {
+          preset.playlist = {
+            ...preset.playlist,
+            items: playlist.normalizeItems(preset.playlist.items || []),
+          };
         }
+        const saved = presets.savePreset(preset);
+        if (saved.name === presets.getActivePreset().name) playlist.refresh();
+        responseMessage = `Preset "${saved.name}" saved.`;
+      } catch (error) {
+        return failure(error);
+      }
+      break;
+    }
 
-        // Ensure playback continues on both
-        await sendCommand(`${VLC_URL_MASTER}?command=pl_play`, PASSWORD);
-        await sendCommand(`${VLC_URL_SLAVE}?command=pl_play`, PASSWORD);
+    case "deletePreset": {
+      try {
+        presets.deletePreset(body.name);
+        responseMessage = `Preset "${body.name}" deleted.`;
+      } catch (error) {
+        return failure(error);
+      }
+      break;
+    }
 
-        const finalTime = Math.max(masterTime, slaveTime) + 1;
-        const message = `Sync complete. Both players are now playing at ~${finalTime.toFixed(
-          1
-        )} sec.`;
-        return res.json({ message });
+    case "activatePreset": {
+      try {
+        const preset = presets.activatePreset(body.name);
+        playlist.refresh();
+        responseMessage = `Preset "${preset.name}" active: ${
+          preset.playlist.items.length
+        } playlist items, speed ${preset.speed}x, fullscreen ${
+          preset.fullscreen ? "on" : "off"
+        }.`;
+      } catch (error) {
+        return failure(error);
       }
+      break;
     }
 
     case "setSpeed": {
-      const { speed } = req.body;
+      const { speed } = body;
       if (speed && !isNaN(speed) && speed > 0) {
-        logAction(`Setting speed to ${speed}x on both systems`);
+        logAction(`Setting speed to ${speed}x on all systems`);
 
-        // Set speed on both master and slave
-        await sendCommand(
-          `${VLC_URL_MASTER}?command=rate&val=${speed}`,
-          PASSWORD
-        );
-        await sendCommand(
-          `${VLC_URL_SLAVE}?command=rate&val=${speed}`,
-          PASSWORD
-        );
+        nodeResults = await broadcast("setRate", [Number(speed)]);
 
         // Wait for speed changes to take effect
-        await new Promise((resolve) => setTimeout(resolve, 200));
+        await sleep(config.getConfig().timing.speedSettleMs);
 
-        responseMessage = `Speed set to ${speed}x on both players.`;
+        responseMessage = `Speed set to ${speed}x on all players.`;
       } else {
-        return res.json({
-          error: "Invalid speed value. Must be a positive number.",
-        });
+        return failure("Invalid speed value. Must be a positive number.");
       }
       break;
     }
 
     case "resetSpeed": {
-      logAction("Resetting speed to 1.0x on both systems");
-      await sendCommand(`${VLC_URL_MASTER}?command=rate&val=1.0`, PASSWORD);
-      await sendCommand(`${VLC_URL_SLAVE}?command=rate&val=1.0`, PASSWORD);
-      await new Promise((resolve) => setTimeout(resolve, 200));
-      responseMessage = "Speed reset to 1.0x on both players.";
+      logAction("Resetting speed to 1.0x on all systems");
+      nodeResults = await broadcast("setRate", [1.0]);
+      await sleep(config.getConfig().timing.speedSettleMs);
+      responseMessage = "Speed reset to 1.0x on all players.";
+      break;
+    }
+
+    // Audio for the group, or for one node when `node` is sent
+    case "setVolume":
+    case "setMute": {
+      const node = body.node ? String(body.node) : null;
+      const where = node ? `on ${node}` : "on all players";
+      try {
+        if (command === "setVolume") {
+          const volume = Number(body.volume);
+          const fadeSeconds = Number(body.fadeSeconds) || 0;
+          if (body.volume === "" || !Number.isFinite(volume)) {
+            return failure("Invalid volume value. Must be a number.");
+          }
+          nodeResults = await audio.setVolume(node, volume, fadeSeconds);
+          responseMessage = `Volume ${volume}% ${where}.`;
+        } else {
+          const muted = body.muted !== false;
+          nodeResults = await audio.setMuted(node, muted);
+          responseMessage = `${muted ? "Muted" : "Unmuted"} ${where}.`;
+        }
+      } catch (error) {
+        if (commands.isCancelled(error)) throw error;
+        return failure(error);
+      }
+      break;
+    }
+
+    case "setAudioTrack":
+    case "setSubtitleTrack": {
+      const kind = command === "setAudioTrack" ? "audio" : "subtitle";
+      const track = Number(body.track);
+      try {
+        nodeResults = await audio.setTrack(String(body.node), kind, track);
+      } catch (error) {
+        return failure(error);
+      }
+      responseMessage =
+        track === -1
+          ? `Subtitles off on ${body.node}.`
+          : `${kind === "audio" ? "Audio" : "Subtitle"} track ${track} on ${
+              body.node
+            }.`;
       break;
     }
     case "savePaths": {
-      logAction(
-        `savePaths command received. masterFile: "${masterFile}", slaveFile: "${slaveFile}"`
-      );
-      if (masterFile && slaveFile) {
+      logAction(`savePaths command received. ${describeFiles(files)}`);
+      const missing = missingFiles(files);
+      if (missing.length === 0) {
+        const check = await checkNodeFiles(files);
+        if (check.error) return check;
         try {
-          logAction(`About to save paths to ${PATHS_FILE}`);
-          savePaths(masterFile, slaveFile);
-          logAction(`Paths saved successfully to ${PATHS_FILE}`);
+          const { name } = presets.getActivePreset();
+          logAction(`About to save paths to preset "${name}"`);
+          savePaths(files);
+          logAction(`Paths saved successfully to preset "${name}"`);
 
           // Verify the file was written correctly
           const savedPaths = readPaths();
           logAction(
-            `Verification - read back from file: masterFile="${savedPaths.masterFile}", slaveFile="${savedPaths.slaveFile}"`
+            `Verification - read back from preset: ${describeFiles(savedPaths)}`
           );
 
-          return res.json({ message: "Paths saved successfully." });
+          return { message: "Paths saved successfully.", ...check };
         } catch (error) {
           logError(`Error saving paths: ${error.message}`);
-          return res.json({ error: `Failed to save paths: ${error.message}` });
+          return failure(`Failed to save paths: ${error.message}`, 500);
         }
       } else {
         logAction(
-          `savePaths failed: Missing file paths. masterFile: "${masterFile}", slaveFile: "${slaveFile}"`
+          `savePaths failed: Missing file paths for ${missing
+            .map((node) => node.label)
+            .join(", ")}`
         );
-        return res.json({ error: "Missing file paths." });
+        return failure("Missing file paths.");
       }
     }
     default:
-      return res.json({ error: "Invalid command." });
+      return failure("Invalid command.");
   }
-  res.json({ message: responseMessage });
-});
 
-app.listen(PORT, () => {
-  console.log(`Control server running on port ${PORT}`);
+  const failed = nodeResults.filter((r) => !r.ok);
+  if (nodeResults.length > 0 && failed.length === nodeResults.length) {
+    showState.setShowState("error", { command });
+    return failure(
+      `No player responded: ${failed.map((r) => r.error).join(" ")}`,
+      502,
+      { nodes: nodeResults }
+    );
+  }
+  if (nextState) showState.setShowState(nextState, { command, position });
+  if (failed.length > 0) {
+    responseMessage += ` Failed on ${failed.map((r) => r.label).join(", ")}.`;
+  }
+  if (nodeResults.length === 0) return { message: responseMessage };
+  return { message: responseMessage, nodes: nodeResults };
+}
+
+// Helper: Send a command from the server itself (cues, OSC), through the queue
+function runInternalCommand(body, by) {
+  return commands
+    .runInternal(body.command, by, () => runRecorded(body))
+    .catch((error) => ({ error: error.message }));
+}
+
+// Legacy endpoint for older clients: one command string per request, always
+// answered with HTTP 200. New integrations use /api/v1 (see api.js).
+app.post("/control", auth.requireRole("operator"), async (req, res) => {
+  const { status, ...response } = await queueCommand(req, res, req.body);
+  res.json(response);
 });
+
+app.use("/api/v1", api.handleErrors);
+
+// Listen only when run directly; the tests mount the app themselves
+if (require.main === module) {
+  const { port } = config.getConfig().server;
+  app.listen(port, () => {
+    health.start();
+    sessions.start();
+    library
+      .rescan()
+      .catch((err) => logError(`Media library scan failed: ${err.message}`));
+    statusMonitor.subscribe(showState.reconcile);
+    cues.start((body) => runInternalCommand(body, "cue"));
+    osc.start(runInternalCommand);
+    schedule.start((body) => runInternalCommand(body, "schedule"));
+    config.watch();
+    console.log(`Control server running on port ${port}`);
+    // Started by the Electron app (see supervisor.js)
+    if (process.send) process.send({ type: "listening", port });
+  });
+  config.onConfigChange((next, previous) => {
+    if (next.server.port !== previous.server.port) {
+      logWarn(`server.port changed to ${next.server.port}; restart to use it`);
+    }
+  });
+}
+
+module.exports = app;
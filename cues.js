@@ -0,0 +1,307 @@
+/*
+Cue list: timed actions attached to a running-order item, e.g. "at 02:15
+pause", "at 04:00 setSpeed 1.0" or "at end, next holding on the first frame".
+- A cue has an id, a time (`at`: seconds, "MM:SS", "HH:MM:SS" or "end"), a
+  /control command with its arguments and an optional label. Cues are saved
+  with their item in the active preset.
+- While the show is playing, the engine follows the synchronized position
+  from the status monitor and fires each cue once as the position passes it.
+  Cues go through the command queue like any operator command.
+- A cue due before the next poll gets its own timer, so it fires on time
+  rather than on the poll after it.
+- Seeking back re-arms the cues after the new position. Jumping forward by
+  more than cues.catchUpSeconds passes over the cues in between instead of
+  firing them all at once.
+- "end" is the item's end trim point, or the end of the media.
+*/
+
+const crypto = require("crypto");
+const { logAction, logWarn, logError } = require("./log");
+const { getActivePreset, updateActivePreset } = require("./presets");
+const { getShowState } = require("./showState");
+const { getConfig } = require("./config");
+const statusMonitor = require("./statusMonitor");
+
+// /control commands a cue may send
+const CUE_COMMANDS = [
+  "play",
+  "pause",
+  "stop",
+  "seek",
+  "setSpeed",
+  "resetSpeed",
+  "fullscreen",
+  "sync",
+  "next",
+  "previous",
+  "jumpTo",
+  "syncStart",
+  "syncStop",
+];
+const SEEK_BACK_SECONDS = 0.5; // Smaller steps back are poll jitter
+
+let tracking = null; // { index, title, fired: Set of cue ids, lastPosition }
+let timer = null;
+let execute = null;
+const listeners = [];
+
+// Helper: Seconds from a number, "MM:SS" or "HH:MM:SS"; "end" stays "end"
+function parseCueTime(value) {
+  if (value === "end") return "end";
+  if (typeof value === "number") {
+    if (Number.isFinite(value) && value >= 0) return value;
+  } else if (/^\d+(\.\d+)?$/.test(String(value).trim())) {
+    return Number(value);
+  } else if (/^\d+(:\d{1,2}){1,2}(\.\d+)?$/.test(String(value).trim())) {
+    return String(value)
+      .trim()
+      .split(":")
+      .reduce((total, part) => total * 60 + Number(part), 0);
+  }
+  throw new Error(
+    `Invalid cue time "${value}". Use seconds, MM:SS, HH:MM:SS or "end".`
+  );
+}
+
+// Helper: 135 -> "02:15"
+function formatCueTime(at) {
+  if (at === "end") return "end";
+  const minutes = Math.floor(at / 60);
+  const seconds = at - minutes * 60;
+  return `${String(minutes).padStart(2, "0")}:${seconds
+    .toFixed(seconds % 1 ? 1 : 0)
+    .padStart(2, "0")}`;
+}
+
+// Helper: Check a cue and fill in defaults
+function normalizeCue(cue) {
+  if (!cue || typeof cue !== "object") throw new Error("A cue is missing.");
+  if (!CUE_COMMANDS.includes(cue.command)) {
+    throw new Error(`A cue cannot send "${cue.command}".`);
+  }
+  const args = cue.args === undefined ? {} : cue.args;
+  if (!args || typeof args !== "object" || Array.isArray(args)) {
+    throw new Error("Cue arguments must be an object.");
+  }
+  return {
+    id: cue.id ? String(cue.id) : crypto.randomBytes(4).toString("hex"),
+    at: parseCueTime(cue.at),
+    command: cue.command,
+    args,
+    label: cue.label ? String(cue.label) : "",
+  };
+}
+
+// Helper: Cue times in order, "end" last
+function cueOrder(a, b) {
+  if (a.at === "end" || b.at === "end") {
+    return (a.at === "end") - (b.at === "end");
+  }
+  return a.at - b.at;
+}
+
+// Check a list of cues (used by playlist.js for every item)
+function normalizeCues(cues = []) {
+  if (!Array.isArray(cues)) throw new Error("Cues must be a list.");
+  return cues.map(normalizeCue).sort(cueOrder);
+}
+
+// Helper: Item `index` of the running order, or the current one
+function findItem(index) {
+  const { items, current } = getActivePreset().playlist;
+  const itemIndex = index === undefined || index === null ? current : index;
+  if (!Number.isInteger(itemIndex) || !items[itemIndex]) {
+    const error = new Error(
+      itemIndex === -1
+        ? "No playlist item is loaded."
+        : `No playlist item ${Number(itemIndex) + 1}.`
+    );
+    error.status = itemIndex === -1 ? 409 : 404;
+    throw error;
+  }
+  return { items, index: itemIndex, item: items[itemIndex] };
+}
+
+function writeCues(index, cues) {
+  const { playlist } = getActivePreset();
+  const items = playlist.items.map((item, i) =>
+    i === index ? { ...item, cues } : item
+  );
+  updateActivePreset({ playlist: { ...playlist, items } });
+  changed();
+}
+
+// The cues of item `index` (default: the current item), with the ones still
+// to come in this run of the item
+function getCues(index) {
+  const { index: itemIndex, item } = findItem(index);
+  const cues = item.cues || [];
+  const active = tracking && tracking.index === itemIndex;
+  return {
+    index: itemIndex,
+    title: item.title,
+    cues,
+    upcoming: cues.filter((cue) => !active || !tracking.fired.has(cue.id)),
+    position: active ? tracking.lastPosition : null,
+  };
+}
+
+// Create a cue, or replace the one with the same id
+function saveCue(index, cue) {
+  const { index: itemIndex, item } = findItem(index);
+  const saved = normalizeCue(cue);
+  const cues = (item.cues || []).filter((c) => c.id !== saved.id);
+  writeCues(itemIndex, [...cues, saved].sort(cueOrder));
+  logAction(
+    `Cue at ${formatCueTime(saved.at)} (${saved.command}) saved on "${item.title}"`
+  );
+  return saved;
+}
+
+function deleteCue(index, id) {
+  const { index: itemIndex, item } = findItem(index);
+  const cues = item.cues || [];
+  if (!cues.some((cue) => cue.id === id)) {
+    const error = new Error("No such cue.");
+    error.status = 404;
+    throw error;
+  }
+  writeCues(
+    itemIndex,
+    cues.filter((cue) => cue.id !== id)
+  );
+  logAction(`Cue ${id} deleted from "${item.title}"`);
+}
+
+// Helper: Be told when cues change or fire, with getCues()
+function subscribe(fn) {
+  listeners.push(fn);
+  return () => listeners.splice(listeners.indexOf(fn), 1);
+}
+
+function changed() {
+  let cues;
+  try {
+    cues = getCues();
+  } catch (err) {
+    cues = null; // No current item
+  }
+  listeners.forEach((fn) => fn(cues));
+}
+
+function fire(cue) {
+  tracking.fired.add(cue.id);
+  const name = cue.label || cue.command;
+  logAction(`Cue "${name}" at ${formatCueTime(cue.at)}: ${cue.command}`, {
+    cue: cue.id,
+  });
+  changed();
+  if (!execute) return;
+  Promise.resolve(execute({ ...cue.args, command: cue.command }))
+    .then((result) => {
+      if (result && result.error) {
+        logWarn(`Cue "${name}" failed: ${result.error}`, { cue: cue.id });
+      }
+    })
+    .catch((err) => logError(`Cue "${name}" failed: ${err.message}`));
+}
+
+// Follow one status snapshot: fire the cues the position has passed and time
+// the next one if it is due before the next poll
+function check(snapshot) {
+  clearTimeout(timer);
+  timer = null;
+  const { items, current } = getActivePreset().playlist;
+  const item = items[current];
+  if (!item || !item.cues || item.cues.length === 0) {
+    tracking = null;
+    return;
+  }
+  if (
+    !tracking ||
+    tracking.index !== current ||
+    tracking.title !== item.title
+  ) {
+    tracking = { index: current, title: item.title, fired: new Set() };
+    tracking.lastPosition = null;
+    changed();
+  }
+  const reference = snapshot.nodes.find((n) => n.id === snapshot.reference);
+  if (getShowState().state !== "playing" || !reference || !reference.online) {
+    return;
+  }
+
+  const { catchUpSeconds } = getConfig().cues;
+  const { endMarginSeconds } = getConfig().playlist;
+  let end = Infinity; // Until the player knows the length
+  if (item.end !== null && item.end !== undefined) end = item.end;
+  else if (reference.length > 0) end = reference.length - endMarginSeconds;
+  const timeOf = (cue) => (cue.at === "end" ? end : cue.at);
+  const position = reference.time;
+  let last = tracking.lastPosition;
+  if (last === null) {
+    // Just started: cues from the item's start on are still to come
+    const start = item.start || 0;
+    last = position - start <= catchUpSeconds ? start - 0.001 : position;
+  }
+  if (position < last - SEEK_BACK_SECONDS) {
+    // Seeked back: re-arm everything after the new position
+    item.cues.forEach((cue) => {
+      if (timeOf(cue) > position) tracking.fired.delete(cue.id);
+    });
+    last = position;
+  }
+  const passed = item.cues.filter(
+    (cue) =>
+      !tracking.fired.has(cue.id) &&
+      timeOf(cue) > last &&
+      timeOf(cue) <= position
+  );
+  if (position - last > catchUpSeconds) {
+    passed.forEach((cue) => tracking.fired.add(cue.id));
+    if (passed.length > 0) {
+      logAction(`Jumped over ${passed.length} cue(s) without firing them`);
+      changed();
+    }
+  } else {
+    passed.forEach(fire);
+  }
+  tracking.lastPosition = Math.max(position, last);
+
+  const next = item.cues.find(
+    (cue) => !tracking.fired.has(cue.id) && timeOf(cue) > position
+  );
+  if (!next) return;
+  const delayMs = ((timeOf(next) - position) / (reference.rate || 1)) * 1000;
+  if (delayMs <= getConfig().statusMonitor.pollIntervalMs) {
+    const entry = tracking;
+    timer = setTimeout(() => {
+      timer = null;
+      const playing = getShowState().state === "playing";
+      if (tracking === entry && playing && !entry.fired.has(next.id)) {
+        entry.lastPosition = timeOf(next);
+        fire(next);
+      }
+    }, delayMs);
+  }
+}
+
+// Start following the status monitor; cues are sent with execute(body), which
+// runs a /control command body and resolves to its response
+function start(run) {
+  execute = run;
+  return statusMonitor.subscribe(check);
+}
+
+module.exports = {
+  CUE_COMMANDS,
+  parseCueTime,
+  formatCueTime,
+  normalizeCues,
+  getCues,
+  saveCue,
+  deleteCue,
+  subscribe,
+  check,
+  start,
+};
@@ -0,0 +1,44 @@
+/*
+Player drivers. Every driver is a factory taking a node from the registry and
+returning the same interface:
+  load(file)          load without starting playback
+  play() / pause() / stop()
+  seek(seconds)       absolute position, to the fraction of a second
+  setRate(rate)       playback speed, 1.0 = normal
+  setFullscreen(on)   resolves true if the fullscreen state changed
+  setVolume(percent)  output volume, 100 = normal, 0 = silent
+  setAudioTrack(id) / setSubtitleTrack(id)
+                      track ids from getTracks(); -1 turns subtitles off
+  getTracks()         { audio: [{ id, name }], subtitle: [{ id, name }] }
+  getStatus()         { state: "playing"|"paused"|"stopped", time, length,
+                        position, rate, fullscreen, volume }; time in
+                        seconds with the fraction, volume in percent
+  fileExists(path)    whether the node can open the file; rejects if the
+                      node cannot tell
+A node picks its driver with "driver" on its entry in config.json nodes[]
+(default "vlc").
+*/
+
+const { createVlcHttpDriver } = require("./vlcHttp");
+const { createMpvIpcDriver } = require("./mpvIpc");
+const { createSimulatedDriver } = require("./simulated");
+
+const DRIVERS = {
+  vlc: createVlcHttpDriver,
+  mpv: createMpvIpcDriver,
+  simulated: createSimulatedDriver,
+};
+
+function createDriver(node) {
+  const factory = DRIVERS[node.driver];
+  if (!factory) {
+    throw new Error(
+      `Unknown driver "${node.driver}" for node ${node.id}. Use one of: ${Object.keys(
+        DRIVERS
+      ).join(", ")}.`
+    );
+  }
+  return factory(node);
+}
+
+module.exports = { DRIVERS, createDriver };
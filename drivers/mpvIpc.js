@@ -0,0 +1,150 @@
+/*
+mpv driver: controls mpv through its JSON IPC interface. The node sets
+either `ipc` (the --input-ipc-server socket path) or host/port of a TCP
+bridge to that socket (e.g. socat on the playback machine).
+- mpv cannot look at the file system, so files are only checked on a node
+  reached through a local socket, which shares this machine's disks.
+- Audio and subtitle tracks are mpv's aid/sid; "no" turns subtitles off.
+*/
+
+const fs = require("fs");
+const net = require("net");
+const { getConfig } = require("../config");
+const { logWarn } = require("../log");
+
+function createMpvIpcDriver(node) {
+  const address = node.ipc
+    ? { path: node.ipc }
+    : { host: node.host, port: node.port };
+  let nextRequestId = 1;
+
+  // Helper: Send one IPC command and wait for the reply with its request_id
+  function command(...args) {
+    const requestId = nextRequestId++;
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection(address);
+      let buffer = "";
+      const fail = (err) => {
+        socket.destroy();
+        reject(err);
+      };
+      socket.setTimeout(getConfig().timing.requestTimeoutMs, () =>
+        fail(new Error("mpv IPC timed out"))
+      );
+      socket.on("error", fail);
+      socket.on("connect", () => {
+        socket.write(
+          JSON.stringify({ command: args, request_id: requestId }) + "\n"
+        );
+      });
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        const lines = buffer.split("\n");
+        buffer = lines.pop();
+        for (const line of lines) {
+          if (!line.trim()) continue;
+          let reply;
+          try {
+            reply = JSON.parse(line);
+          } catch (err) {
+            logWarn(`mpv ${node.label}: skipped unreadable reply: ${line}`);
+            continue;
+          }
+          if (reply.request_id !== requestId) continue; // an event
+          socket.end();
+          if (reply.error !== "success") {
+            reject(new Error(`mpv ${args[0]}: ${reply.error}`));
+          } else {
+            resolve(reply.data);
+          }
+        }
+      });
+    });
+  }
+
+  // Missing properties (no file loaded) read as null instead of failing
+  const property = (name) =>
+    command("get_property", name).catch((err) => {
+      if (/property unavailable/.test(err.message)) return null;
+      throw err;
+    });
+  const set = (name, value) => command("set_property", name, value);
+
+  async function getStatus() {
+    const [idle, paused, time, length, rate, fullscreen, volume] =
+      await Promise.all(
+        [
+          "idle-active",
+          "pause",
+          "time-pos",
+          "duration",
+          "speed",
+          "fullscreen",
+          "volume",
+        ].map(property)
+      );
+    let state = "playing";
+    if (idle || time === null) state = "stopped";
+    else if (paused) state = "paused";
+    return {
+      state,
+      time: time || 0,
+      length: length || 0,
+      position: length ? (time || 0) / length : 0,
+      rate: rate || 1,
+      fullscreen: fullscreen === true,
+      volume: volume === null ? 100 : Math.round(volume),
+    };
+  }
+
+  async function getTracks() {
+    const list = (await property("track-list")) || [];
+    const tracks = { audio: [], subtitle: [] };
+    list.forEach((track) => {
+      const kind = { audio: "audio", sub: "subtitle" }[track.type];
+      if (!kind) return;
+      tracks[kind].push({
+        id: track.id,
+        name: track.title || track.lang || `Track ${track.id}`,
+      });
+    });
+    return tracks;
+  }
+
+  async function fileExists(file) {
+    if (!node.ipc) {
+      throw new Error("mpv over TCP cannot check files");
+    }
+    return fs.promises.access(file, fs.constants.R_OK).then(
+      () => true,
+      () => false
+    );
+  }
+
+  return {
+    getStatus,
+    getTracks,
+    fileExists,
+    // Load paused so the file is ready but does not start
+    async load(file) {
+      await set("pause", true);
+      await command("loadfile", file, "replace");
+    },
+    play: () => set("pause", false),
+    pause: () => set("pause", true),
+    stop: () => command("stop"),
+    seek: (seconds) => command("seek", Number(seconds), "absolute"),
+    setRate: (rate) => set("speed", Number(rate)),
+    setVolume: (percent) => set("volume", Number(percent)),
+    setAudioTrack: (id) => set("aid", id === -1 ? "no" : id),
+    setSubtitleTrack: (id) => set("sid", id === -1 ? "no" : id),
+    async setFullscreen(on) {
+      const current = await property("fullscreen");
+      if (current === on) return false;
+      await set("fullscreen", on);
+      return true;
+    },
+  };
+}
+
+module.exports = { createMpvIpcDriver };
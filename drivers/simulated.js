@@ -0,0 +1,159 @@
+/*
+Simulated driver: an in-process player with its own clock, so the whole
+control flow can run on a machine without VLC or mpv.
+- `mediaLength` (seconds, default 300) is the length of every file.
+- `latencyMs` delays every call, to imitate a player across the network.
+- `files` (a list of paths) are the files the node has; without it every
+  file exists.
+- `tracks` ({ audio: [{ id, name }], subtitle: [...] }) are the tracks of
+  every file; by default one audio track and no subtitles.
+*/
+
+const DEFAULT_MEDIA_LENGTH = 300;
+const DEFAULT_TRACKS = { audio: [{ id: 1, name: "Track 1" }], subtitle: [] };
+
+// A player model: file, state, position and rate against a (replaceable) clock
+function createSimulatedPlayer({
+  mediaLength = DEFAULT_MEDIA_LENGTH,
+  now = Date.now,
+  tracks = DEFAULT_TRACKS,
+} = {}) {
+  let file = null;
+  let state = "stopped";
+  let rate = 1;
+  let fullscreen = false;
+  let volume = 100;
+  let audioTrack = -1;
+  let subtitleTrack = -1;
+  let basePosition = 0; // Seconds at `since`
+  let since = now();
+
+  function length() {
+    return file ? mediaLength : 0;
+  }
+
+  // Current position; reaching the end stops the player like VLC does
+  function position() {
+    if (state !== "playing") return basePosition;
+    const current = basePosition + ((now() - since) / 1000) * rate;
+    if (current >= length()) {
+      state = "stopped";
+      basePosition = 0;
+      since = now();
+      return 0;
+    }
+    return current;
+  }
+
+  function rebase(nextState) {
+    basePosition = position();
+    since = now();
+    if (nextState) state = nextState;
+  }
+
+  return {
+    load(nextFile) {
+      file = nextFile;
+      state = "paused";
+      basePosition = 0;
+      since = now();
+      audioTrack = tracks.audio.length ? tracks.audio[0].id : -1;
+      subtitleTrack = -1;
+    },
+    play() {
+      if (!file) return;
+      rebase("playing");
+    },
+    pause() {
+      if (state === "playing") rebase("paused");
+    },
+    togglePause() {
+      if (state === "playing") rebase("paused");
+      else if (file) rebase("playing");
+    },
+    stop() {
+      state = "stopped";
+      basePosition = 0;
+      since = now();
+    },
+    seek(seconds) {
+      rebase();
+      basePosition = Math.min(Math.max(0, Number(seconds) || 0), length());
+    },
+    setRate(nextRate) {
+      rebase();
+      rate = Number(nextRate) || 1;
+    },
+    setFullscreen(on) {
+      fullscreen = on;
+    },
+    setVolume(percent) {
+      volume = Math.max(0, Number(percent) || 0);
+    },
+    // Like VLC, a track the file does not have is ignored
+    setAudioTrack(id) {
+      if (tracks.audio.some((track) => track.id === id)) audioTrack = id;
+    },
+    setSubtitleTrack(id) {
+      if (id === -1 || tracks.subtitle.some((track) => track.id === id)) {
+        subtitleTrack = id;
+      }
+    },
+    tracks() {
+      return file ? tracks : { audio: [], subtitle: [] };
+    },
+    status() {
+      const time = position();
+      return {
+        state,
+        file,
+        time,
+        length: length(),
+        position: length() ? time / length() : 0,
+        rate,
+        fullscreen,
+        volume,
+        audioTrack,
+        subtitleTrack,
+      };
+    },
+  };
+}
+
+function createSimulatedDriver(node) {
+  const player = createSimulatedPlayer({
+    mediaLength: node.mediaLength,
+    tracks: node.tracks,
+  });
+  const delay = () =>
+    new Promise((resolve) => setTimeout(resolve, node.latencyMs || 0));
+  const call =
+    (fn) =>
+    async (...args) => {
+      await delay();
+      return fn(...args);
+    };
+
+  return {
+    player,
+    getStatus: call(() => player.status()),
+    load: call((file) => player.load(file)),
+    play: call(() => player.play()),
+    pause: call(() => player.pause()),
+    stop: call(() => player.stop()),
+    seek: call((seconds) => player.seek(seconds)),
+    setRate: call((rate) => player.setRate(rate)),
+    setFullscreen: call((on) => {
+      const changed = player.status().fullscreen !== on;
+      player.setFullscreen(on);
+      return changed;
+    }),
+    setVolume: call((percent) => player.setVolume(percent)),
+    setAudioTrack: call((id) => player.setAudioTrack(id)),
+    setSubtitleTrack: call((id) => player.setSubtitleTrack(id)),
+    getTracks: call(() => player.tracks()),
+    fileExists: call((file) => !node.files || node.files.includes(file)),
+  };
+}
+
+module.exports = { createSimulatedPlayer, createSimulatedDriver };
@@ -0,0 +1,176 @@
+/*
+VLC driver: controls a VLC instance through its HTTP interface
+(/requests/status.json?command=...), authenticated with the node's password.
+File checks list the file's folder through /requests/browse.xml.
+- VLC reports `time` and `length` in whole seconds but `position` as a
+  fraction, so getStatus() works the time out from the position.
+- VLC's seek only takes whole seconds; sub-second targets are sent as a
+  percentage of the length, the same scale the position is read on.
+- VLC's volume runs from 0 to 512 with 256 as normal; the driver speaks
+  percent. Tracks are the "Stream N" entries of the status information,
+  and N is the id audio_track and subtitle_track take.
+*/
+
+const path = require("path");
+const fetch = require("node-fetch");
+const { getConfig } = require("../config");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const VLC_VOLUME_PER_PERCENT = 2.56;
+const TRACK_TYPES = { Audio: "audio", Subtitle: "subtitle" };
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+// Helper: Decode the entities VLC uses in browse.xml attributes
+function decodeXml(text) {
+  return text.replace(/&(#x?[0-9a-f]+|\w+);/gi, (match, entity) => {
+    if (entity[0] !== "#") return XML_ENTITIES[entity] || match;
+    const hex = entity[1] === "x" || entity[1] === "X";
+    return String.fromCodePoint(
+      parseInt(entity.slice(hex ? 2 : 1), hex ? 16 : 10)
+    );
+  });
+}
+
+// Helper: Names of the files in a browse.xml listing
+function listedFiles(xml) {
+  const names = [];
+  const elements = xml.match(/<element\b[^>]*>/g) || [];
+  elements.forEach((element) => {
+    const attributes = {};
+    element.replace(/(\w+)="([^"]*)"/g, (match, name, value) => {
+      attributes[name] = decodeXml(value);
+    });
+    if (attributes.type === "file") names.push(attributes.name);
+  });
+  return names;
+}
+
+function createVlcHttpDriver(node) {
+  const statusUrl = `http://${node.host}:${node.port}/requests/status.json`;
+  const browseUrl = `http://${node.host}:${node.port}/requests/browse.xml`;
+  const headers = {
+    Authorization:
+      "Basic " + Buffer.from(":" + node.password).toString("base64"),
+  };
+
+  // Helper: Build the status.json URL for a VLC command
+  function commandUrl(command, params = {}) {
+    const query = Object.entries({ command, ...params })
+      .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+      .join("&");
+    return `${statusUrl}?${query}`;
+  }
+
+  async function request(url) {
+    const timeout = getConfig().timing.requestTimeoutMs;
+    const res = await fetch(url, { headers, timeout });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return res.json();
+  }
+
+  // Raw VLC command, for features outside the common driver interface
+  function sendCommand(command, params) {
+    return request(commandUrl(command, params));
+  }
+
+  async function getStatus() {
+    const status = await request(statusUrl);
+    const length = parseFloat(status.length) || 0;
+    const position = parseFloat(status.position);
+    // Rounded to the microsecond so whole seconds stay whole
+    const time =
+      length > 0 && position >= 0
+        ? Math.round(position * length * 1e6) / 1e6
+        : parseFloat(status.time) || 0;
+    return {
+      ...status,
+      time,
+      length,
+      rate: parseFloat(status.rate) || 1,
+      fullscreen: status.fullscreen === true || status.fullscreen === 1,
+      volume: Math.round(
+        (parseFloat(status.volume) || 0) / VLC_VOLUME_PER_PERCENT
+      ),
+    };
+  }
+
+  // Audio and subtitle tracks of the file that is open
+  async function getTracks() {
+    const status = await request(statusUrl);
+    const category = (status.information && status.information.category) || {};
+    const tracks = { audio: [], subtitle: [] };
+    Object.entries(category).forEach(([key, stream]) => {
+      const match = /^Stream (\d+)$/.exec(key);
+      const kind = stream && TRACK_TYPES[stream.Type];
+      if (!match || !kind) return;
+      const id = Number(match[1]);
+      tracks[kind].push({
+        id,
+        name: stream.Language || stream.Description || `Track ${id}`,
+      });
+    });
+    return tracks;
+  }
+
+  // Whether `file` is in its folder on this node
+  async function fileExists(file) {
+    const folder = path.posix.dirname(file);
+    const uri = "file://" + encodeURI(folder);
+    const timeout = getConfig().timing.requestTimeoutMs;
+    const res = await fetch(`${browseUrl}?uri=${encodeURIComponent(uri)}`, {
+      headers,
+      timeout,
+    });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    return listedFiles(await res.text()).includes(path.posix.basename(file));
+  }
+
+  return {
+    statusUrl,
+    sendCommand,
+    getStatus,
+    getTracks,
+    fileExists,
+    // Load using in_enqueue + pl_next instead of in_play to avoid auto-start
+    async load(file) {
+      await sendCommand("in_enqueue", { input: file });
+      await sleep(getConfig().timing.enqueueSettleMs); // Give time to enqueue
+      await sendCommand("pl_next");
+    },
+    play: () => sendCommand("pl_play"),
+    // pl_pause toggles, so only send it to a playing VLC
+    async pause() {
+      const status = await getStatus();
+      if (status.state === "playing") await sendCommand("pl_pause");
+    },
+    stop: () => sendCommand("pl_stop"),
+    async seek(seconds) {
+      const target = Number(seconds);
+      if (Number.isInteger(target)) return sendCommand("seek", { val: target });
+      const { length } = await getStatus();
+      if (!(length > 0)) {
+        return sendCommand("seek", { val: Math.round(target) });
+      }
+      const percent = ((target / length) * 100).toFixed(6);
+      return sendCommand("seek", { val: `${percent}%` });
+    },
+    setRate: (rate) => sendCommand("rate", { val: rate }),
+    setVolume: (percent) =>
+      sendCommand("volume", {
+        val: Math.round(percent * VLC_VOLUME_PER_PERCENT),
+      }),
+    setAudioTrack: (id) => sendCommand("audio_track", { val: id }),
+    setSubtitleTrack: (id) => sendCommand("subtitle_track", { val: id }),
+    // The fullscreen command toggles; returns whether anything changed
+    async setFullscreen(on) {
+      const status = await getStatus();
+      if (status.fullscreen === on) return false;
+      await sendCommand("fullscreen");
+      return true;
+    },
+  };
+}
+
+module.exports = { createVlcHttpDriver };
@@ -0,0 +1,211 @@
+/*
+Node health: tracks every node as online, degraded or offline.
+- Every request to a node (commands, status polls) updates its record:
+  last-seen time, latency, consecutive failures and total error count.
+- A background poll keeps the records fresh while nobody is pressing buttons.
+- onStatusChange() listeners hear about every change (the session
+  history, see sessions.js).
+- When a node comes back online mid-show it is recovered automatically:
+  the current media is reloaded, seeked to the group position and resumed.
+  The recovery is queued as a "recover" command (see commands.js), so a stop
+  cancels it.
+*/
+
+const { logAction, logWarn, logError } = require("./log");
+const {
+  getNodes,
+  onNodeRequest,
+  getPlayer,
+  getPlayerStatus,
+  enterFullscreenIfNeeded,
+  loadFile,
+  sleep,
+} = require("./nodes");
+const { readPaths } = require("./paths");
+const { getActivePreset } = require("./presets");
+const { preciseTime } = require("./syncEngine");
+const { getConfig } = require("./config");
+const { runInternal, isCancelled } = require("./commands");
+
+const records = {}; // node id -> health record
+const statusListeners = [];
+let timer = null;
+
+// Helper: Be told when a node's status changes: { node, status, previous, error }
+function onStatusChange(fn) {
+  statusListeners.push(fn);
+}
+
+function record(node) {
+  if (!records[node.id]) {
+    records[node.id] = {
+      id: node.id,
+      label: node.label,
+      status: "unknown",
+      lastSeen: null,
+      latencyMs: null,
+      consecutiveFailures: 0,
+      errorCount: 0,
+      lastError: null,
+      recovering: false,
+      recoveries: 0,
+    };
+  }
+  return records[node.id];
+}
+
+// Helper: online / degraded / offline from the latest record
+function classify(entry) {
+  const { offlineAfterFailures, slowResponseMs } = getConfig().health;
+  if (entry.consecutiveFailures >= offlineAfterFailures) return "offline";
+  if (entry.consecutiveFailures > 0) return "degraded";
+  if (entry.latencyMs !== null && entry.latencyMs > slowResponseMs) {
+    return "degraded";
+  }
+  return "online";
+}
+
+function handleRequest({ node, ok, latencyMs, error }) {
+  const entry = record(node);
+  const previous = entry.status;
+  if (ok) {
+    entry.lastSeen = Date.now();
+    entry.latencyMs = latencyMs;
+    entry.consecutiveFailures = 0;
+  } else {
+    entry.consecutiveFailures++;
+    entry.errorCount++;
+    entry.lastError = error;
+  }
+  entry.status = classify(entry);
+  if (entry.status === previous) return;
+
+  const report = entry.status === "online" ? logAction : logWarn;
+  report(`[health] ${node.label} is ${entry.status} (was ${previous})`, {
+    node: node.id,
+  });
+  statusListeners.forEach((fn) =>
+    fn({ node, status: entry.status, previous, error: entry.lastError })
+  );
+  if (previous === "offline" && entry.status !== "offline") {
+    // Don't recover from inside the request that noticed the node is back,
+    // and wait for the command queue like any other command
+    setImmediate(() =>
+      runInternal("recover", "health", () => autoRecover(node)).catch((err) =>
+        recoveryFailed(node, err)
+      )
+    );
+  }
+}
+
+// Helper: A node that is playing or paused, to take the show position from
+async function findGroupReference(exclude) {
+  const others = getNodes().filter((node) => node !== exclude);
+  const samples = await Promise.all(
+    others.map(async (node) => {
+      const sentAt = Date.now();
+      const status = await getPlayerStatus(node);
+      return { node, status, at: (sentAt + Date.now()) / 2 };
+    })
+  );
+  const active = samples.filter(
+    (s) => s.status && ["playing", "paused"].includes(s.status.state)
+  );
+  return (
+    active.find((s) => s.status.state === "playing" && s.node.local) ||
+    active.find((s) => s.status.state === "playing") ||
+    active[0] ||
+    null
+  );
+}
+
+// Bring a node back in line with the rest of the group. Without a group
+// position to join, the node just reloads and plays its file (the old wake-up).
+async function recoverNode(node, files = readPaths()) {
+  const file = files[node.id];
+  if (!file) throw new Error(`No media path for ${node.label}.`);
+  const reference = await findGroupReference(node);
+
+  if (!reference) {
+    await getPlayer(node).load(file);
+    await getPlayer(node).play();
+    await sleep(getConfig().timing.reloadSettleMs);
+    return "reloaded";
+  }
+
+  const playing = reference.status.state === "playing";
+  const rate = reference.status.rate || getActivePreset().speed;
+  await loadFile(node, file, rate);
+  await getPlayer(node).play();
+  // Join where the group will be once the seek lands
+  const elapsed = playing ? ((Date.now() - reference.at) / 1000) * rate : 0;
+  const position = preciseTime(reference.status) + elapsed;
+  await getPlayer(node).seek(Number(position.toFixed(2)));
+  if (!playing) await getPlayer(node).pause();
+  if (getActivePreset().fullscreen) await enterFullscreenIfNeeded(node);
+  return `rejoined at ${position.toFixed(1)}s (${reference.status.state})`;
+}
+
+// Helper: Log a recovery that failed or was cancelled (a stop is no error)
+function recoveryFailed(node, err) {
+  if (isCancelled(err)) {
+    logAction(`[health] Recovery of ${node.label} cancelled`, {
+      node: node.id,
+    });
+    return;
+  }
+  logError(`[health] Recovery of ${node.label} failed: ${err.message}`, {
+    node: node.id,
+  });
+}
+
+// Recover a node that came back, but only mid-show and once at a time
+async function autoRecover(node) {
+  const entry = record(node);
+  if (entry.recovering) return;
+  entry.recovering = true;
+  try {
+    const reference = await findGroupReference(node);
+    if (!reference) return;
+    logAction(`[health] Recovering ${node.label} into the running show`, {
+      node: node.id,
+    });
+    const result = await recoverNode(node);
+    entry.recoveries++;
+    logAction(`[health] ${node.label} ${result}`, { node: node.id });
+  } catch (err) {
+    recoveryFailed(node, err);
+  } finally {
+    entry.recovering = false;
+  }
+}
+
+async function poll() {
+  await Promise.all(getNodes().map(getPlayerStatus));
+  timer = setTimeout(poll, getConfig().health.pollIntervalMs);
+}
+
+function start() {
+  if (timer) return;
+  onNodeRequest(handleRequest);
+  getNodes().forEach(record);
+  timer = setTimeout(poll, 0);
+}
+
+function getHealth() {
+  return {
+    nodes: getNodes().map((node) => ({ ...record(node) })),
+  };
+}
+
+function getNodeHealth(id) {
+  return records[id] || null;
+}
+
+module.exports = {
+  start,
+  getHealth,
+  getNodeHealth,
+  recoverNode,
+  onStatusChange,
+};
@@ -0,0 +1,296 @@
+/*
+Media library: an index of the media folders in config.json
+(library.folders, e.g. /Volumes/DATA/01_Playouts), so operators pick files
+from a list instead of typing paths.
+- rescan() walks the folders on this machine and reads each file's duration
+  and stream details with ffprobe (library.ffprobe). Details are kept per
+  file and only read again when its size or modification time changes.
+- Without ffprobe the files are still listed, just without those details.
+- The index is built on first use, at startup and on rescan(), and dropped
+  when the library settings change; search() and browse() answer from it.
+- The folders are expected at the same path on every node, so checkFiles()
+  asks each node's player whether it has the files before they are saved.
+- frameRateOf() gives the frame rate timecode is counted in for the files
+  being played, from the index or control.frameRate.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { execFile } = require("child_process");
+const { logAction, logWarn } = require("./log");
+const { getNodes, getPlayer, forEachNode } = require("./nodes");
+const { getConfig, onConfigChange } = require("./config");
+
+const DEFAULT_SEARCH_LIMIT = 100;
+
+let index = null; // { scannedAt, durationMs, items, errors }
+let scanning = null; // The scan in progress
+const details = new Map(); // path -> { size, mtimeMs, details }
+
+onConfigChange((config, previous) => {
+  if (JSON.stringify(config.library) !== JSON.stringify(previous.library)) {
+    index = null;
+  }
+});
+
+// Helper: "25/1" -> 25, "30000/1001" -> 29.97
+function parseFrameRate(value) {
+  const [num, den] = String(value || "")
+    .split("/")
+    .map(Number);
+  if (!num || !den) return null;
+  return Math.round((num / den) * 1000) / 1000;
+}
+
+// Helper: Duration and stream details from ffprobe; null if it cannot tell
+function probe(file) {
+  const { ffprobe, probeTimeoutMs } = getConfig().library;
+  const args = [
+    "-v",
+    "quiet",
+    "-print_format",
+    "json",
+    "-show_format",
+    "-show_streams",
+    file,
+  ];
+  return new Promise((resolve, reject) => {
+    execFile(ffprobe, args, { timeout: probeTimeoutMs }, (err, stdout) => {
+      if (err && err.code === "ENOENT") return reject(err);
+      if (err) return resolve(null);
+      try {
+        const { format = {}, streams = [] } = JSON.parse(stdout);
+        const video = streams.find((s) => s.codec_type === "video") || {};
+        const audio = streams.find((s) => s.codec_type === "audio") || {};
+        resolve({
+          duration: parseFloat(format.duration) || null,
+          width: video.width || null,
+          height: video.height || null,
+          frameRate: parseFrameRate(video.avg_frame_rate || video.r_frame_rate),
+          videoCodec: video.codec_name || null,
+          audioCodec: audio.codec_name || null,
+        });
+      } catch (parseError) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+// Helper: Every media file under `dir`, hidden files and folders left out
+async function walk(dir, extensions) {
+  const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    if (entry.name.startsWith(".")) continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await walk(full, extensions)));
+    } else if (
+      entry.isFile() &&
+      extensions.includes(path.extname(entry.name).toLowerCase())
+    ) {
+      files.push(full);
+    }
+  }
+  return files;
+}
+
+async function runScan() {
+  const { folders, extensions } = getConfig().library;
+  const wanted = extensions.map((ext) => ext.toLowerCase());
+  const startedAt = Date.now();
+  const items = [];
+  const errors = [];
+  let probing = true; // Until ffprobe turns out to be missing
+  for (const folder of folders) {
+    let files;
+    try {
+      files = await walk(folder, wanted);
+    } catch (err) {
+      logWarn(`Media folder ${folder} could not be read: ${err.message}`);
+      errors.push({ folder, error: err.message });
+      continue;
+    }
+    for (const file of files) {
+      let stat;
+      try {
+        stat = await fs.promises.stat(file);
+      } catch (err) {
+        // Removed (or renamed) since the folder was read
+        logWarn(`Media file ${file} skipped: ${err.message}`);
+        continue;
+      }
+      let cached = details.get(file);
+      if (
+        probing &&
+        (!cached ||
+          cached.size !== stat.size ||
+          cached.mtimeMs !== stat.mtimeMs)
+      ) {
+        try {
+          cached = { size: stat.size, mtimeMs: stat.mtimeMs };
+          cached.details = await probe(file);
+          details.set(file, cached);
+        } catch (err) {
+          logWarn(
+            `${getConfig().library.ffprobe} not found; media durations are unknown`
+          );
+          probing = false;
+          cached = null;
+        }
+      }
+      items.push({
+        path: file,
+        name: path.basename(file),
+        folder,
+        directory: path.relative(folder, path.dirname(file)),
+        size: stat.size,
+        modifiedAt: stat.mtimeMs,
+        duration: null,
+        width: null,
+        height: null,
+        frameRate: null,
+        videoCodec: null,
+        audioCodec: null,
+        ...(cached && cached.details),
+      });
+    }
+  }
+  items.sort((a, b) => a.path.localeCompare(b.path));
+  const scannedAt = Date.now();
+  index = { scannedAt, durationMs: scannedAt - startedAt, items, errors };
+  logAction(
+    `Media library scanned: ${items.length} files in ${folders.length} folder(s)`,
+    { durationMs: index.durationMs }
+  );
+  return index;
+}
+
+// Re-read the media folders; a scan already running is shared
+function rescan() {
+  if (!scanning) {
+    scanning = runScan().finally(() => {
+      scanning = null;
+    });
+  }
+  return scanning;
+}
+
+// Helper: The index, scanning first if there is none yet
+async function getIndex() {
+  return index || rescan();
+}
+
+// Helper: The part of the index that describes it
+function summary({ scannedAt, durationMs, items, errors }) {
+  return { scannedAt, durationMs, total: items.length, errors };
+}
+
+// Files whose path contains every word of `query`, optionally only in `folder`
+async function search({
+  query = "",
+  folder,
+  limit = DEFAULT_SEARCH_LIMIT,
+} = {}) {
+  const current = await getIndex();
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = current.items.filter((item) => {
+    if (folder && item.folder !== path.resolve(folder)) return false;
+    const haystack = path.relative(item.folder, item.path).toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  });
+  return {
+    ...summary(current),
+    matches: matches.length,
+    items: matches.slice(0, Number(limit) || DEFAULT_SEARCH_LIMIT),
+  };
+}
+
+// One folder of the library: its subfolders and files. Without `dir`, the
+// configured media folders.
+async function browse(dir) {
+  const current = await getIndex();
+  const { folders } = getConfig().library;
+  if (!dir) {
+    return {
+      ...summary(current),
+      path: null,
+      parent: null,
+      folders: folders.map((folder) => ({
+        path: folder,
+        name: folder,
+        files: current.items.filter((item) => item.folder === folder).length,
+      })),
+      files: [],
+    };
+  }
+  const target = path.resolve(dir);
+  const root = folders.find(
+    (folder) =>
+      target === folder || target.startsWith(folder.replace(/\/?$/, "/"))
+  );
+  if (!root) throw new Error(`${dir} is not in the media library.`);
+  const inside = current.items.filter(
+    (item) => item.folder === root && item.path.startsWith(target + "/")
+  );
+  const subfolders = new Map(); // name -> file count
+  const files = [];
+  inside.forEach((item) => {
+    const [first, ...rest] = path.relative(target, item.path).split("/");
+    if (rest.length === 0) files.push(item);
+    else subfolders.set(first, (subfolders.get(first) || 0) + 1);
+  });
+  return {
+    ...summary(current),
+    path: target,
+    parent: target === root ? null : path.dirname(target),
+    folders: [...subfolders].map(([name, count]) => ({
+      path: path.join(target, name),
+      name,
+      files: count,
+    })),
+    files,
+  };
+}
+
+// Frame rate of the first of `files` (node id -> path) the index knows one
+// for; control.frameRate if it knows none. Does not scan.
+function frameRateOf(files) {
+  const known = index
+    ? Object.values(files)
+        .map((file) => index.items.find((item) => item.path === file))
+        .find((item) => item && item.frameRate)
+    : null;
+  return known ? known.frameRate : getConfig().control.frameRate;
+}
+
+// Ask every node whether it has its file in `files` (node id -> path).
+// Nodes that say no are `missing`; nodes that cannot tell are `unchecked`.
+async function checkFiles(files) {
+  const targets = getNodes().filter((node) => files[node.id]);
+  const results = await forEachNode(
+    (node) => getPlayer(node).fileExists(files[node.id]),
+    targets
+  );
+  const missing = [];
+  const unchecked = [];
+  results.forEach((result) => {
+    const file = files[result.id];
+    if (!result.ok) {
+      unchecked.push({ id: result.id, label: result.label, file });
+      logWarn(`Could not check ${file} on ${result.label}: ${result.error}`);
+    } else if (result.detail === false) {
+      missing.push({ id: result.id, label: result.label, file });
+    }
+  });
+  return { missing, unchecked };
+}
+
+module.exports = {
+  rescan,
+  search,
+  browse,
+  checkFiles,
+  frameRateOf,
+};
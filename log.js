@@ -0,0 +1,186 @@
+/*
+Logging: structured JSON lines in logs/control.jsonl.
+- Every entry has a time, a level (debug, info, warn, error) and a message,
+  plus any fields passed along: node id, player call, duration, drift, ...
+- Entries written while a /control command is handled also carry its
+  requestId and command (see withLogContext), so one command can be followed
+  through every player call it made.
+- Lines go through an append stream instead of a synchronous write each.
+- The file rotates when it reaches maxFileBytes: control.jsonl becomes
+  control.1.jsonl and so on, keeping maxFiles old files.
+- readLogs() reads the files back, filtered, for the /logs endpoint.
+- Directory, level and rotation come from config.json (logging, files.logDir)
+  through configureLogging().
+- The old control_log.txt and control_errors.log are no longer written.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+const LEVELS = ["debug", "info", "warn", "error"];
+const DEFAULT_READ_LIMIT = 1000;
+
+const settings = {
+  dir: "logs",
+  level: "info", // Lowest level written
+  maxFileBytes: 5 * 1024 * 1024,
+  maxFiles: 5,
+};
+
+const context = new AsyncLocalStorage();
+let stream = null;
+let size = 0;
+let lastWrite = Promise.resolve();
+
+// Helper: control.jsonl, or control.<n>.jsonl for the n-th rotated file
+function logFile(index = 0) {
+  const name = index === 0 ? "control.jsonl" : `control.${index}.jsonl`;
+  return path.join(settings.dir, name);
+}
+
+function open() {
+  fs.mkdirSync(settings.dir, { recursive: true });
+  size = fs.existsSync(logFile()) ? fs.statSync(logFile()).size : 0;
+  // Open synchronously so the file exists before the next rotation
+  const fd = fs.openSync(logFile(), "a");
+  stream = fs.createWriteStream(null, { fd });
+}
+
+function close() {
+  if (stream) stream.end();
+  stream = null;
+}
+
+// Helper: Shift every file up by one; the oldest falls off the end
+function rotate() {
+  close();
+  for (let i = settings.maxFiles - 1; i >= 0; i--) {
+    if (fs.existsSync(logFile(i))) fs.renameSync(logFile(i), logFile(i + 1));
+  }
+}
+
+function write(entry) {
+  const line = JSON.stringify(entry) + "\n";
+  const bytes = Buffer.byteLength(line);
+  if (!stream) open();
+  if (size > 0 && size + bytes > settings.maxFileBytes) {
+    rotate();
+    open();
+  }
+  size += bytes;
+  const target = stream;
+  const written = new Promise((resolve) => target.write(line, () => resolve()));
+  lastWrite = Promise.all([lastWrite, written]); // Rotated files too
+}
+
+function log(level, message, fields = {}) {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(settings.level)) return;
+  write({
+    time: new Date().toISOString(),
+    level,
+    message,
+    ...context.getStore(),
+    ...fields,
+  });
+}
+
+function logDebug(message, fields) {
+  log("debug", message, fields);
+}
+
+// Logging middleware
+function logAction(message, fields) {
+  log("info", message, fields);
+}
+
+function logWarn(message, fields) {
+  log("warn", message, fields);
+}
+
+// Error logging
+function logError(message, fields) {
+  log("error", message, fields);
+}
+
+// Run fn with fields (requestId, command, ...) added to everything it logs
+function withLogContext(fields, fn) {
+  return context.run({ ...context.getStore(), ...fields }, fn);
+}
+
+function newRequestId() {
+  return crypto.randomBytes(4).toString("hex");
+}
+
+// Change where and how much is logged (dir, level, maxFileBytes, maxFiles)
+function configureLogging(changes) {
+  if (changes.level !== undefined && !LEVELS.includes(changes.level)) {
+    throw new Error(`Unknown log level "${changes.level}".`);
+  }
+  close();
+  Object.assign(settings, changes);
+}
+
+// Helper: A time filter as a timestamp (ISO string or milliseconds)
+function parseTime(value, name) {
+  const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+  if (Number.isNaN(time)) throw new Error(`Invalid ${name} time "${value}".`);
+  return time;
+}
+
+// Entries from oldest to newest, filtered by level (minimum), node, command,
+// requestId and a since/until time range; only the last `limit` are returned
+async function readLogs(filter = {}) {
+  const { level, node, command, requestId, since, until } = filter;
+  if (level !== undefined && !LEVELS.includes(level)) {
+    throw new Error(`Unknown log level "${level}".`);
+  }
+  const from = since ? parseTime(since, "since") : -Infinity;
+  const to = until ? parseTime(until, "until") : Infinity;
+  const limit = filter.limit ? Number(filter.limit) : DEFAULT_READ_LIMIT;
+  await lastWrite;
+
+  const entries = [];
+  for (let i = settings.maxFiles; i >= 0; i--) {
+    let text;
+    try {
+      text = await fs.promises.readFile(logFile(i), "utf-8");
+    } catch (err) {
+      continue; // Not rotated that far yet
+    }
+    text.split("\n").forEach((line) => {
+      if (!line) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (err) {
+        // A line cut short by a crash; skip it
+      }
+    });
+  }
+  const matches = entries.filter((entry) => {
+    const time = Date.parse(entry.time);
+    return (
+      (!level || LEVELS.indexOf(entry.level) >= LEVELS.indexOf(level)) &&
+      (!node || entry.node === node) &&
+      (!command || entry.command === command) &&
+      (!requestId || entry.requestId === requestId) &&
+      time >= from &&
+      time <= to
+    );
+  });
+  return limit > 0 ? matches.slice(-limit) : matches;
+}
+
+module.exports = {
+  LEVELS,
+  log,
+  logDebug,
+  logAction,
+  logWarn,
+  logError,
+  withLogContext,
+  newRequestId,
+  configureLogging,
+  readLogs,
+};
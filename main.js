@@ -1,8 +1,32 @@
-const { app, BrowserWindow, dialog, ipcMain } = require('electron');
+const { app, BrowserWindow, Tray, Menu, globalShortcut, nativeImage, ipcMain } = require('electron');
 const path = require('path');
+const { getConfig } = require('./config');
+const { createSupervisor } = require('./supervisor');
+
+// The app runs the control server itself (see supervisor.js). Tray items and
+// hotkeys are sent to the window, which runs them with the logged-in session.
+
+const ACTION_LABELS = {
+  playPause: 'Play / Pause',
+  play: 'Play',
+  pause: 'Pause',
+  stop: 'Stop',
+  sync: 'Sync',
+  skipBackward: 'Skip Backward',
+  skipForward: 'Skip Forward'
+};
+const TRAY_ACTIONS = ['playPause', 'stop', 'sync', 'skipBackward', 'skipForward'];
+
+const { restartDelayMs, maxRestartDelayMs } = getConfig().desktop;
+const supervisor = createSupervisor({ restartDelayMs, maxRestartDelayMs });
+
+let win = null;
+let tray = null;
+let hotkeysSuspended = false; // While a text field in the window has focus
+let quitting = false;
 
 function createWindow() {
-  const win = new BrowserWindow({
+  win = new BrowserWindow({
     width: 500,
     height: 700,
     webPreferences: {
@@ -12,19 +36,125 @@ function createWindow() {
     }
   });
   win.loadFile('index.html');
+  win.on('focus', updateHotkeys);
+  win.on('blur', updateHotkeys);
+  win.on('closed', () => {
+    win = null;
+    hotkeysSuspended = false;
+    updateHotkeys();
+  });
 }
 
-app.whenReady().then(createWindow);
+function showWindow() {
+  if (!win) createWindow();
+  win.show();
+  win.focus();
+}
 
-app.on('window-all-closed', function () {
-  if (process.platform !== 'darwin') app.quit();
-});
+// Helper: Hand a tray or hotkey action to the window
+function sendAction(action) {
+  if (!win) {
+    createWindow();
+    win.webContents.once('did-finish-load', () => win.webContents.send('hotkey', action));
+    return;
+  }
+  win.webContents.send('hotkey', action);
+}
 
-// IPC handler for file dialog
-ipcMain.handle('dialog:openFile', async () => {
-  const { canceled, filePaths } = await dialog.showOpenDialog({
-    properties: ['openFile']
+// Hotkeys are registered while the window has focus, or all the time with
+// desktop.hotkeysWhenUnfocused, but never while a text field is being typed in
+function updateHotkeys() {
+  globalShortcut.unregisterAll();
+  const { hotkeys, hotkeysWhenUnfocused } = getConfig().desktop;
+  const focused = Boolean(win && win.isFocused());
+  if (focused ? hotkeysSuspended : !hotkeysWhenUnfocused) return;
+  Object.entries(hotkeys).forEach(([accelerator, action]) => {
+    try {
+      if (!globalShortcut.register(accelerator, () => sendAction(action))) {
+        console.warn(`Hotkey ${accelerator} is taken by another app`);
+      }
+    } catch (err) {
+      console.warn(`Invalid hotkey "${accelerator}": ${err.message}`);
+    }
   });
-  if (canceled) return null;
-  return filePaths[0];
-}); 
\ No newline at end of file
+}
+
+// Helper: One line on the control server for the tray menu
+function describeServer(status) {
+  switch (status.state) {
+    case 'running':
+      return `Server running on port ${status.port}`;
+    case 'starting':
+      return 'Server starting...';
+    case 'restarting':
+      return `Server stopped (exit ${status.lastExit.code !== null ? status.lastExit.code : status.lastExit.signal}), restarting...`;
+    default:
+      return 'Server stopped';
+  }
+}
+
+function updateTray() {
+  if (!tray) return;
+  const status = supervisor.getStatus();
+  tray.setToolTip(`Parallel Playout: ${describeServer(status)}`);
+  tray.setContextMenu(Menu.buildFromTemplate([
+    { label: describeServer(status), enabled: false },
+    { type: 'separator' },
+    ...TRAY_ACTIONS.map(action => ({
+      label: ACTION_LABELS[action],
+      enabled: status.state === 'running',
+      click: () => sendAction(action)
+    })),
+    { type: 'separator' },
+    { label: 'Show Window', click: showWindow },
+    { label: 'Restart Server', click: () => supervisor.restart() },
+    { label: 'Quit', click: () => app.quit() }
+  ]));
+}
+
+function createTray() {
+  const icon = nativeImage.createFromPath(path.join(__dirname, 'Final logo.png'));
+  tray = new Tray(icon.resize({ width: 16, height: 16 }));
+  updateTray();
+}
+
+supervisor.subscribe(status => {
+  updateTray();
+  if (win) win.webContents.send('server:status', status);
+});
+
+app.whenReady().then(() => {
+  supervisor.start();
+  createWindow();
+  createTray();
+  updateHotkeys();
+});
+
+// The tray keeps the app and the server running with the window closed
+app.on('window-all-closed', function () {});
+
+app.on('activate', showWindow);
+
+// Stop the server before quitting, so it is not left holding the port
+app.on('before-quit', event => {
+  if (quitting) return;
+  event.preventDefault();
+  quitting = true;
+  supervisor.stop().then(() => app.quit());
+});
+
+app.on('will-quit', () => globalShortcut.unregisterAll());
+
+// The control server address, from the port in config.json
+ipcMain.handle('config:serverUrl', () => {
+  return `http://localhost:${getConfig().server.port}`;
+});
+
+ipcMain.handle('server:status', () => supervisor.getStatus());
+
+ipcMain.handle('server:restart', () => supervisor.restart());
+
+ipcMain.on('hotkeys:suspend', (event, suspended) => {
+  hotkeysSuspended = Boolean(suspended);
+  updateHotkeys();
+});
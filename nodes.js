@@ -0,0 +1,206 @@
+/*
+Node registry: every playback node the control server drives.
+- Nodes are listed under "nodes" in config.json (id, label, host, port,
+  mediaPath) with the player driver that controls them ("vlc", "mpv" or
+  "simulated", see drivers/index.js). Player passwords come from the secret
+  store (secrets.js), not from the config.
+- The node marked "local" is the machine running the control server. Each
+  node's player is started by the agent running on it (agent.js, rig.js).
+- When a config reload changes the node list, the players are rebuilt.
+- Player calls, sleep() and forEachNode() are where a cancelled command
+  (see commands.js) stops.
+*/
+
+const { log, logAction, logError } = require("./log");
+const { createDriver } = require("./drivers");
+const { getNodePassword } = require("./secrets");
+const { getConfig, onConfigChange } = require("./config");
+const { sleep, throwIfCancelled } = require("./commands");
+
+const DEFAULT_PORT = 8080;
+const DEFAULT_DRIVER = "vlc";
+const PLAYER_METHODS = [
+  "load",
+  "play",
+  "pause",
+  "stop",
+  "seek",
+  "setRate",
+  "setFullscreen",
+  "getStatus",
+  "fileExists",
+  "setVolume",
+  "setAudioTrack",
+  "setSubtitleTrack",
+  "getTracks",
+];
+// Polls, and the many small steps of a fade, are logged at debug level
+const QUIET_METHODS = ["getStatus", "fileExists", "getTracks", "setVolume"];
+
+const requestListeners = [];
+const loadListeners = [];
+
+// Helper: Load nodes with defaults filled in (config.js has validated them)
+function loadNodes() {
+  players.clear();
+  return getConfig().nodes.map((entry) => {
+    const node = {
+      ...entry,
+      label: entry.label || entry.id,
+      driver: entry.driver || DEFAULT_DRIVER,
+      port: entry.port || DEFAULT_PORT,
+      password: getNodePassword(entry.id),
+      mediaPath: entry.mediaPath || "",
+      local: entry.local === true,
+    };
+    players.set(node.id, wrapDriver(node, createDriver(node)));
+    return node;
+  });
+}
+
+let nodes = null;
+const players = new Map(); // node id -> player (driver with request tracking)
+
+function getNodes() {
+  if (!nodes) nodes = loadNodes();
+  return nodes;
+}
+
+onConfigChange((config, previous) => {
+  if (JSON.stringify(config.nodes) === JSON.stringify(previous.nodes)) return;
+  logAction(`Node list changed: ${config.nodes.map((n) => n.id).join(", ")}`);
+  nodes = null;
+});
+
+// Helper: Be told about every request made to a node (used by health.js)
+function onNodeRequest(fn) {
+  requestListeners.push(fn);
+}
+
+// Helper: Run fn(node, file) after every loadFile (used by audio.js, since
+// players reset volume and tracks per file)
+function onFileLoaded(fn) {
+  loadListeners.push(fn);
+}
+
+function notify(node, ok, latencyMs, error) {
+  const event = { node, ok, latencyMs, error };
+  requestListeners.forEach((fn) => fn(event));
+}
+
+// Helper: Report and log every driver call with its timing, and turn
+// failures into errors that name the node. Status polls are debug-level.
+function wrapDriver(node, driver) {
+  const player = { driver };
+  PLAYER_METHODS.forEach((method) => {
+    const level = QUIET_METHODS.includes(method) ? "debug" : "info";
+    player[method] = async (...args) => {
+      throwIfCancelled();
+      const startedAt = Date.now();
+      const fields = { node: node.id, call: method, args };
+      try {
+        const result = await driver[method](...args);
+        const durationMs = Date.now() - startedAt;
+        notify(node, true, durationMs);
+        log(level, `${node.label} ${method}`, { ...fields, durationMs });
+        return result;
+      } catch (err) {
+        const durationMs = Date.now() - startedAt;
+        notify(node, false, durationMs, err.message);
+        logError(`${method} error (${node.label}): ${err}`, {
+          ...fields,
+          durationMs,
+        });
+        throw new Error(
+          `${node.label} did not accept ${method}: ${err.message}`
+        );
+      }
+    };
+  });
+  return player;
+}
+
+function getPlayer(node) {
+  getNodes();
+  return players.get(node.id);
+}
+
+// Helper: Get the player status of a node, or null if it is unreachable
+async function getPlayerStatus(node) {
+  try {
+    return await getPlayer(node).getStatus();
+  } catch (err) {
+    return null;
+  }
+}
+
+// Helper: Run fn against every node in parallel and report each node's outcome
+async function forEachNode(fn, targets = getNodes()) {
+  const results = await Promise.all(
+    targets.map(async (node) => {
+      try {
+        const detail = await fn(node);
+        return { id: node.id, label: node.label, ok: true, detail };
+      } catch (err) {
+        return {
+          id: node.id,
+          label: node.label,
+          ok: false,
+          error: err.message,
+        };
+      }
+    })
+  );
+  throwIfCancelled();
+  return results;
+}
+
+// Helper: Call the same player method on every node
+function broadcast(method, args = [], targets) {
+  return forEachNode(async (node) => {
+    await getPlayer(node)[method](...args);
+  }, targets);
+}
+
+// Helper: Combine the per-node results of several steps of one command
+function mergeResults(...steps) {
+  return getNodes()
+    .map((node) => steps.map((step) => step.find((r) => r.id === node.id)))
+    .map((results) => results.filter(Boolean))
+    .filter((results) => results.length > 0)
+    .map(
+      (results) => results.find((r) => !r.ok) || results[results.length - 1]
+    );
+}
+
+// Helper: Enter fullscreen only if not already in fullscreen
+async function enterFullscreenIfNeeded(node) {
+  const changed = await getPlayer(node).setFullscreen(true);
+  logAction(`${node.label} fullscreen ${changed ? "entered" : "already on"}`, {
+    node: node.id,
+  });
+  return changed ? "now" : "already";
+}
+
+// Helper: Load a file without starting it, at `rate`, at 0
+async function loadFile(node, file, rate = 1.0) {
+  const player = getPlayer(node);
+  await player.load(file);
+  await player.setRate(rate);
+  await player.seek(0);
+  for (const fn of loadListeners) await fn(node, file);
+}
+
+module.exports = {
+  getNodes,
+  onNodeRequest,
+  onFileLoaded,
+  getPlayer,
+  getPlayerStatus,
+  forEachNode,
+  broadcast,
+  mergeResults,
+  enterFullscreenIfNeeded,
+  loadFile,
+  sleep,
+};
@@ -0,0 +1,368 @@
+/*
+OSC control: a UDP listener so lighting and sound desks can drive the show.
+- osc.addresses in config.json maps OSC addresses to actions, e.g.
+  "/parallelplay/seek" -> "seek". Each action sends the same command as the
+  /control button it stands for, through the command queue.
+- Arguments: seek takes seconds or an "HH:MM:SS:FF" timecode, speed a
+  rate, jumpTo an item number (counting from 1, like a desk's cue list)
+  and activatePreset a name.
+  Actions without arguments ignore a first argument of 0 or false, so a
+  button that sends 1 on press and 0 on release fires once.
+- Feedback goes to osc.feedbackHost and to every host that has sent a
+  command, on osc.feedbackPort (0: back to the port the host sent from):
+  the result or error of each command, the show state, the position (also
+  as timecode), the speed and the current running-order item, at the
+  addresses in osc.feedback ("" turns one off), /parallelplay/status/...
+  by default, apart from the command addresses.
+- Only hosts in osc.allowedHosts are listened to, if it lists any.
+- The listener follows config changes without a restart.
+*/
+
+const dgram = require("dgram");
+const { logAction, logWarn, logError } = require("./log");
+const { getConfig, onConfigChange } = require("./config");
+const { formatTimecode } = require("./timecode");
+
+// Helper: The first argument as a number, or an error naming what it is
+function numberArg(args, what) {
+  const value = Number(args[0]);
+  if (args.length === 0 || args[0] === null || !Number.isFinite(value)) {
+    throw new Error(`needs ${what} as a number`);
+  }
+  return value;
+}
+
+// Action -> the /control body it sends, from the message arguments
+const ACTIONS = {
+  play: () => ({ command: "play" }),
+  syncedPlay: () => ({ command: "syncedPlay" }),
+  cancelStart: () => ({ command: "cancelStart" }),
+  pause: () => ({ command: "pause" }),
+  stop: () => ({ command: "stop" }),
+  resume: () => ({ command: "resume" }),
+  wakeUp: () => ({ command: "wakeUp" }),
+  arm: () => ({ command: "arm" }),
+  sync: () => ({ command: "sync" }),
+  fullscreen: () => ({ command: "fullscreen" }),
+  seek: (args) => ({
+    command: "seek",
+    // A timecode string passes through as it is
+    seekValue:
+      typeof args[0] === "string"
+        ? args[0]
+        : String(numberArg(args, "the seconds")),
+  }),
+  skipForward: () => ({ command: "skip_forward" }),
+  skipBackward: () => ({ command: "skip_backward" }),
+  speed: (args) => ({ command: "setSpeed", speed: numberArg(args, "a rate") }),
+  resetSpeed: () => ({ command: "resetSpeed" }),
+  next: () => ({ command: "next" }),
+  previous: () => ({ command: "previous" }),
+  jumpTo: (args) => ({
+    command: "jumpTo",
+    index: numberArg(args, "an item number") - 1,
+  }),
+  activatePreset: (args) => {
+    if (typeof args[0] !== "string") throw new Error("needs a preset name");
+    return { command: "activatePreset", name: args[0] };
+  },
+  syncStart: () => ({ command: "syncStart" }),
+  syncStop: () => ({ command: "syncStop" }),
+};
+const ARGUMENT_ACTIONS = new Set(["seek", "speed", "jumpTo", "activatePreset"]);
+
+let socket = null;
+let execute = null;
+let unsubscribers = [];
+let last = {}; // Feedback already sent: { state, speed, item }
+const clients = new Map(); // "host:port" -> { address, port } of senders
+const ignoredHosts = new Set(); // Warned about once each
+const MAX_CLIENTS = 16;
+
+// Helper: Round up to OSC's 4-byte alignment
+function align(length) {
+  return Math.ceil(length / 4) * 4;
+}
+
+function readString(buffer, offset) {
+  const end = buffer.indexOf(0, offset);
+  if (end === -1) throw new Error("Unterminated OSC string");
+  return {
+    value: buffer.toString("utf8", offset, end),
+    offset: align(end + 1),
+  };
+}
+
+// The messages in an OSC packet (a message or a bundle of them), each as
+// { address, args }
+function decodePacket(buffer) {
+  if (buffer.toString("latin1", 0, 8) === "#bundle\0") {
+    const messages = [];
+    let offset = 16; // After "#bundle" and the time tag
+    while (offset + 4 <= buffer.length) {
+      const size = buffer.readInt32BE(offset);
+      const element = buffer.subarray(offset + 4, offset + 4 + size);
+      messages.push(...decodePacket(element));
+      offset += 4 + size;
+    }
+    return messages;
+  }
+  const address = readString(buffer, 0);
+  if (!address.value.startsWith("/")) throw new Error("Not an OSC message");
+  let offset = address.offset;
+  let tags = ",";
+  if (offset < buffer.length) {
+    ({ value: tags, offset } = readString(buffer, offset));
+  }
+  const args = [];
+  for (const tag of tags.slice(1)) {
+    switch (tag) {
+      case "i":
+        args.push(buffer.readInt32BE(offset));
+        offset += 4;
+        break;
+      case "f":
+        args.push(buffer.readFloatBE(offset));
+        offset += 4;
+        break;
+      case "d":
+        args.push(buffer.readDoubleBE(offset));
+        offset += 8;
+        break;
+      case "h":
+        args.push(Number(buffer.readBigInt64BE(offset)));
+        offset += 8;
+        break;
+      case "s":
+      case "S": {
+        const string = readString(buffer, offset);
+        args.push(string.value);
+        offset = string.offset;
+        break;
+      }
+      case "b": {
+        const size = buffer.readInt32BE(offset);
+        args.push(buffer.subarray(offset + 4, offset + 4 + size));
+        offset = align(offset + 4 + size);
+        break;
+      }
+      case "T":
+        args.push(true);
+        break;
+      case "F":
+        args.push(false);
+        break;
+      case "N":
+      case "I":
+        args.push(null);
+        break;
+      default:
+        throw new Error(`Unsupported OSC type "${tag}"`);
+    }
+  }
+  return [{ address: address.value, args }];
+}
+
+function encodeString(value) {
+  const bytes = Buffer.from(`${value}\0`);
+  return Buffer.concat([
+    bytes,
+    Buffer.alloc(align(bytes.length) - bytes.length),
+  ]);
+}
+
+// One OSC message. Numbers are sent as floats, { int: n } as an integer,
+// booleans as T/F and anything else as a string.
+function encodeMessage(address, args = []) {
+  let tags = ",";
+  const parts = [];
+  args.forEach((arg) => {
+    if (typeof arg === "boolean") {
+      tags += arg ? "T" : "F";
+    } else if (typeof arg === "number") {
+      tags += "f";
+      parts.push(Buffer.alloc(4));
+      parts[parts.length - 1].writeFloatBE(arg);
+    } else if (arg && typeof arg.int === "number") {
+      tags += "i";
+      parts.push(Buffer.alloc(4));
+      parts[parts.length - 1].writeInt32BE(arg.int);
+    } else {
+      tags += "s";
+      parts.push(encodeString(String(arg)));
+    }
+  });
+  return Buffer.concat([encodeString(address), encodeString(tags), ...parts]);
+}
+
+// The /control body for a message, or null if its address is not mapped or
+// it is a button release; throws if the arguments do not fit the action
+function toCommand(address, args) {
+  const action = getConfig().osc.addresses[address];
+  if (!action) return null;
+  const release = args.length > 0 && (args[0] === 0 || args[0] === false);
+  if (release && !ARGUMENT_ACTIONS.has(action)) return null;
+  return ACTIONS[action](args);
+}
+
+// Helper: Send one feedback message to `targets` ({ address, port } list)
+function send(name, args, targets) {
+  const address = getConfig().osc.feedback[name];
+  if (!socket || !address) return;
+  const message = encodeMessage(address, args);
+  targets.forEach((target) => {
+    socket.send(message, target.port, target.address, (err) => {
+      if (err)
+        logWarn(`OSC feedback to ${target.address} failed: ${err.message}`);
+    });
+  });
+}
+
+// Helper: Where feedback for everyone goes
+function feedbackTargets() {
+  const { feedbackHost, feedbackPort } = getConfig().osc;
+  const targets = [...clients.values()];
+  if (feedbackHost) targets.push({ address: feedbackHost, port: feedbackPort });
+  return targets;
+}
+
+function remember(rinfo) {
+  const { feedbackPort } = getConfig().osc;
+  const target = { address: rinfo.address, port: feedbackPort || rinfo.port };
+  const key = `${target.address}:${target.port}`;
+  clients.delete(key); // Most recent last
+  clients.set(key, target);
+  if (clients.size > MAX_CLIENTS) clients.delete(clients.keys().next().value);
+  return target;
+}
+
+async function handle({ address, args }, rinfo) {
+  let body;
+  try {
+    body = toCommand(address, args);
+  } catch (err) {
+    logWarn(`OSC ${address} ${err.message}`);
+    send("error", [address, `${address} ${err.message}`], [remember(rinfo)]);
+    return;
+  }
+  if (!body) return;
+  const sender = remember(rinfo);
+  logAction(`OSC ${address} from ${rinfo.address}`, { args });
+  const result = await execute(body, `osc ${rinfo.address}`);
+  if (result.error) send("error", [body.command, result.error], [sender]);
+  else send("result", [body.command, result.message], [sender]);
+}
+
+function receive(buffer, rinfo) {
+  const { allowedHosts } = getConfig().osc;
+  if (allowedHosts.length > 0 && !allowedHosts.includes(rinfo.address)) {
+    if (!ignoredHosts.has(rinfo.address)) {
+      ignoredHosts.add(rinfo.address);
+      logWarn(`Ignoring OSC from ${rinfo.address} (not in osc.allowedHosts)`);
+    }
+    return;
+  }
+  let messages;
+  try {
+    messages = decodePacket(buffer);
+  } catch (err) {
+    logWarn(`Bad OSC packet from ${rinfo.address}: ${err.message}`);
+    return;
+  }
+  messages.forEach((message) =>
+    handle(message, rinfo).catch((err) =>
+      logError(`OSC ${message.address} failed: ${err.message}`)
+    )
+  );
+}
+
+// Helper: Position, speed and item feedback from a status snapshot
+function statusFeedback(snapshot) {
+  const { getActivePreset } = require("./presets");
+  const targets = feedbackTargets();
+  const reference = snapshot.nodes.find((n) => n.id === snapshot.reference);
+  if (reference && reference.online) {
+    send("position", [reference.time], targets);
+    send(
+      "timecode",
+      [formatTimecode(reference.time, snapshot.frameRate)],
+      targets
+    );
+    if (reference.rate !== last.speed) send("speed", [reference.rate], targets);
+    last.speed = reference.rate;
+  }
+  const { items, current } = getActivePreset().playlist;
+  const item = items[current];
+  const key = item ? `${current}:${item.title}` : null;
+  if (key !== last.item) {
+    send(
+      "item",
+      item ? [{ int: current + 1 }, item.title] : [{ int: 0 }, ""],
+      targets
+    );
+  }
+  last.item = key;
+}
+
+function open() {
+  const { enabled, port } = getConfig().osc;
+  if (!enabled) return;
+  const showState = require("./showState");
+  const statusMonitor = require("./statusMonitor");
+  last = {};
+  socket = dgram.createSocket("udp4");
+  socket.on("message", receive);
+  socket.on("error", (err) => logError(`OSC socket error: ${err.message}`));
+  socket.bind(port, () => {
+    logAction(`OSC listening on UDP port ${socket.address().port}`);
+  });
+  unsubscribers = [
+    showState.subscribe((show) => {
+      send("state", [show.state], feedbackTargets());
+    }),
+    statusMonitor.subscribe(statusFeedback),
+  ];
+}
+
+function close() {
+  unsubscribers.forEach((unsubscribe) => unsubscribe());
+  unsubscribers = [];
+  if (socket) socket.close();
+  socket = null;
+}
+
+onConfigChange((config, previous) => {
+  if (!execute) return;
+  if (JSON.stringify(config.osc) === JSON.stringify(previous.osc)) return;
+  close();
+  open();
+});
+
+// The UDP address the listener is bound to, or null
+function address() {
+  try {
+    return socket ? socket.address() : null;
+  } catch (err) {
+    return null; // Not bound yet
+  }
+}
+
+// Start listening if osc.enabled; commands are sent with run(body, by), which
+// resolves to the /control response. Returns a function that stops it.
+function start(run) {
+  execute = run;
+  open();
+  return () => {
+    execute = null;
+    close();
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  decodePacket,
+  encodeMessage,
+  toCommand,
+  address,
+  start,
+};
@@ -0,0 +1,61 @@
+/*
+Media paths: the file each node plays. They are stored in the active show
+preset (see presets.js), falling back to each node's mediaPath in config.json.
+*/
+
+const { logAction } = require("./log");
+const { getNodes } = require("./nodes");
+const { getActivePreset, updateActivePreset } = require("./presets");
+
+function describeFiles(files) {
+  return getNodes()
+    .map((node) => `${node.id}="${files[node.id] || ""}"`)
+    .join(", ");
+}
+
+// Helper: Read paths (one per node, falling back to the registry's mediaPath)
+function readPaths() {
+  const preset = getActivePreset();
+  const files = {};
+  getNodes().forEach((node) => {
+    const file = preset.files[node.id] || node.mediaPath;
+    if (file) files[node.id] = file;
+  });
+  logAction(`Read paths from preset "${preset.name}": ${describeFiles(files)}`);
+  return files;
+}
+
+// Helper: Save paths into the active preset
+function savePaths(files) {
+  const saved = {};
+  getNodes().forEach((node) => {
+    saved[node.id] = files[node.id];
+  });
+  updateActivePreset({ files: saved });
+}
+
+// Helper: Merge the files sent with a request over the saved ones.
+// Legacy clients send masterFile for the first node and slaveFile for the rest.
+function resolveFiles(body, saved) {
+  const files = { ...saved };
+  const masterFile = body.masterFile;
+  const slaveFile = body.slaveFile || masterFile; // fallback for legacy
+  getNodes().forEach((node, index) => {
+    const legacyFile = index === 0 ? masterFile : slaveFile;
+    const requested = (body.files && body.files[node.id]) || legacyFile;
+    if (requested) files[node.id] = requested;
+  });
+  return files;
+}
+
+function missingFiles(files) {
+  return getNodes().filter((node) => !files[node.id]);
+}
+
+module.exports = {
+  describeFiles,
+  readPaths,
+  savePaths,
+  resolveFiles,
+  missingFiles,
+};
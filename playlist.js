@@ -0,0 +1,261 @@
+/*
+Running order: the list of items a show plays, saved in the active preset.
+- Each item pairs one file per node and may trim its start/end (seconds).
+- Loading an item loads its files on all nodes together (see loadFile)
+  and makes them the current paths, so play/sync/wakeUp use them too.
+- With autoAdvance on, the next item is loaded and started when the current
+  one ends (or reaches its end trim point).
+- Items can carry a cue list (see cues.js).
+*/
+
+const { logAction, logError } = require("./log");
+const {
+  getNodes,
+  getPlayer,
+  getPlayerStatus,
+  forEachNode,
+  broadcast,
+  mergeResults,
+  loadFile,
+  sleep,
+} = require("./nodes");
+const { runInternal, isBusy, isCancelled } = require("./commands");
+const { savePaths } = require("./paths");
+const { getActivePreset, updateActivePreset } = require("./presets");
+const { getConfig } = require("./config");
+const { getShowState, setShowState } = require("./showState");
+const { normalizeCues } = require("./cues");
+const { preciseTime } = require("./syncEngine");
+
+let watcher = null;
+let lastPlaying = null; // { time, length, rate, at } of the last playing status seen
+let advancing = false;
+
+function getPlaylist() {
+  return getActivePreset().playlist;
+}
+
+function writePlaylist(playlist) {
+  updateActivePreset({ playlist });
+}
+
+// Helper: Check an item and fill in defaults. A single `file` is used on every node.
+function normalizeItem(item, index) {
+  const files = {};
+  getNodes().forEach((node) => {
+    const file = (item.files && item.files[node.id]) || item.file;
+    if (!file) {
+      throw new Error(`Item ${index + 1} has no file for ${node.label}.`);
+    }
+    files[node.id] = file;
+  });
+  const trim = (value, name) => {
+    if (value === undefined || value === null || value === "") return null;
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+      throw new Error(`Item ${index + 1} has an invalid ${name} point.`);
+    }
+    return seconds;
+  };
+  const start = trim(item.start, "start");
+  const end = trim(item.end, "end");
+  if (start !== null && end !== null && end <= start) {
+    throw new Error(`Item ${index + 1} ends before it starts.`);
+  }
+  let cues;
+  try {
+    cues = normalizeCues(item.cues);
+  } catch (err) {
+    throw new Error(`Item ${index + 1}: ${err.message}`);
+  }
+  return {
+    title: item.title || files[getNodes()[0].id].split("/").pop(),
+    files,
+    start,
+    end,
+    cues,
+  };
+}
+
+function normalizeItems(items) {
+  if (!Array.isArray(items)) throw new Error("Playlist items must be a list.");
+  return items.map(normalizeItem);
+}
+
+// Replace the running order (and optionally the autoAdvance flag)
+function savePlaylist(items, autoAdvance) {
+  const current = getPlaylist();
+  const playlist = {
+    items: normalizeItems(items),
+    current: current.current < items.length ? current.current : -1,
+    autoAdvance:
+      autoAdvance === undefined ? current.autoAdvance : autoAdvance === true,
+  };
+  writePlaylist(playlist);
+  logAction(`Playlist saved with ${playlist.items.length} items`);
+  updateWatcher();
+  return playlist;
+}
+
+function setAutoAdvance(enabled) {
+  writePlaylist({ ...getPlaylist(), autoAdvance: enabled === true });
+  logAction(`Playlist auto-advance ${enabled === true ? "on" : "off"}`);
+  updateWatcher();
+}
+
+// Load item `index` on all nodes; keep playing if the show was playing,
+// otherwise hold it paused on its first frame
+async function loadItem(index, { play } = {}) {
+  const { items } = getPlaylist();
+  if (!Number.isInteger(index) || index < 0 || index >= items.length) {
+    const error = new Error(`No playlist item ${index + 1}.`);
+    error.status = 404;
+    throw error;
+  }
+  const item = items[index];
+  const resume = play === undefined ? getShowState().state === "playing" : play;
+
+  logAction(`Loading playlist item ${index + 1}: ${item.title}`);
+  const loadResults = await forEachNode(async (node) => {
+    const player = getPlayer(node);
+    await loadFile(node, item.files[node.id], getActivePreset().speed);
+    if (!resume) {
+      // Hold on the first frame until someone presses play
+      await player.pause();
+      await player.seek(item.start || 0);
+    } else if (item.start) {
+      await player.seek(item.start);
+    }
+  });
+  savePaths(item.files);
+  writePlaylist({ ...getPlaylist(), current: index });
+
+  let playResults = [];
+  if (resume) {
+    await sleep(getConfig().timing.playStartDelayMs); // Same settle as a fresh play
+    playResults = await broadcast("play");
+  }
+  lastPlaying = null;
+  setShowState(resume ? "playing" : "loaded", {
+    command: "playlist",
+    position: item.start || 0,
+  });
+  return {
+    item,
+    index,
+    playing: resume,
+    nodes: mergeResults(loadResults, playResults),
+  };
+}
+
+function next(options) {
+  return loadItem(getPlaylist().current + 1, options);
+}
+
+function previous(options) {
+  return loadItem(getPlaylist().current - 1, options);
+}
+
+// Helper: Has the current item reached the end of its media (or its end trim
+// point)? Like VLC, a player that runs off the end reports stopped at 0, so
+// a stopped player has ended only if the position it was last seen playing
+// at, carried forward to now, is at the end; one stopped mid-item has not.
+function hasEnded(item, status) {
+  let time = preciseTime(status);
+  let { length } = status;
+  if (status.state === "stopped") {
+    if (!lastPlaying) return false;
+    const elapsed = (Date.now() - lastPlaying.at) / 1000;
+    time = lastPlaying.time + elapsed * lastPlaying.rate;
+    length = lastPlaying.length;
+  } else if (status.state !== "playing") {
+    return false;
+  }
+  if (item.end !== null && time >= item.end) return true;
+  const { endMarginSeconds } = getConfig().playlist;
+  return length > 0 && time >= length - endMarginSeconds;
+}
+
+// Watch the reference node and react when the current item ends. Only a show
+// that is playing can run into the end of an item: after a stop, pause or
+// anything else the players are not watched. The reaction is queued like a
+// command (see commands.js), so a stop cancels it; while a command is in
+// progress the watcher stays out of its way.
+async function watch() {
+  const { items, current, autoAdvance } = getPlaylist();
+  const item = items[current];
+  if (!item || advancing) return;
+  if (getShowState().state !== "playing" || isBusy()) {
+    lastPlaying = null;
+    return;
+  }
+  const reference = getNodes().find((node) => node.local) || getNodes()[0];
+  const status = await getPlayerStatus(reference);
+  if (!status) return;
+  const ended = hasEnded(item, status);
+  lastPlaying =
+    status.state === "playing" && !ended
+      ? {
+          time: preciseTime(status),
+          length: status.length,
+          rate: status.rate || 1,
+          at: Date.now(),
+        }
+      : null;
+  if (!ended) return;
+
+  const advance = autoAdvance && current + 1 < items.length;
+  if (!advance && (item.end === null || status.state !== "playing")) return;
+  const command = advance ? "autoAdvance" : "itemEnd";
+  advancing = true;
+  try {
+    await runInternal(command, "playlist", async () => {
+      // A command may have moved the show on while this waited its turn
+      if (getShowState().state !== "playing") return;
+      if (getPlaylist().current !== current) return;
+      if (advance) {
+        logAction(`Playlist item ${current + 1} ended, advancing`);
+        await loadItem(current + 1, { play: true });
+      } else {
+        logAction(`Playlist item ${current + 1} reached its end point`);
+        await broadcast("stop");
+        setShowState("stopped", { command: "playlist" });
+      }
+    });
+  } catch (err) {
+    if (isCancelled(err)) {
+      logAction(`Playlist ${command} cancelled`);
+    } else {
+      logError(`Playlist auto-advance failed: ${err.message}`);
+    }
+  } finally {
+    advancing = false;
+  }
+}
+
+// Only poll while there is something to react to (call after the playlist changes)
+function updateWatcher() {
+  const { items, autoAdvance } = getPlaylist();
+  const needed = items.length > 0 && (autoAdvance || items.some((i) => i.end));
+  if (needed && !watcher) {
+    watcher = setInterval(() => {
+      watch().catch((err) => logError(`Playlist watch failed: ${err.message}`));
+    }, getConfig().playlist.watchIntervalMs);
+  } else if (!needed && watcher) {
+    clearInterval(watcher);
+    watcher = null;
+  }
+}
+
+updateWatcher();
+
+module.exports = {
+  normalizeItems,
+  refresh: updateWatcher,
+  getPlaylist,
+  savePlaylist,
+  setAutoAdvance,
+  loadItem,
+  next,
+  previous,
+};
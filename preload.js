@@ -1,7 +1,22 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Helper: Subscribe to a main-process event; returns a function that stops it
+function listen(channel, callback) {
+  const listener = (event, value) => callback(value);
+  ipcRenderer.on(channel, listener);
+  return () => ipcRenderer.removeListener(channel, listener);
+}
+
 contextBridge.exposeInMainWorld('electronAPI', {
-  openFile: async () => {
-    return await ipcRenderer.invoke('dialog:openFile');
-  }
-}); 
\ No newline at end of file
+  getServerUrl: async () => {
+    return await ipcRenderer.invoke('config:serverUrl');
+  },
+  // { state: stopped|starting|running|restarting, pid, port, restarts, lastExit }
+  getServerStatus: () => ipcRenderer.invoke('server:status'),
+  onServerStatus: callback => listen('server:status', callback),
+  restartServer: () => ipcRenderer.invoke('server:restart'),
+  // Tray and hotkey actions: playPause, play, pause, stop, sync, skipForward, skipBackward
+  onHotkey: callback => listen('hotkey', callback),
+  // Hotkeys are let go while the user types in a text field
+  suspendHotkeys: suspended => ipcRenderer.send('hotkeys:suspend', suspended)
+});
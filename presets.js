@@ -0,0 +1,223 @@
+/*
+Show presets: named setups for recurring events, saved in presets.json
+(files.presets in config.json).
+- A preset holds the media path of each node, the default speed, whether the
+  players should go fullscreen, its running order (playlist) and its audio:
+  volume and mute for the group and per node, and each node's audio and
+  subtitle track (see audio.js).
+- Exactly one preset is active; the current paths and playlist are the
+  active preset's.
+- On first run an existing paths.txt (and playlist.json) becomes the
+  "Default" preset. A presets.json that cannot be read is logged and the
+  server carries on with an empty "Default" preset.
+*/
+
+const fs = require("fs");
+const { logAction, logError } = require("./log");
+const { getNodes } = require("./nodes");
+const { getConfig, resolvePath, onConfigChange } = require("./config");
+
+// Next to config.json, where the old launch scripts kept them
+const LEGACY_PATHS_FILE = "paths.txt";
+const LEGACY_PLAYLIST_FILE = "playlist.json";
+const DEFAULT_NAME = "Default";
+const MAX_VOLUME = 125; // Percent; VLC and mpv both go this far
+
+let store = null; // { active, presets: [...] }
+
+function emptyPlaylist() {
+  return { items: [], current: -1, autoAdvance: false };
+}
+
+// Helper: A volume in percent; 100 if left out
+function checkVolume(value) {
+  if (value === undefined) return 100;
+  if (typeof value !== "number" || !(value >= 0 && value <= MAX_VOLUME)) {
+    throw new Error(`Volume must be a number from 0 to ${MAX_VOLUME}.`);
+  }
+  return value;
+}
+
+// Helper: A track id, -1 for none, or null for the player's own choice
+function checkTrack(value) {
+  if (value === undefined || value === null) return null;
+  if (!Number.isInteger(value) || value < -1) {
+    throw new Error("A track must be a track number, or -1 for none.");
+  }
+  return value;
+}
+
+// Check audio settings and fill in defaults
+function normalizeAudio(audio = {}) {
+  const nodes = {};
+  Object.entries(audio.nodes || {}).forEach(([id, settings]) => {
+    nodes[id] = {
+      volume: checkVolume(settings.volume),
+      muted: settings.muted === true,
+      audioTrack: checkTrack(settings.audioTrack),
+      subtitleTrack: checkTrack(settings.subtitleTrack),
+    };
+  });
+  return {
+    volume: checkVolume(audio.volume),
+    muted: audio.muted === true,
+    nodes,
+  };
+}
+
+// Helper: Check a preset and fill in defaults
+function normalizePreset(preset) {
+  const name = typeof preset.name === "string" ? preset.name.trim() : "";
+  if (!name) throw new Error("A preset needs a name.");
+  const files = {};
+  Object.entries(preset.files || {}).forEach(([id, file]) => {
+    if (file) files[id] = String(file);
+  });
+  const speed = preset.speed === undefined ? 1.0 : Number(preset.speed);
+  if (!Number.isFinite(speed) || speed <= 0) {
+    throw new Error("Preset speed must be a positive number.");
+  }
+  return {
+    name,
+    files,
+    speed,
+    fullscreen: preset.fullscreen !== false,
+    playlist: { ...emptyPlaylist(), ...preset.playlist },
+    audio: normalizeAudio(preset.audio),
+  };
+}
+
+// Helper: Read the old KEY=value paths.txt (MASTER_VIDEO_PATH=...)
+function readLegacyPaths() {
+  const files = {};
+  const file = resolvePath(LEGACY_PATHS_FILE);
+  if (!fs.existsSync(file)) return files;
+  const lines = fs.readFileSync(file, "utf-8").split(/\r?\n/);
+  lines.forEach((line) => {
+    const node = getNodes().find((n) =>
+      line.startsWith(`${n.id.toUpperCase()}_VIDEO_PATH=`)
+    );
+    if (node) files[node.id] = line.slice(line.indexOf("=") + 1);
+  });
+  return files;
+}
+
+// Helper: A store with just the "Default" preset
+function defaultStore(playlist, files = {}) {
+  const preset = normalizePreset({ name: DEFAULT_NAME, files, playlist });
+  return { active: DEFAULT_NAME, presets: [preset] };
+}
+
+// Helper: Build the first presets.json from paths.txt and playlist.json
+function migrate() {
+  const playlistFile = resolvePath(LEGACY_PLAYLIST_FILE);
+  const playlist = fs.existsSync(playlistFile)
+    ? JSON.parse(fs.readFileSync(playlistFile, "utf-8"))
+    : emptyPlaylist();
+  const migrated = defaultStore(playlist, readLegacyPaths());
+  logAction(
+    `Migrated ${LEGACY_PATHS_FILE} to preset "${DEFAULT_NAME}" in ${presetsFile()}; ${LEGACY_PATHS_FILE} is no longer read`
+  );
+  return migrated;
+}
+
+function presetsFile() {
+  return getConfig().files.presets;
+}
+
+function write() {
+  fs.writeFileSync(presetsFile(), JSON.stringify(store, null, 2));
+}
+
+function load() {
+  if (store) return store;
+  if (!fs.existsSync(presetsFile())) {
+    store = migrate();
+    write();
+    return store;
+  }
+  try {
+    store = JSON.parse(fs.readFileSync(presetsFile(), "utf-8"));
+    if (!Array.isArray(store.presets)) throw new Error("no presets list");
+  } catch (err) {
+    // Left as it is for repair; the next change to a preset overwrites it
+    logError(`Could not read ${presetsFile()}: ${err.message}`);
+    store = defaultStore();
+  }
+  return store;
+}
+
+// Another presets file in the config means another set of presets
+onConfigChange((config, previous) => {
+  if (config.files.presets !== previous.files.presets) store = null;
+});
+
+// Helper: The error for a preset that does not exist (HTTP 404 in /api/v1)
+function noSuchPreset(name) {
+  const error = new Error(`No preset named "${name}".`);
+  error.status = 404;
+  return error;
+}
+
+function listPresets() {
+  const { active, presets } = load();
+  return { active, presets };
+}
+
+function getPreset(name) {
+  return load().presets.find((preset) => preset.name === name) || null;
+}
+
+function getActivePreset() {
+  const { active, presets } = load();
+  return getPreset(active) || presets[0];
+}
+
+// Create or replace a preset by name
+function savePreset(preset) {
+  const saved = normalizePreset(preset);
+  const { presets } = load();
+  const index = presets.findIndex((p) => p.name === saved.name);
+  if (index === -1) presets.push(saved);
+  else presets[index] = saved;
+  write();
+  logAction(`Preset "${saved.name}" saved`);
+  return saved;
+}
+
+function deletePreset(name) {
+  const { active, presets } = load();
+  if (name === active) throw new Error("The active preset cannot be deleted.");
+  const index = presets.findIndex((p) => p.name === name);
+  if (index === -1) throw noSuchPreset(name);
+  presets.splice(index, 1);
+  write();
+  logAction(`Preset "${name}" deleted`);
+}
+
+function activatePreset(name) {
+  const preset = getPreset(name);
+  if (!preset) throw noSuchPreset(name);
+  load().active = name;
+  write();
+  logAction(`Preset "${name}" activated`);
+  return preset;
+}
+
+// Change fields of the active preset (files, playlist, ...)
+function updateActivePreset(changes) {
+  Object.assign(getActivePreset(), changes);
+  write();
+}
+
+module.exports = {
+  normalizePreset,
+  normalizeAudio,
+  listPresets,
+  getPreset,
+  getActivePreset,
+  savePreset,
+  deletePreset,
+  activatePreset,
+  updateActivePreset,
+};
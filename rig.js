@@ -0,0 +1,147 @@
+/*
+Rig: the node agents (see agent.js) as the control server sees them, so the
+operator can bring up every player and check it from the UI.
+- Each node's agent is reached on the node's host (127.0.0.1 for a node
+  without one) at launch.agentPort or the node's agentPort, with agentToken
+  from secrets.json. Simulated nodes have no agent.
+- getRig() asks every agent about its player; an agent that does not answer
+  is "offline", one that answers with an error is "error".
+- Starting or restarting waits until the player is ready or has failed
+  (launch.readyTimeoutMs on the agent).
+*/
+
+const fetch = require("node-fetch");
+const { logAction, logWarn } = require("./log");
+const { getNodes } = require("./nodes");
+const { getAgentToken } = require("./secrets");
+const { getConfig } = require("./config");
+
+const PLAYER_ACTIONS = ["start", "stop", "restart"];
+
+// Helper: Whether the node's player is looked after by an agent
+function hasAgent(node) {
+  return node.driver !== "simulated";
+}
+
+function agentUrl(node) {
+  const port = node.agentPort || getConfig().launch.agentPort;
+  return `http://${node.host || "127.0.0.1"}:${port}`;
+}
+
+// Helper: Call a node's agent; resolves to its answer, throws with status
+// 502 if it does not answer or answers with an error
+async function request(node, method, route, timeout) {
+  let res;
+  try {
+    res = await fetch(agentUrl(node) + route, {
+      method,
+      headers: { Authorization: `Bearer ${getAgentToken()}` },
+      timeout,
+    });
+  } catch (err) {
+    const error = new Error(`The agent on ${node.label} does not answer.`);
+    error.status = 502;
+    error.offline = true;
+    throw error;
+  }
+  const body = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    const error = new Error(
+      `The agent on ${node.label} refused: ${body.error || `HTTP ${res.status}`}`
+    );
+    error.status = 502;
+    throw error;
+  }
+  return body;
+}
+
+// Helper: One node's entry in the rig: { id, label, agent, player, error }
+async function describe(node, call) {
+  const entry = { id: node.id, label: node.label, agent: "none" };
+  if (!hasAgent(node)) return { ...entry, player: null, error: null };
+  try {
+    const status = await call();
+    return { ...entry, agent: "online", player: status.player, error: null };
+  } catch (err) {
+    return {
+      ...entry,
+      agent: err.offline ? "offline" : "error",
+      player: null,
+      error: err.message,
+    };
+  }
+}
+
+// Every node with its agent and player
+async function getRig() {
+  const { requestTimeoutMs } = getConfig().timing;
+  return {
+    nodes: await Promise.all(
+      getNodes().map((node) =>
+        describe(node, () => request(node, "GET", "/status", requestTimeoutMs))
+      )
+    ),
+  };
+}
+
+// Helper: Ask node's agent to start, stop or restart its player
+function callAction(node, action) {
+  const { timing, launch } = getConfig();
+  const timeout = timing.requestTimeoutMs + launch.readyTimeoutMs;
+  return request(node, "POST", `/player/${action}`, timeout);
+}
+
+// Start, stop or restart node `id`'s player; resolves to its rig entry
+async function playerAction(id, action) {
+  const node = getNodes().find((n) => n.id === id);
+  if (!node) {
+    const error = new Error(`No node "${id}".`);
+    error.status = 404;
+    throw error;
+  }
+  if (!PLAYER_ACTIONS.includes(action)) {
+    const error = new Error(`No player action "${action}".`);
+    error.status = 404;
+    throw error;
+  }
+  if (!hasAgent(node)) {
+    const error = new Error(`${node.label} has no player to ${action}.`);
+    error.status = 400;
+    throw error;
+  }
+  logAction(`Player ${action} on ${node.label}`, { node: id });
+  const entry = await describe(node, () => callAction(node, action));
+  if (entry.error) {
+    logWarn(`Player ${action} on ${node.label} failed`, {
+      node: id,
+      error: entry.error,
+    });
+  }
+  return entry;
+}
+
+// Bring up the whole rig: start every player that is not ready, together
+async function startAll() {
+  logAction("Starting every player");
+  const nodes = await Promise.all(
+    getNodes().map((node) => describe(node, () => callAction(node, "start")))
+  );
+  const down = nodes.filter(
+    (n) => n.agent !== "none" && !(n.player && n.player.state === "ready")
+  );
+  if (down.length > 0) {
+    logWarn("Not every player came up", {
+      nodes: down.map((n) => n.id),
+    });
+  }
+  return {
+    message:
+      down.length === 0
+        ? "Every player is ready."
+        : `Not ready: ${down.map((n) => n.label).join(", ")}.`,
+    ok: down.length === 0,
+    nodes,
+  };
+}
+
+module.exports = { PLAYER_ACTIONS, agentUrl, getRig, playerAction, startAll };
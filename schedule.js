@@ -0,0 +1,440 @@
+/*
+Scheduler: runs the show unattended at set times of day, e.g. "06:00
+activatePreset Morning, arm, play" and "07:30 stop with a 10 s fade".
+- An entry has an id, a label, either `at` (one date and time) or `cron`
+  ("minute hour day-of-month month day-of-week", in the server's local
+  time) and a list of steps: /control command bodies, sent one after the
+  other through the command queue like any operator command. A step that
+  fails ends the run, so a failed arm never plays.
+- Entries are saved in schedule.json (files.schedule in config.json) with
+  the time each is next due, so they survive restarts.
+- A run the server was not running for (or was asleep through) is still
+  made if it is no more than schedule.missedGraceMinutes late; otherwise
+  it is recorded as missed and the entry waits for its next time. A
+  one-off entry switches itself off once it has run or been missed.
+*/
+
+const fs = require("fs");
+const crypto = require("crypto");
+const { logAction, logWarn, logError } = require("./log");
+const { getConfig, onConfigChange } = require("./config");
+
+// /control commands a schedule step may send
+const SCHEDULE_COMMANDS = [
+  "activatePreset",
+  "wakeUp",
+  "arm",
+  "play",
+  "syncedPlay",
+  "pause",
+  "stop",
+  "resume",
+  "seek",
+  "setSpeed",
+  "resetSpeed",
+  "setVolume",
+  "setMute",
+  "fullscreen",
+  "sync",
+  "syncStart",
+  "syncStop",
+  "next",
+  "previous",
+  "jumpTo",
+];
+const CRON_FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "day of week", min: 0, max: 7 }, // 0 and 7 are both Sunday
+];
+const CRON_ALIASES = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+};
+const MAX_TIMER_MS = 60 * 60 * 1000; // Look again at least hourly (clock changes)
+const CRON_SEARCH_DAYS = 4 * 366; // Far enough to find a 29 February
+
+let store = null; // { entries: [...] }
+let execute = null;
+let timer = null;
+let running = Promise.resolve(); // Runs go one after the other
+const listeners = [];
+
+function scheduleFile() {
+  return getConfig().files.schedule;
+}
+
+function load() {
+  if (store) return store;
+  try {
+    store = JSON.parse(fs.readFileSync(scheduleFile(), "utf-8"));
+  } catch (err) {
+    if (err.code !== "ENOENT") {
+      logError(`Could not read ${scheduleFile()}: ${err.message}`);
+    }
+    store = { entries: [] };
+  }
+  return store;
+}
+
+function write() {
+  fs.writeFileSync(scheduleFile(), JSON.stringify(load(), null, 2));
+}
+
+onConfigChange((config, previous) => {
+  if (config.files.schedule !== previous.files.schedule) {
+    store = null;
+    if (execute) plan();
+  }
+});
+
+// Helper: The values one cron field allows, and whether it allows them all
+function parseCronField(text, { name, min, max }) {
+  const values = new Set();
+  text.split(",").forEach((part) => {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw new Error(`Invalid ${name} "${part}" in cron.`);
+    const [, range, from, to, step] = match;
+    const first = range === "*" ? min : Number(from);
+    let last = first;
+    if (range === "*" || (step && to === undefined)) last = max;
+    if (to !== undefined) last = Number(to);
+    const every = step === undefined ? 1 : Number(step);
+    if (first < min || last > max || first > last || every < 1) {
+      throw new Error(`Invalid ${name} "${part}" in cron.`);
+    }
+    for (let value = first; value <= last; value += every) values.add(value);
+  });
+  return { values, any: text.startsWith("*") };
+}
+
+// Read a cron expression (five fields or @hourly, @daily, @weekly, @monthly)
+function parseCron(expression) {
+  const text = String(expression).trim();
+  const fields = (CRON_ALIASES[text] || text).split(/\s+/);
+  if (fields.length !== CRON_FIELDS.length) {
+    throw new Error(
+      `Invalid cron "${text}". Use "minute hour day-of-month month day-of-week", e.g. "0 6 * * *".`
+    );
+  }
+  const [minute, hour, day, month, weekday] = fields.map((field, i) =>
+    parseCronField(field, CRON_FIELDS[i])
+  );
+  if (weekday.values.has(7)) weekday.values.add(0);
+  return { minute, hour, day, month, weekday };
+}
+
+// Helper: Like cron, a day matches either day field when both are restricted
+function dayMatches(cron, date) {
+  const day = cron.day.values.has(date.getDate());
+  const weekday = cron.weekday.values.has(date.getDay());
+  if (cron.day.any) return weekday;
+  if (cron.weekday.any) return day;
+  return day || weekday;
+}
+
+// The first time (ms) after `after` that `cron` (from parseCron) is due, or
+// null if it never is (e.g. 31 February)
+function nextCronTime(cron, after) {
+  const date = new Date(after);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  const limit = after + CRON_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (date.getTime() <= limit) {
+    if (!cron.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!dayMatches(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date.getTime();
+    }
+  }
+  return null;
+}
+
+// Helper: Check the steps of an entry
+function normalizeSteps(steps) {
+  if (!Array.isArray(steps) || steps.length === 0) {
+    throw new Error("A schedule entry needs at least one step.");
+  }
+  return steps.map((step) => {
+    if (!step || !SCHEDULE_COMMANDS.includes(step.command)) {
+      throw new Error(`A schedule step cannot send "${step && step.command}".`);
+    }
+    return { ...step };
+  });
+}
+
+// Helper: Check an entry and fill in defaults; `previous` is the entry it
+// replaces, whose run history it keeps
+function normalizeEntry(entry, previous) {
+  if (!entry || typeof entry !== "object") {
+    throw new Error("A schedule entry is missing.");
+  }
+  const given = (value) =>
+    value !== undefined && value !== null && value !== "";
+  if (given(entry.at) === given(entry.cron)) {
+    throw new Error(
+      'A schedule entry needs either "at" (a date and time) or "cron".'
+    );
+  }
+  let at = null;
+  if (given(entry.at)) {
+    const time = Date.parse(entry.at);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid date and time "${entry.at}".`);
+    }
+    at = new Date(time).toISOString();
+  } else {
+    parseCron(entry.cron);
+  }
+  return {
+    id: entry.id ? String(entry.id) : crypto.randomBytes(4).toString("hex"),
+    label: entry.label ? String(entry.label) : "",
+    enabled: entry.enabled !== false,
+    at,
+    cron: at ? null : String(entry.cron).trim(),
+    steps: normalizeSteps(entry.steps),
+    nextRunAt: null,
+    lastRun: previous ? previous.lastRun : null,
+  };
+}
+
+// Helper: "Morning" or, without a label, "activatePreset, arm, play"
+function describeEntry(entry) {
+  return entry.label || entry.steps.map((step) => step.command).join(", ");
+}
+
+// Helper: The first time the entry is due after `now`, or null
+function nextTime(entry, now) {
+  if (!entry.enabled) return null;
+  if (entry.cron) return nextCronTime(parseCron(entry.cron), now);
+  const at = Date.parse(entry.at);
+  return at > now ? at : null;
+}
+
+// Helper: Set the entry's next run; a one-off entry that is past switches off
+function advance(entry, now) {
+  const next = nextTime(entry, now);
+  entry.nextRunAt = next === null ? null : new Date(next).toISOString();
+  if (!entry.cron && next === null) entry.enabled = false;
+}
+
+function findEntry(id) {
+  const entry = load().entries.find((e) => e.id === id);
+  if (!entry) {
+    const error = new Error("No such schedule entry.");
+    error.status = 404;
+    throw error;
+  }
+  return entry;
+}
+
+// Every entry, the next one due first and the switched-off ones last
+function getSchedule() {
+  const due = (entry) =>
+    entry.nextRunAt ? Date.parse(entry.nextRunAt) : Infinity;
+  return {
+    entries: [...load().entries].sort((a, b) => due(a) - due(b)),
+  };
+}
+
+// Helper: Be told when the schedule changes or runs, with getSchedule()
+function subscribe(fn) {
+  listeners.push(fn);
+  return () => listeners.splice(listeners.indexOf(fn), 1);
+}
+
+function changed() {
+  write();
+  plan();
+  const schedule = getSchedule();
+  listeners.forEach((fn) => fn(schedule));
+}
+
+// Create an entry, or replace the one with the same id
+function saveEntry(entry) {
+  const { entries } = load();
+  const previous = entries.find((e) => e.id === entry.id);
+  const saved = normalizeEntry(entry, previous);
+  if (saved.at && saved.enabled && Date.parse(saved.at) <= Date.now()) {
+    throw new Error(`${new Date(saved.at).toLocaleString()} has passed.`);
+  }
+  advance(saved, Date.now());
+  store.entries = [...entries.filter((e) => e.id !== saved.id), saved];
+  logAction(`Schedule entry "${describeEntry(saved)}" saved`, {
+    schedule: saved.id,
+  });
+  changed();
+  return saved;
+}
+
+function deleteEntry(id) {
+  const entry = findEntry(id);
+  store.entries = store.entries.filter((e) => e !== entry);
+  logAction(`Schedule entry "${describeEntry(entry)}" deleted`, {
+    schedule: id,
+  });
+  changed();
+}
+
+// Switch an entry on or off; a one-off entry that is past cannot come on
+function setEnabled(id, enabled) {
+  const entry = findEntry(id);
+  if (enabled && entry.at && Date.parse(entry.at) <= Date.now()) {
+    const error = new Error(
+      `${new Date(entry.at).toLocaleString()} has passed.`
+    );
+    error.status = 409;
+    throw error;
+  }
+  entry.enabled = enabled;
+  advance(entry, Date.now());
+  logAction(
+    `Schedule entry "${describeEntry(entry)}" ${enabled ? "on" : "off"}`,
+    { schedule: id }
+  );
+  changed();
+  return entry;
+}
+
+// Helper: Send the entry's steps, stopping at the first that fails
+async function runSteps(entry, dueAt, late) {
+  const name = describeEntry(entry);
+  logAction(`Schedule "${name}"${late ? " (late)" : ""} running`, {
+    schedule: entry.id,
+  });
+  let error = null;
+  for (const step of entry.steps) {
+    let result;
+    try {
+      result = await execute(step);
+    } catch (err) {
+      result = { error: err.message };
+    }
+    if (result && result.error) {
+      error = `${step.command}: ${result.error}`;
+      break;
+    }
+  }
+  if (error) {
+    logWarn(`Schedule "${name}" failed at ${error}`, { schedule: entry.id });
+  }
+  const lastRun = {
+    at: new Date().toISOString(),
+    dueAt: new Date(dueAt).toISOString(),
+    ok: !error,
+    error,
+    late,
+  };
+  // The entry may have been edited meanwhile; record the run on what is saved
+  const saved = load().entries.find((e) => e.id === entry.id);
+  if (saved) saved.lastRun = lastRun;
+  changed();
+}
+
+// Helper: Handle an entry whose time has come (or passed while the server
+// was down): run it, or record it as missed if it is too late
+function due(entry, now) {
+  const name = describeEntry(entry);
+  let dueAt = Date.parse(entry.nextRunAt);
+  let skipped = 0; // Earlier cron runs the server slept through
+  if (entry.cron) {
+    const cron = parseCron(entry.cron);
+    for (;;) {
+      const next = nextCronTime(cron, dueAt);
+      if (next === null || next > now) break;
+      dueAt = next;
+      skipped += 1;
+    }
+  }
+  advance(entry, now);
+  if (skipped > 0) logWarn(`Schedule "${name}" missed ${skipped} run(s)`);
+  const lateMs = now - dueAt;
+  if (lateMs > getConfig().schedule.missedGraceMinutes * 60 * 1000) {
+    logWarn(
+      `Schedule "${name}" missed its run at ${new Date(dueAt).toLocaleString()}`,
+      {
+        schedule: entry.id,
+      }
+    );
+    entry.lastRun = {
+      at: new Date(now).toISOString(),
+      dueAt: new Date(dueAt).toISOString(),
+      ok: false,
+      error: "Missed: the server was not running.",
+      late: true,
+    };
+    return;
+  }
+  // A run is "late" once it is due for longer than the timer's own slack
+  const late = lateMs > 1000;
+  running = running
+    .then(() => runSteps(entry, dueAt, late))
+    .catch((err) => logError(`Schedule "${name}" failed: ${err.message}`));
+}
+
+// Helper: Handle every entry that is due, then wait for the next one
+function tick() {
+  timer = null;
+  const now = Date.now();
+  const dueNow = load()
+    .entries.filter(
+      (entry) =>
+        entry.enabled && entry.nextRunAt && Date.parse(entry.nextRunAt) <= now
+    )
+    .sort((a, b) => Date.parse(a.nextRunAt) - Date.parse(b.nextRunAt));
+  dueNow.forEach((entry) => due(entry, now));
+  if (dueNow.length > 0) changed();
+  else plan();
+}
+
+// Helper: Time the next entry due
+function plan() {
+  clearTimeout(timer);
+  timer = null;
+  if (!execute) return;
+  const times = load()
+    .entries.filter((entry) => entry.enabled && entry.nextRunAt)
+    .map((entry) => Date.parse(entry.nextRunAt));
+  if (times.length === 0) return;
+  const delayMs = Math.max(0, Math.min(...times) - Date.now());
+  timer = setTimeout(tick, Math.min(delayMs, MAX_TIMER_MS));
+}
+
+// Start running entries, first any missed while the server was down; steps
+// are sent with run(body), which runs a /control command body and resolves
+// to its response
+function start(run) {
+  execute = run;
+  tick();
+}
+
+function stop() {
+  execute = null;
+  clearTimeout(timer);
+  timer = null;
+}
+
+module.exports = {
+  SCHEDULE_COMMANDS,
+  parseCron,
+  nextCronTime,
+  getSchedule,
+  saveEntry,
+  deleteEntry,
+  setEnabled,
+  subscribe,
+  start,
+  stop,
+};
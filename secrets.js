@@ -0,0 +1,52 @@
+/*
+Secret store: everything that must not live in the repo or be served.
+- Read from the file named by files.secrets in config.json (secrets.json by
+  default), which is kept out of git; secrets.example.json shows the layout.
+- `users` are the logins for the control server: name, role ("operator" or
+  "viewer") and a password hash from `node auth.js --hash <password>`.
+- `nodePasswords` holds the player password (VLC web interface) per node id;
+  `defaultNodePassword` is used for nodes without their own.
+- `agentToken` is shared by the control server and the node agents
+  (agent.js); the agents only take requests that carry it.
+*/
+
+const fs = require("fs");
+const { logWarn } = require("./log");
+const { getConfig, onConfigChange } = require("./config");
+
+let secrets = null;
+
+function load() {
+  if (secrets) return secrets;
+  const file = getConfig().files.secrets;
+  if (fs.existsSync(file)) {
+    secrets = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } else {
+    logWarn(
+      `${file} not found: nobody can log in and players get no password. Copy secrets.example.json to start.`
+    );
+    secrets = {};
+  }
+  return secrets;
+}
+
+onConfigChange((config, previous) => {
+  if (config.files.secrets !== previous.files.secrets) secrets = null;
+});
+
+function getUsers() {
+  return load().users || [];
+}
+
+function getNodePassword(id) {
+  const { nodePasswords = {}, defaultNodePassword = "" } = load();
+  return nodePasswords[id] !== undefined
+    ? nodePasswords[id]
+    : defaultNodePassword;
+}
+
+function getAgentToken() {
+  return load().agentToken || "";
+}
+
+module.exports = { getUsers, getNodePassword, getAgentToken };
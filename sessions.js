@@ -0,0 +1,392 @@
+/*
+Session history: every show session is recorded, for the review after an
+event and for spotting nodes that drift show after show.
+- A session opens when the show starts playing and closes when it stops
+  (stopped or idle). Each is a JSON Lines file in files.sessionDir: a
+  header line, then one event per line, appended as it happens.
+- Events: start, pause, resume, stop, item (what played), speed, seek,
+  sync, correction (a node's drift and how the sync engine corrected it),
+  nodeStatus (a node going offline, slow or back online), nodeError (a node
+  that failed a command), error (no player answered), restart and
+  interrupted.
+- A session the server stopped in the middle of carries on after the
+  restart if the show is still playing or paused, and is closed as
+  interrupted otherwise.
+- report() exports a session as JSON (with per-node drift figures) or CSV;
+  driftSummary() puts the drift of the recent sessions side by side.
+*/
+
+const fs = require("fs");
+const path = require("path");
+const { logAction, logError } = require("./log");
+const { getConfig } = require("./config");
+const { getNodes } = require("./nodes");
+const { readPaths } = require("./paths");
+const { getActivePreset } = require("./presets");
+const showState = require("./showState");
+const syncEngine = require("./syncEngine");
+const health = require("./health");
+
+const REPORT_FORMATS = ["json", "csv"];
+const CSV_COLUMNS = ["time", "offsetSeconds", "type", "node", "item", "detail"];
+const DRIFT_SUMMARY_SESSIONS = 10;
+const CLOSING = ["stop", "interrupted"];
+const SEEK_COMMANDS = ["seek", "skip_forward", "skip_backward"];
+
+let current = null; // { id, file, startedAt }
+let lastState = null;
+let lastItem = null; // JSON of the files playing, to tell when the item changes
+let started = false;
+
+function sessionDir() {
+  return getConfig().files.sessionDir;
+}
+
+function sessionFile(id) {
+  return path.join(sessionDir(), `${id}.jsonl`);
+}
+
+// Helper: Throw a 404 unless `id` names a recorded session
+function checkId(id) {
+  if (!/^[\w-]+$/.test(id) || !fs.existsSync(sessionFile(id))) {
+    const error = new Error(`No session "${id}".`);
+    error.status = 404;
+    throw error;
+  }
+}
+
+// Helper: Append one event to the open session. Recording never gets in the
+// way of the show, so a write that fails is only logged.
+function record(type, fields = {}) {
+  if (!current) return;
+  const event = { at: new Date().toISOString(), type, ...fields };
+  try {
+    fs.appendFileSync(current.file, JSON.stringify(event) + "\n");
+  } catch (err) {
+    logError(`Could not record the session: ${err.message}`, {
+      session: current.id,
+    });
+  }
+}
+
+// Helper: The running-order item playing (or null without one) and its files
+function currentItem() {
+  const { items, current: index } = getActivePreset().playlist;
+  const item = items[index];
+  if (item) return { item: item.title, files: item.files };
+  return { item: null, files: readPaths() };
+}
+
+// Helper: Record an item event if something else is playing than before
+function checkItem() {
+  const { item, files } = currentItem();
+  const key = JSON.stringify(files);
+  if (key === lastItem) return;
+  lastItem = key;
+  record("item", { item, files });
+}
+
+function open(show) {
+  const startedAt = new Date();
+  // 2026-10-19T20-15-00-000Z: sortable and safe in a file name
+  const id = startedAt.toISOString().replace(/[:.]/g, "-");
+  try {
+    fs.mkdirSync(sessionDir(), { recursive: true });
+    const header = {
+      type: "session",
+      id,
+      startedAt: startedAt.toISOString(),
+      preset: getActivePreset().name,
+    };
+    fs.writeFileSync(sessionFile(id), JSON.stringify(header) + "\n");
+  } catch (err) {
+    logError(`Could not start a session record: ${err.message}`);
+    return;
+  }
+  current = { id, file: sessionFile(id), startedAt: startedAt.toISOString() };
+  lastItem = null;
+  logAction(`Session ${id} started`, { session: id });
+  record("start", { command: show.command, position: show.position });
+  checkItem();
+}
+
+function close(type, fields) {
+  record(type, fields);
+  logAction(`Session ${current.id} ended`, { session: current.id });
+  current = null;
+  lastItem = null;
+}
+
+// Follow the show state (showState.subscribe calls this on every change)
+function onShowState(show) {
+  const { state, command, position } = show;
+  const changed = state !== lastState;
+  lastState = state;
+  if (state === "playing") {
+    if (!current) return open(show);
+    if (changed) record("resume", { command, position });
+    checkItem();
+  } else if (!current || !changed) {
+    return;
+  } else if (state === "paused") {
+    record("pause", { command, position });
+  } else if (state === "stopped" || state === "idle") {
+    close("stop", { command, position });
+  } else if (state === "error") {
+    record("error", { command });
+  }
+}
+
+// Record what a finished command `body` did (`result`: its response body)
+function recordCommand(body, result) {
+  if (!current) return;
+  const { command } = body;
+  (result.nodes || [])
+    .filter((r) => !r.ok)
+    .forEach((r) =>
+      record("nodeError", { node: r.id, command, error: r.error })
+    );
+  if (result.error) return;
+  if (command === "setSpeed" || command === "resetSpeed") {
+    record("speed", { rate: command === "setSpeed" ? Number(body.speed) : 1 });
+  } else if (SEEK_COMMANDS.includes(command)) {
+    record("seek", { command, message: result.message });
+  } else if (command === "sync") {
+    record("sync", { message: result.message });
+  }
+}
+
+// Helper: Read session `id`; a line cut short by a crash is left out
+function readSession(id) {
+  const [header, ...events] = fs
+    .readFileSync(sessionFile(id), "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (err) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return { header, events };
+}
+
+// Helper: The ids of every recorded session, oldest first
+function sessionIds() {
+  if (!fs.existsSync(sessionDir())) return [];
+  return fs
+    .readdirSync(sessionDir())
+    .filter((name) => name.endsWith(".jsonl"))
+    .map((name) => name.slice(0, -".jsonl".length))
+    .sort();
+}
+
+function summarize({ header, events }) {
+  const last = events[events.length - 1];
+  const ended = last && CLOSING.includes(last.type) ? last : null;
+  const count = (type) => events.filter((e) => e.type === type).length;
+  const endedAt = ended ? ended.at : null;
+  return {
+    id: header.id,
+    startedAt: header.startedAt,
+    endedAt,
+    preset: header.preset,
+    open: Boolean(current && current.id === header.id),
+    interrupted: Boolean(ended && ended.type === "interrupted"),
+    durationSeconds: Math.round(
+      ((endedAt ? Date.parse(endedAt) : Date.now()) -
+        Date.parse(header.startedAt)) /
+        1000
+    ),
+    items: events
+      .filter((e) => e.type === "item")
+      .map((e) => e.item || Object.values(e.files).join(", ")),
+    pauses: count("pause"),
+    speedChanges: count("speed"),
+    corrections: count("correction"),
+    nodeErrors: count("nodeError"),
+  };
+}
+
+// Every recorded session, newest first, without its events
+function listSessions() {
+  return {
+    sessions: sessionIds()
+      .reverse()
+      .map((id) => summarize(readSession(id))),
+  };
+}
+
+// Session `id` with every event
+function getSession(id) {
+  checkId(id);
+  const session = readSession(id);
+  return { ...summarize(session), events: session.events };
+}
+
+// Helper: A node's label, or its id once it has left the config
+function labelOf(id) {
+  const node = getNodes().find((n) => n.id === id);
+  return node ? node.label : id;
+}
+
+// Helper: Per-node drift figures from `events`: { node, label, corrections,
+// seeks, nudges, meanDrift, maxDrift, errors }, drift in seconds either way
+function driftByNode(events) {
+  const nodes = {};
+  const entry = (id) => {
+    if (!nodes[id]) {
+      nodes[id] = { node: id, label: labelOf(id), drifts: [], errors: 0 };
+      Object.assign(nodes[id], { seeks: 0, nudges: 0 });
+    }
+    return nodes[id];
+  };
+  events.forEach((event) => {
+    if (event.type === "correction") {
+      const node = entry(event.node);
+      node.drifts.push(Math.abs(event.drift));
+      if (event.action === "seek") node.seeks += 1;
+      else node.nudges += 1;
+    } else if (event.type === "nodeError") {
+      entry(event.node).errors += 1;
+    }
+  });
+  return Object.values(nodes).map(({ drifts, ...node }) => ({
+    ...node,
+    corrections: drifts.length,
+    meanDrift: drifts.length
+      ? Number((drifts.reduce((a, b) => a + b, 0) / drifts.length).toFixed(3))
+      : null,
+    maxDrift: drifts.length ? Math.max(...drifts) : null,
+  }));
+}
+
+// Helper: One CSV field, quoted when it has to be
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(session) {
+  const startedAt = Date.parse(session.startedAt);
+  let item = "";
+  const rows = session.events.map(({ at, type, node, ...fields }) => {
+    // The item column says what was playing when the event happened
+    if (type === "item") {
+      item = fields.item || Object.values(fields.files).join(" | ");
+    }
+    const detail = Object.entries(type === "item" ? {} : fields)
+      .filter(([key, value]) => value !== undefined && value !== null)
+      .map(([key, value]) =>
+        typeof value === "object"
+          ? `${key}=${JSON.stringify(value)}`
+          : `${key}=${value}`
+      )
+      .join("; ");
+    const offset = ((Date.parse(at) - startedAt) / 1000).toFixed(3);
+    return [at, offset, type, node, item, detail].map(csvField).join(",");
+  });
+  return [CSV_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+// Session `id` as a report: a JSON object with per-node drift figures, or
+// CSV text with one row per event
+function report(id, format = "json") {
+  if (!REPORT_FORMATS.includes(format)) {
+    const error = new Error(
+      `No report format "${format}"; use ${REPORT_FORMATS.join(" or ")}.`
+    );
+    error.status = 400;
+    throw error;
+  }
+  const session = getSession(id);
+  if (format === "csv") return toCsv(session);
+  return { ...session, drift: driftByNode(session.events) };
+}
+
+// Drift per node over the last `count` sessions, the node corrected most
+// often first, to find the ones that drift show after show
+function driftSummary(count = DRIFT_SUMMARY_SESSIONS) {
+  const ids = sessionIds().slice(-count);
+  const nodes = {};
+  ids.forEach((id) => {
+    driftByNode(readSession(id).events).forEach((stats) => {
+      const node = nodes[stats.node] || {
+        node: stats.node,
+        label: stats.label,
+        sessions: 0,
+        corrections: 0,
+        errors: 0,
+        totalDrift: 0,
+        maxDrift: null,
+      };
+      if (stats.corrections > 0) node.sessions += 1;
+      node.corrections += stats.corrections;
+      node.errors += stats.errors;
+      node.totalDrift += stats.meanDrift * stats.corrections;
+      if (stats.maxDrift !== null) {
+        node.maxDrift = Math.max(node.maxDrift || 0, stats.maxDrift);
+      }
+      nodes[stats.node] = node;
+    });
+  });
+  return {
+    sessions: ids.length,
+    nodes: Object.values(nodes)
+      .map(({ totalDrift, ...node }) => ({
+        ...node,
+        meanDrift: node.corrections
+          ? Number((totalDrift / node.corrections).toFixed(3))
+          : null,
+      }))
+      .sort((a, b) => b.corrections - a.corrections),
+  };
+}
+
+// Helper: Carry on the session the server stopped in, if the show still
+// is, and close any other unfinished one as interrupted
+function recover() {
+  const { state } = showState.getShowState();
+  const ids = sessionIds();
+  ids.forEach((id, index) => {
+    const { header, events } = readSession(id);
+    const last = events[events.length - 1];
+    if (last && CLOSING.includes(last.type)) return;
+    current = { id, file: sessionFile(id), startedAt: header.startedAt };
+    const newest = index === ids.length - 1;
+    if (newest && (state === "playing" || state === "paused")) {
+      logAction(`Session ${id} carries on after a restart`, { session: id });
+      record("restart", { state });
+      lastItem = JSON.stringify(currentItem().files);
+    } else {
+      close("interrupted", { state });
+    }
+  });
+  lastState = state;
+}
+
+// Start recording: follow the show state, the sync engine and node health
+function start() {
+  if (started) return;
+  started = true;
+  recover();
+  showState.subscribe(onShowState);
+  syncEngine.onCorrection(({ node, drift, action, to }) =>
+    record("correction", { node: node.id, drift, action, to })
+  );
+  health.onStatusChange(({ node, status, previous, error }) =>
+    record("nodeStatus", { node: node.id, status, previous, error })
+  );
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  start,
+  recordCommand,
+  listSessions,
+  getSession,
+  report,
+  driftSummary,
+};
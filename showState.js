@@ -0,0 +1,224 @@
+/*
+Show state: what the show is doing, kept by the server instead of guessed
+from whatever the players report.
+- States: idle (nothing loaded yet), loaded (files loaded, not started),
+  armed (a synchronized start is scheduled), playing, paused, stopped and
+  error (no player answered the last command).
+- Each command that drives the players may only run from the states listed
+  in ALLOWED; checkCommand() refuses it with the reason otherwise.
+- control.js moves the show on after each command; syncedStart.js and
+  playlist.js do the same for scheduled starts and auto-advance.
+- reconcile() compares the state with the status monitor's node reports and
+  follows the nodes when they disagree for RECONCILE_POLLS polls in a row
+  (somebody paused VLC by hand, every player went away, ...).
+- The state and the last known position are saved to state.json
+  (files.state in config.json), so after a crash the server comes back in
+  the state the show was in and `resume` can continue from the position.
+*/
+
+const fs = require("fs");
+const { logAction, logWarn, logError } = require("./log");
+const { getConfig, onConfigChange } = require("./config");
+const commands = require("./commands");
+
+const STATES = [
+  "idle",
+  "loaded",
+  "armed",
+  "playing",
+  "paused",
+  "stopped",
+  "error",
+];
+const STARTABLE = ["idle", "loaded", "paused", "stopped", "error"];
+const LOADED = ["loaded", "playing", "paused"];
+const NOT_ARMED = STATES.filter((state) => state !== "armed");
+
+// Command -> states it may run from; commands not listed may always run
+const ALLOWED = {
+  play: STARTABLE,
+  syncedPlay: STARTABLE,
+  pause: ["playing"],
+  stop: STATES,
+  seek: LOADED,
+  skip_forward: LOADED,
+  skip_backward: LOADED,
+  fullscreen: LOADED,
+  wakeUp: NOT_ARMED,
+  arm: ["idle", "loaded", "stopped", "error"],
+  sync: ["playing", "paused", "error"],
+  resume: ["idle", "stopped", "error"],
+  next: NOT_ARMED,
+  previous: NOT_ARMED,
+  jumpTo: NOT_ARMED,
+};
+
+// What the players may report in each state ("error": nobody answers)
+const REPORTED = {
+  idle: ["stopped", "error"],
+  loaded: ["paused", "stopped"],
+  armed: ["paused", "stopped"],
+  playing: ["playing"],
+  paused: ["paused"],
+  stopped: ["stopped"],
+  error: ["error"],
+};
+
+const RECONCILE_POLLS = 2;
+const POSITION_SAVE_INTERVAL_MS = 5000;
+
+let show = null; // { state, previous, since, command, position, recovered }
+let disagreement = null; // { state, polls }
+let positionSavedAt = 0;
+const listeners = [];
+
+function stateFile() {
+  return getConfig().files.state;
+}
+
+function write() {
+  const { recovered, ...saved } = show;
+  fs.writeFileSync(stateFile(), JSON.stringify(saved, null, 2));
+  positionSavedAt = Date.now();
+}
+
+// Helper: The saved state; a start scheduled before a crash did not survive it
+function load() {
+  if (show) return show;
+  show = {
+    state: "idle",
+    previous: null,
+    since: Date.now(),
+    command: null,
+    position: null,
+    recovered: false,
+  };
+  if (!fs.existsSync(stateFile())) return show;
+  try {
+    const saved = JSON.parse(fs.readFileSync(stateFile(), "utf-8"));
+    if (!STATES.includes(saved.state)) {
+      throw new Error(`unknown state "${saved.state}"`);
+    }
+    show = { ...show, ...saved, recovered: saved.state !== "idle" };
+  } catch (err) {
+    logError(`Could not read ${stateFile()}, starting idle: ${err.message}`);
+    return show;
+  }
+  if (show.state === "armed") {
+    logWarn("A scheduled start was lost when the server restarted");
+    show.state = show.previous || "idle";
+  }
+  if (show.recovered) {
+    logAction(`Show state recovered: ${show.state}`, {
+      position: show.position,
+    });
+  }
+  return show;
+}
+
+// Another state file in the config starts over from that file
+onConfigChange((config, previous) => {
+  if (config.files.state !== previous.files.state) show = null;
+});
+
+function getShowState() {
+  return { ...load() };
+}
+
+// Helper: Be told about every state change with getShowState()
+function subscribe(fn) {
+  listeners.push(fn);
+  return () => listeners.splice(listeners.indexOf(fn), 1);
+}
+
+// Helper: "in error" reads better than "error" in a sentence
+function describeState(state) {
+  return state === "error" ? "in error" : state;
+}
+
+// Throw if `command` may not run in the current state
+function checkCommand(command) {
+  const allowed = ALLOWED[command];
+  const { state } = load();
+  if (allowed && !allowed.includes(state)) {
+    throw new Error(
+      `Cannot ${command} while the show is ${describeState(state)}.`
+    );
+  }
+}
+
+// Move the show to `state`; `command` says what moved it, `position` (seconds)
+// is remembered for resume
+function setShowState(state, { command = null, position } = {}) {
+  if (!STATES.includes(state)) {
+    throw new Error(`Unknown show state "${state}".`);
+  }
+  const current = load();
+  if (position !== undefined) current.position = position;
+  disagreement = null;
+  if (state !== current.state) {
+    logAction(`Show ${current.state} -> ${state}`, {
+      showState: state,
+      command: command || undefined,
+    });
+    Object.assign(current, {
+      previous: current.state,
+      state,
+      since: Date.now(),
+      command,
+      recovered: false,
+    });
+  }
+  write();
+  listeners.forEach((fn) => fn(getShowState()));
+  return getShowState();
+}
+
+// Helper: The state every reachable node agrees on, "error" if none is
+// reachable, or null if they disagree with each other
+function reportedState(snapshot) {
+  const online = snapshot.nodes.filter((node) => node.online);
+  if (online.length === 0) return "error";
+  const states = new Set(online.map((node) => node.state));
+  if (states.size !== 1) return null;
+  const [state] = states;
+  return ["playing", "paused", "stopped"].includes(state) ? state : null;
+}
+
+// Compare the state with a status snapshot (statusMonitor.js); a command in
+// progress or an armed start is left alone
+function reconcile(snapshot) {
+  const current = load();
+  if (commands.isBusy() || current.state === "armed") {
+    disagreement = null;
+    return;
+  }
+  const reported = reportedState(snapshot);
+  if (reported === null || REPORTED[current.state].includes(reported)) {
+    disagreement = null;
+    const reference = snapshot.nodes.find((n) => n.id === snapshot.reference);
+    const tracking = ["playing", "paused"].includes(current.state);
+    if (tracking && reference && reference.time !== undefined) {
+      current.position = reference.time;
+      if (Date.now() - positionSavedAt >= POSITION_SAVE_INTERVAL_MS) write();
+    }
+    return;
+  }
+  if (!disagreement || disagreement.state !== reported) {
+    disagreement = { state: reported, polls: 0 };
+  }
+  disagreement.polls += 1;
+  if (disagreement.polls < RECONCILE_POLLS) return;
+  logWarn(`Players report ${reported} while the show is ${current.state}`);
+  setShowState(reported, { command: "reconcile" });
+}
+
+module.exports = {
+  STATES,
+  ALLOWED,
+  getShowState,
+  subscribe,
+  checkCommand,
+  setShowState,
+  reconcile,
+};
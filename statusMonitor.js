@@ -0,0 +1,102 @@
+/*
+Status monitor: polls every node and pushes live snapshots to subscribers
+(the /events Server-Sent Events stream used by the control panel).
+- Polling runs while anyone is subscribed: the server's own show-state
+  reconcile and cue runner always are, so in practice it polls all the time
+  (every statusMonitor.pollIntervalMs).
+- Each snapshot carries state, time, length, rate, fullscreen and health per
+  node, plus each node's drift from the reference node in seconds, and the
+  frame rate the panel shows timecode in.
+*/
+
+const { logError } = require("./log");
+const { getNodes, getPlayerStatus } = require("./nodes");
+const { preciseTime } = require("./syncEngine");
+const { getNodeHealth } = require("./health");
+const { getActivePreset } = require("./presets");
+const { frameRateOf } = require("./library");
+const { getConfig } = require("./config");
+
+const subscribers = new Set();
+let timer = null;
+let latest = null;
+
+// Helper: Poll one node, noting when the answer was (roughly) produced
+async function poll(node) {
+  const sentAt = Date.now();
+  const status = await getPlayerStatus(node);
+  return { node, status, at: (sentAt + Date.now()) / 2 };
+}
+
+// Build one snapshot of every node
+async function snapshot() {
+  const samples = await Promise.all(getNodes().map(poll));
+  const now = Date.now();
+  const playing = samples.filter(
+    (s) => s.status && s.status.state === "playing"
+  );
+  const reference =
+    playing.find((s) => s.node.local) ||
+    playing[0] ||
+    samples.find((s) => s.status);
+  const timeAt = (s) => {
+    const rate = s.status.state === "playing" ? s.status.rate : 0;
+    return preciseTime(s.status) + ((now - s.at) / 1000) * (rate || 0);
+  };
+  const referenceTime = reference ? timeAt(reference) : null;
+
+  const nodes = samples.map(({ node, status, ...s }) => {
+    const record = getNodeHealth(node.id);
+    const health = (record && record.status) || "unknown";
+    if (!status) {
+      return { id: node.id, label: node.label, online: false, health };
+    }
+    const time = timeAt({ status, ...s });
+    return {
+      id: node.id,
+      label: node.label,
+      online: true,
+      health,
+      state: status.state,
+      time,
+      length: status.length || 0,
+      rate: status.rate || 1,
+      fullscreen: status.fullscreen,
+      drift: referenceTime === null ? null : time - referenceTime,
+    };
+  });
+  const drifts = nodes.filter((n) => n.online).map((n) => Math.abs(n.drift));
+  return {
+    at: now,
+    reference: reference ? reference.node.id : null,
+    maxDrift: drifts.length ? Math.max(...drifts) : null,
+    frameRate: frameRateOf(getActivePreset().files),
+    nodes,
+  };
+}
+
+async function tick() {
+  try {
+    latest = await snapshot();
+    subscribers.forEach((fn) => fn(latest));
+  } catch (err) {
+    logError(`Status monitor poll failed: ${err.message}`);
+  }
+  if (subscribers.size > 0) {
+    timer = setTimeout(tick, getConfig().statusMonitor.pollIntervalMs);
+  } else timer = null;
+}
+
+// Receive every snapshot; returns a function that unsubscribes
+function subscribe(fn) {
+  subscribers.add(fn);
+  if (latest) fn(latest);
+  if (!timer) timer = setTimeout(tick, 0);
+  return () => subscribers.delete(fn);
+}
+
+function getLatest() {
+  return latest;
+}
+
+module.exports = { subscribe, getLatest, snapshot };
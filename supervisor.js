@@ -0,0 +1,149 @@
+/*
+Supervisor: runs the control server as a child process for the Electron
+app (see main.js) and starts it again when it exits.
+- The child is started with child_process.fork, so under Electron it runs on
+  Electron's own Node. It says it is ready with a { type: "listening" }
+  message once the HTTP port is open (see control.js).
+- A crash is followed by a restart after desktop.restartDelayMs, doubling
+  with every crash in a row up to desktop.maxRestartDelayMs. A server that
+  ran for a minute has its count of crashes in a row reset.
+- stop() ends the child (SIGTERM, then SIGKILL if it does not exit) and
+  keeps it down. subscribe() hears every status change.
+*/
+
+const childProcess = require("child_process");
+const path = require("path");
+
+const STABLE_MS = 60000; // Running this long resets the backoff
+const KILL_TIMEOUT_MS = 5000;
+
+// A supervisor for `script` (control.js by default). `fork` is for tests.
+function createSupervisor({
+  script = path.join(__dirname, "control.js"),
+  args = [],
+  env = process.env,
+  restartDelayMs = 1000,
+  maxRestartDelayMs = 30000,
+  stableMs = STABLE_MS,
+  fork = childProcess.fork,
+} = {}) {
+  const listeners = new Set();
+  let child = null;
+  let timer = null;
+  let stopping = false;
+  let crashesInRow = 0;
+  let status = {
+    state: "stopped", // stopped, starting, running, restarting
+    pid: null,
+    port: null,
+    restarts: 0,
+    startedAt: null,
+    lastExit: null, // { code, signal, at }
+    nextStartAt: null,
+  };
+
+  function setStatus(changes) {
+    status = { ...status, ...changes };
+    listeners.forEach((fn) => fn(status));
+  }
+
+  function spawn() {
+    timer = null;
+    const started = Date.now();
+    const proc = fork(script, args, { env, stdio: "inherit" });
+    child = proc;
+    setStatus({
+      state: "starting",
+      pid: proc.pid,
+      port: null,
+      startedAt: new Date(started).toISOString(),
+      nextStartAt: null,
+    });
+    proc.on("message", (message) => {
+      if (proc !== child || !message || message.type !== "listening") return;
+      setStatus({ state: "running", port: message.port });
+    });
+    proc.on("error", (err) => {
+      // Failed to start; "exit" may not follow
+      if (proc !== child) return;
+      child = null;
+      exited({ code: null, signal: null, error: err.message }, started);
+    });
+    proc.on("exit", (code, signal) => {
+      if (proc !== child) return;
+      child = null;
+      exited({ code, signal }, started);
+    });
+  }
+
+  // Helper: After the child is gone, stay down or schedule the next start
+  function exited(exit, started) {
+    const lastExit = { ...exit, at: new Date().toISOString() };
+    if (stopping) {
+      setStatus({ state: "stopped", pid: null, port: null, lastExit });
+      return;
+    }
+    crashesInRow = Date.now() - started >= stableMs ? 1 : crashesInRow + 1;
+    const delay = Math.min(
+      restartDelayMs * 2 ** (crashesInRow - 1),
+      maxRestartDelayMs
+    );
+    timer = setTimeout(spawn, delay);
+    setStatus({
+      state: "restarting",
+      pid: null,
+      port: null,
+      restarts: status.restarts + 1,
+      lastExit,
+      nextStartAt: new Date(Date.now() + delay).toISOString(),
+    });
+  }
+
+  // Start the server if it is not running (or waiting to restart)
+  function start() {
+    stopping = false;
+    if (child || timer) return;
+    crashesInRow = 0;
+    spawn();
+  }
+
+  // End the server and keep it down; resolves once it has exited
+  function stop() {
+    stopping = true;
+    clearTimeout(timer);
+    timer = null;
+    const proc = child;
+    if (!proc) {
+      setStatus({ state: "stopped", pid: null, port: null, nextStartAt: null });
+      return Promise.resolve();
+    }
+    return new Promise((resolve) => {
+      const kill = setTimeout(() => proc.kill("SIGKILL"), KILL_TIMEOUT_MS);
+      proc.once("exit", () => {
+        clearTimeout(kill);
+        resolve();
+      });
+      proc.kill("SIGTERM");
+    });
+  }
+
+  // Stop and start again straight away
+  async function restart() {
+    await stop();
+    start();
+  }
+
+  function getStatus() {
+    return status;
+  }
+
+  // Call fn(status) on every change; returns a function that stops it
+  function subscribe(fn) {
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  return { start, stop, restart, getStatus, subscribe };
+}
+
+module.exports = { createSupervisor };
@@ -0,0 +1,243 @@
+/*
+Sync engine: keeps every playing node aligned with a reference node.
+- Polls all nodes every `intervalMs` and measures each node's drift against
+  the reference (the local node, or the first node that is playing).
+- Drift above `nudgeThreshold` is corrected with a gentle rate change, drift
+  above `seekThreshold` with a hard seek. Nudged nodes return to the group
+  rate once they are back inside `nudgeThreshold`.
+- The engine keeps out of the way of commands: it skips measuring while one
+  is in progress and queues its corrections as a "syncCorrection" command.
+- Every correction is written to the action log and reported to
+  onCorrection() listeners (the session history, see sessions.js).
+*/
+
+const { logAction, logError } = require("./log");
+const { getNodes, getPlayer, getPlayerStatus } = require("./nodes");
+const { getConfig, onConfigChange } = require("./config");
+const { runInternal, isBusy, isCancelled } = require("./commands");
+
+// Starts from the "sync" section of config.json; syncSettings changes it at runtime
+let settings = { ...getConfig().sync };
+let running = false;
+let timer = null;
+let lastTick = null;
+const drift = {}; // node id -> { samples: [{ at, drift }], nudged, corrections }
+const correctionListeners = [];
+
+// Helper: Be told about every correction: { node, drift, action, to }, with
+// action "seek" (to: seconds) or "nudge" (to: rate)
+function onCorrection(fn) {
+  correctionListeners.push(fn);
+}
+
+function notify(node, offset, action, to) {
+  const event = { node, drift: offset, action, to };
+  correctionListeners.forEach((fn) => fn(event));
+}
+
+// Helper: Playback time in seconds, sub-second when VLC reports a position
+function preciseTime(status) {
+  if (status.length > 0 && typeof status.position === "number") {
+    return status.position * status.length;
+  }
+  return status.time || 0;
+}
+
+// Helper: Poll a node and note when the answer was (roughly) produced
+async function sample(node) {
+  const sentAt = Date.now();
+  const status = await getPlayerStatus(node);
+  return status && { node, status, at: (sentAt + Date.now()) / 2 };
+}
+
+function driftState(node) {
+  if (!drift[node.id]) {
+    drift[node.id] = { samples: [], nudged: false, corrections: 0 };
+  }
+  return drift[node.id];
+}
+
+function record(node, value) {
+  const state = driftState(node);
+  state.samples.push({ at: Date.now(), drift: value });
+  if (state.samples.length > settings.historySize) state.samples.shift();
+}
+
+// Helper: Put a nudged node back on the group rate
+async function releaseNudge(node, groupRate) {
+  const state = driftState(node);
+  if (!state.nudged) return;
+  await getPlayer(node).setRate(groupRate);
+  state.nudged = false;
+  logAction(
+    `[sync] ${node.label} back in sync, rate restored to ${groupRate}x`,
+    { node: node.id }
+  );
+}
+
+async function correct(node, offset, referenceTime, groupRate) {
+  const state = driftState(node);
+  const magnitude = Math.abs(offset);
+
+  if (magnitude > settings.seekThreshold) {
+    await getPlayer(node).seek(Number(referenceTime.toFixed(2)));
+    if (state.nudged) await getPlayer(node).setRate(groupRate);
+    state.nudged = false;
+    state.corrections++;
+    logAction(
+      `[sync] ${node.label} drifted ${offset.toFixed(2)}s, seeked to ${referenceTime.toFixed(2)}s`,
+      { node: node.id, drift: offset }
+    );
+    notify(node, offset, "seek", Number(referenceTime.toFixed(2)));
+  } else if (magnitude > settings.nudgeThreshold) {
+    // Ahead of the reference -> slow down, behind -> speed up
+    const change = Math.min(settings.maxNudge, magnitude * settings.nudgeGain);
+    const rate = groupRate * (1 - Math.sign(offset) * change);
+    await getPlayer(node).setRate(Number(rate.toFixed(3)));
+    state.nudged = true;
+    state.corrections++;
+    logAction(
+      `[sync] ${node.label} drifted ${offset.toFixed(2)}s, rate nudged to ${rate.toFixed(3)}x`,
+      { node: node.id, drift: offset }
+    );
+    notify(node, offset, "nudge", Number(rate.toFixed(3)));
+  } else {
+    await releaseNudge(node, groupRate);
+  }
+}
+
+// Helper: Will correct() change anything for this offset?
+function needsCorrection(node, offset) {
+  return Math.abs(offset) > settings.nudgeThreshold || driftState(node).nudged;
+}
+
+// One measurement/correction pass over all nodes. Measuring is left out while
+// a command is moving the players; corrections are queued like a command
+// (see commands.js), so a stop cancels them.
+async function tick() {
+  if (isBusy()) return;
+  const samples = (await Promise.all(getNodes().map(sample))).filter(
+    (s) => s && s.status.state === "playing"
+  );
+  lastTick = Date.now();
+  if (samples.length < 2 || isBusy()) return;
+
+  const reference = samples.find((s) => s.node.local) || samples[0];
+  const groupRate = reference.status.rate || 1;
+  // Project every sample onto the same instant before comparing
+  const now = Date.now();
+  const timeAt = (s) =>
+    preciseTime(s.status) + ((now - s.at) / 1000) * groupRate;
+  const referenceTime = timeAt(reference);
+
+  const offsets = samples
+    .filter((s) => s !== reference)
+    .map((s) => ({ node: s.node, offset: timeAt(s) - referenceTime }));
+  offsets.forEach(({ node, offset }) => record(node, offset));
+  const due = offsets.filter(({ node, offset }) =>
+    needsCorrection(node, offset)
+  );
+  if (due.length === 0) return;
+
+  await runInternal("syncCorrection", "sync", () =>
+    Promise.all(
+      due.map(async ({ node, offset }) => {
+        try {
+          await correct(node, offset, referenceTime, groupRate);
+        } catch (err) {
+          if (isCancelled(err)) throw err;
+          logError(
+            `[sync] Correction failed for ${node.label}: ${err.message}`,
+            { node: node.id }
+          );
+        }
+      })
+    )
+  ).catch((err) => {
+    if (!isCancelled(err)) throw err;
+    logAction("[sync] Correction cancelled");
+  });
+}
+
+function schedule() {
+  timer = setTimeout(async () => {
+    try {
+      await tick();
+    } catch (err) {
+      logError(`[sync] Tick failed: ${err.message}`);
+    }
+    if (running) schedule();
+  }, settings.intervalMs);
+}
+
+// Helper: Validate and apply new settings
+function configure(changes = {}) {
+  const next = { ...settings };
+  Object.keys(settings).forEach((key) => {
+    if (changes[key] === undefined) return;
+    const value = Number(changes[key]);
+    if (!Number.isFinite(value) || value <= 0) {
+      throw new Error(
+        `Invalid sync setting ${key}: must be a positive number.`
+      );
+    }
+    next[key] = value;
+  });
+  if (next.intervalMs < 250) {
+    throw new Error("Invalid sync setting intervalMs: must be at least 250.");
+  }
+  if (next.seekThreshold <= next.nudgeThreshold) {
+    throw new Error("seekThreshold must be larger than nudgeThreshold.");
+  }
+  settings = next;
+  logAction(`[sync] Settings: ${JSON.stringify(settings)}`);
+  return settings;
+}
+
+// An edited config file replaces the runtime settings
+onConfigChange((config, previous) => {
+  if (JSON.stringify(config.sync) === JSON.stringify(previous.sync)) return;
+  settings = { ...config.sync };
+  logAction(`[sync] Settings from config: ${JSON.stringify(settings)}`);
+});
+
+function start(changes) {
+  configure(changes);
+  if (running) return;
+  running = true;
+  logAction("[sync] Engine started");
+  schedule();
+}
+
+function stop() {
+  if (!running) return;
+  running = false;
+  clearTimeout(timer);
+  logAction("[sync] Engine stopped");
+}
+
+function getStatus() {
+  const nodes = {};
+  Object.entries(drift).forEach(([id, state]) => {
+    const values = state.samples.map((s) => s.drift);
+    nodes[id] = {
+      drift: values.length ? values[values.length - 1] : null,
+      averageDrift: values.length
+        ? values.reduce((sum, v) => sum + v, 0) / values.length
+        : null,
+      maxDrift: values.length ? Math.max(...values.map(Math.abs)) : null,
+      nudged: state.nudged,
+      corrections: state.corrections,
+    };
+  });
+  return { running, settings, lastTick, nodes };
+}
+
+module.exports = {
+  start,
+  stop,
+  configure,
+  getStatus,
+  preciseTime,
+  onCorrection,
+};
@@ -0,0 +1,188 @@
+/*
+Latency-compensated start.
+- Measures each node's round-trip time to a status request and assumes
+  half of it is the one-way delay of a command.
+- Every node's play command is then sent early by its own one-way delay so all of
+  them land on the same target wall-clock instant.
+- A start can be scheduled for an HH:MM:SS time of day; latencies are
+  re-measured just before the target so they are fresh when it fires. The
+  scheduled start runs through the command queue, so a stop cancels it.
+*/
+
+const { logAction, logError } = require("./log");
+const {
+  getNodes,
+  getPlayer,
+  getPlayerStatus,
+  forEachNode,
+  mergeResults,
+  enterFullscreenIfNeeded,
+  loadFile,
+  sleep,
+} = require("./nodes");
+const { getActivePreset } = require("./presets");
+const { getConfig } = require("./config");
+const { setShowState } = require("./showState");
+const { runInternal, isCancelled } = require("./commands");
+
+let scheduled = null; // { startAt, timer, files }
+
+// Helper: Median round-trip time of status requests to a node
+async function measureLatency(
+  node,
+  samples = getConfig().syncedStart.latencySamples
+) {
+  const times = [];
+  for (let i = 0; i < samples; i++) {
+    const sentAt = Date.now();
+    const status = await getPlayerStatus(node);
+    if (!status)
+      throw new Error(`${node.label} did not answer a status request.`);
+    times.push(Date.now() - sentAt);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(times.length / 2)];
+}
+
+// Helper: Today's timestamp for an HH:MM[:SS] time of day (must be ahead)
+function parseStartTime(value, now = new Date()) {
+  const match = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid start time "${value}". Use HH:MM:SS.`);
+  const [hours, minutes, seconds = 0] = match.slice(1).map(Number);
+  if (hours > 23 || minutes > 59 || seconds > 59) {
+    throw new Error(`Invalid start time "${value}". Use HH:MM:SS.`);
+  }
+  const target = new Date(now);
+  target.setHours(hours, minutes, seconds, 0);
+  if (target.getTime() <= now.getTime()) {
+    throw new Error(`Start time ${value} has already passed today.`);
+  }
+  return target.getTime();
+}
+
+// Helper: Send play to every node so it arrives at startAt
+async function fireAt(startAt, latencies, targets) {
+  return forEachNode(async (node) => {
+    const offsetMs = Math.round(latencies[node.id] / 2);
+    await sleep(Math.max(0, startAt - offsetMs - Date.now()));
+    const sentAt = Date.now();
+    await getPlayer(node).play();
+    return { rttMs: latencies[node.id], offsetMs, sentAt };
+  }, targets);
+}
+
+// Load (unless resuming from pause), measure, then start every node together
+async function synchronizedStart(
+  files,
+  startAt = null,
+  resumingFromPause = false
+) {
+  let loadResults = [];
+  if (!resumingFromPause) {
+    logAction("Loading media files on all players for synchronized start...");
+    loadResults = await forEachNode((node) =>
+      loadFile(node, files[node.id], getActivePreset().speed)
+    );
+  }
+
+  const latencies = {};
+  const latencyResults = await forEachNode(async (node) => {
+    latencies[node.id] = await measureLatency(node);
+  });
+  const reachable = getNodes().filter((node) => node.id in latencies);
+  if (reachable.length === 0) {
+    throw new Error("No player answered the latency measurement.");
+  }
+
+  const { startLeadMs } = getConfig().syncedStart;
+  const target = Math.max(startAt || 0, Date.now() + startLeadMs);
+  logAction(
+    `Synchronized start at ${new Date(target).toISOString()}, latencies: ${JSON.stringify(latencies)}`
+  );
+  const playResults = await fireAt(target, latencies, reachable);
+
+  // Wait a bit for playback to initialize before checking fullscreen
+  await sleep(getConfig().timing.fullscreenDelayMs);
+  const fullscreenResults = getActivePreset().fullscreen
+    ? await forEachNode(enterFullscreenIfNeeded)
+    : [];
+
+  return {
+    startedAt: target,
+    resumingFromPause,
+    nodes: mergeResults(
+      loadResults,
+      latencyResults,
+      fullscreenResults,
+      playResults
+    ),
+  };
+}
+
+function cancelScheduledStart() {
+  if (!scheduled) return false;
+  clearTimeout(scheduled.timer);
+  logAction(
+    `Scheduled start at ${new Date(scheduled.startAt).toISOString()} cancelled`
+  );
+  scheduled = null;
+  return true;
+}
+
+// Arm a start for a time of day; loading and measuring happen shortly before it
+function scheduleStart(files, startTime, resumingFromPause = false) {
+  const startAt = parseStartTime(startTime);
+  cancelScheduledStart();
+  const entry = { startAt, files };
+  entry.timer = setTimeout(
+    async () => {
+      try {
+        // Queued like a command (see commands.js): it waits for the one in
+        // progress, and a stop cancels it
+        await runInternal("syncedPlay", "syncedStart", async () => {
+          if (scheduled !== entry) return; // Cancelled while it waited
+          const result = await synchronizedStart(
+            files,
+            startAt,
+            resumingFromPause
+          );
+          // Like an immediate start: only playing if some player followed
+          const failed = result.nodes.filter((r) => !r.ok);
+          if (failed.length === result.nodes.length) {
+            throw new Error(
+              `No player responded: ${failed.map((r) => r.error).join(" ")}`
+            );
+          }
+          logAction(`Scheduled start fired: ${JSON.stringify(result.nodes)}`);
+          setShowState("playing", { command: "syncedPlay" });
+        });
+      } catch (err) {
+        if (isCancelled(err)) {
+          logAction("Scheduled start cancelled");
+        } else {
+          logError(`Scheduled start failed: ${err.message}`);
+          setShowState("error", { command: "syncedPlay" });
+        }
+      } finally {
+        if (scheduled === entry) scheduled = null;
+      }
+    },
+    Math.max(0, startAt - getConfig().syncedStart.prepareLeadMs - Date.now())
+  );
+  scheduled = entry;
+  logAction(`Start scheduled for ${new Date(startAt).toISOString()}`);
+  return startAt;
+}
+
+function getScheduledStart() {
+  return scheduled && { startAt: scheduled.startAt };
+}
+
+module.exports = {
+  measureLatency,
+  parseStartTime,
+  synchronizedStart,
+  scheduleStart,
+  cancelScheduledStart,
+  getScheduledStart,
+};
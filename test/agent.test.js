@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const fetch = require("node-fetch");
+
+const TOKEN = "agent-secret";
+const originalDir = process.cwd();
+let workDir;
+let playerPort;
+let agentModule;
+
+// Helper: A TCP port nobody listens on
+function freePort() {
+  return new Promise((resolve) => {
+    const server = net.createServer();
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Helper: Poll until `check` passes or the time runs out
+async function eventually(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+}
+
+before(async () => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "parallelplay-agent-"));
+  process.chdir(workDir);
+  playerPort = await freePort();
+  // A player that starts but never opens its interface
+  const silent = path.join(workDir, "silent.js");
+  fs.writeFileSync(silent, "setInterval(() => {}, 1000);\n");
+  const configFile = path.join(workDir, "config.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      launch: { readyTimeoutMs: 1000, restartDelayMs: 100 },
+      nodes: [
+        {
+          id: "stage",
+          host: "127.0.0.1",
+          port: playerPort,
+          playerCommand: `${process.execPath} ${path.join(
+            __dirname,
+            "fakeVlc.js"
+          )}`,
+        },
+        {
+          id: "silent",
+          host: "127.0.0.1",
+          port: await freePort(),
+          playerCommand: `${process.execPath} ${silent}`,
+        },
+        { id: "sim", driver: "simulated" },
+      ],
+    })
+  );
+  fs.writeFileSync(
+    path.join(workDir, "secrets.json"),
+    JSON.stringify({ defaultNodePassword: "pw", agentToken: TOKEN })
+  );
+  process.env.CONFIG_FILE = configFile;
+  agentModule = require("../agent");
+});
+
+after(() => {
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("agent", () => {
+  it("starts VLC with its HTTP interface, port and password", () => {
+    const { findOwnNode, playerCommandLine } = agentModule;
+    const { program, args } = playerCommandLine(findOwnNode("stage"), {
+      vlcCommand: "vlc",
+      fullscreen: true,
+    });
+    assert.equal(program, process.execPath);
+    assert.deepEqual(args.slice(1), [
+      "--extraintf",
+      "http",
+      "--http-port",
+      String(playerPort),
+      "--http-password",
+      "pw",
+      "--no-video-title-show",
+      "--fullscreen",
+    ]);
+    assert.equal(playerCommandLine(findOwnNode("sim")), null);
+  });
+
+  it("starts, supervises and stops the player over HTTP", async () => {
+    const { findOwnNode, createAgent, createAgentApp } = agentModule;
+    const agent = createAgent(findOwnNode("stage"));
+    const server = createAgentApp(agent).listen(0, "127.0.0.1");
+    await new Promise((resolve) => server.once("listening", resolve));
+    const base = `http://127.0.0.1:${server.address().port}`;
+    const call = async (method, route, token = TOKEN) => {
+      const res = await fetch(base + route, {
+        method,
+        headers: { Authorization: `Bearer ${token}` },
+      });
+      return { status: res.status, body: await res.json() };
+    };
+    try {
+      assert.equal((await call("GET", "/status", "wrong")).status, 401);
+
+      const started = await call("POST", "/player/start");
+      assert.equal(started.body.node, "stage");
+      assert.equal(started.body.player.state, "ready");
+      const { pid } = started.body.player;
+      // The fake answers with the node's password, as VLC would
+      const vlc = await fetch(
+        `http://127.0.0.1:${playerPort}/requests/status.json`,
+        {
+          headers: {
+            Authorization: `Basic ${Buffer.from(":pw").toString("base64")}`,
+          },
+        }
+      );
+      assert.equal(vlc.status, 200);
+
+      // A crashed player is started again
+      process.kill(pid, "SIGKILL");
+      const restarted = await eventually(async () => {
+        const { body } = await call("GET", "/status");
+        assert.equal(body.player.state, "ready");
+        assert.notEqual(body.player.pid, pid);
+        return body.player;
+      });
+      assert.equal(restarted.restarts, 1);
+      assert.equal(restarted.error, null);
+      assert.match(restarted.lastCrash.error, /exited \(SIGKILL\)/);
+
+      const stopped = await call("POST", "/player/stop");
+      assert.equal(stopped.body.player.state, "stopped");
+      await assert.rejects(
+        fetch(`http://127.0.0.1:${playerPort}/requests/status.json`)
+      );
+      assert.equal((await call("POST", "/player/jump")).status, 404);
+    } finally {
+      await agent.stop();
+      server.close();
+    }
+  });
+
+  it("fails and stops a player that never answers", async () => {
+    const { findOwnNode, createAgent } = agentModule;
+    const agent = createAgent(findOwnNode("silent"));
+    const status = await agent.start();
+    assert.equal(status.player.state, "failed");
+    assert.equal(status.player.pid, null);
+    assert.match(status.player.error, /did not answer within 1s/);
+  });
+});
@@ -0,0 +1,187 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { read, DEFAULTS } = require("../config");
+
+const NODES = [
+  { id: "master", host: "10.0.0.1", local: true },
+  { id: "slave", host: "10.0.0.2", port: 8081 },
+];
+
+describe("config", () => {
+  let dir;
+  let file;
+
+  // Helper: Write `config` and read it back with `env`
+  function load(config, env = {}) {
+    fs.writeFileSync(file, JSON.stringify(config));
+    return read(file, env);
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "parallelplay-config-"));
+    file = path.join(dir, "config.json");
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("fills in defaults for everything left out", () => {
+    const { config, overrides } = load({ nodes: NODES });
+    assert.equal(config.server.port, DEFAULTS.server.port);
+    assert.deepEqual(config.timing, DEFAULTS.timing);
+    assert.deepEqual(config.sync, DEFAULTS.sync);
+    assert.deepEqual(overrides, []);
+  });
+
+  it("keeps defaults for settings a section leaves out", () => {
+    const { config } = load({ nodes: NODES, timing: { playStartDelayMs: 50 } });
+    assert.equal(config.timing.playStartDelayMs, 50);
+    assert.equal(config.timing.fullscreenDelayMs, 300);
+  });
+
+  it("resolves file locations against the config file", () => {
+    const { config } = load({ nodes: NODES, files: { presets: "shows.json" } });
+    assert.equal(config.files.presets, path.join(dir, "shows.json"));
+    assert.equal(config.files.logDir, path.join(dir, "logs"));
+  });
+
+  it("reads media folder lists from the file and the environment", () => {
+    let { config } = load({ nodes: NODES, library: { folders: ["media"] } });
+    assert.deepEqual(config.library.folders, [path.join(dir, "media")]);
+    ({ config } = load(
+      { nodes: NODES },
+      {
+        PARALLELPLAY_LIBRARY_FOLDERS: ["/Volumes/A", "/Volumes/B"].join(
+          path.delimiter
+        ),
+      }
+    ));
+    assert.deepEqual(config.library.folders, ["/Volumes/A", "/Volumes/B"]);
+    assert.throws(
+      () => load({ nodes: NODES, library: { folders: "/Volumes/A" } }),
+      /"library.folders" must be a list of strings/
+    );
+  });
+
+  it("lets the environment override single settings", () => {
+    const { config, overrides } = load(
+      { nodes: NODES },
+      {
+        PARALLELPLAY_SERVER_PORT: "3001",
+        PARALLELPLAY_TIMING_PLAY_START_DELAY_MS: "1500",
+        PARALLELPLAY_LOGGING_LEVEL: "debug",
+        PARALLELPLAY_NODE_SLAVE_HOST: "10.0.0.9",
+      }
+    );
+    assert.equal(config.server.port, 3001);
+    assert.equal(config.timing.playStartDelayMs, 1500);
+    assert.equal(config.logging.level, "debug");
+    assert.equal(config.nodes[1].host, "10.0.0.9");
+    assert.equal(config.nodes[1].port, 8081);
+    assert.equal(overrides.length, 4);
+  });
+
+  it("rejects environment values of the wrong type", () => {
+    assert.throws(
+      () => load({ nodes: NODES }, { PARALLELPLAY_SERVER_PORT: "high" }),
+      /PARALLELPLAY_SERVER_PORT must be a number/
+    );
+  });
+
+  it("names the setting that fails validation", () => {
+    assert.throws(
+      () => load({ nodes: NODES, sever: {} }),
+      /Unknown setting "sever"/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, timing: { playStartDelay: 5 } }),
+      /Unknown setting "timing.playStartDelay"/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, timing: { loadSettleMs: -1 } }),
+      /"timing.loadSettleMs" must not be negative/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, server: { port: 70000 } }),
+      /"server.port" must be a port number/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, logging: { level: "loud" } }),
+      /"logging.level" must be one of/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, control: { frameRate: 0 } }),
+      /"control.frameRate" must be more than 0/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, sync: { seekThreshold: 0.1 } }),
+      /"sync.seekThreshold" must be larger/
+    );
+  });
+
+  it("checks the OSC address map", () => {
+    const { config } = load({
+      nodes: NODES,
+      osc: { feedback: { position: "" } },
+    });
+    assert.equal(config.osc.feedback.position, "");
+    assert.equal(config.osc.feedback.state, DEFAULTS.osc.feedback.state);
+    assert.throws(
+      () => load({ nodes: NODES, osc: { addresses: { "/go": "launch" } } }),
+      /Unknown OSC action "launch" for \/go/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, osc: { addresses: { go: "play" } } }),
+      /OSC address "go" must start with "\/"/
+    );
+    assert.throws(
+      () => load({ nodes: NODES, osc: { feedback: { volume: "/v" } } }),
+      /Unknown OSC feedback "volume"/
+    );
+    assert.throws(
+      () =>
+        load({
+          nodes: NODES,
+          osc: { feedback: { speed: "/parallelplay/speed" } },
+        }),
+      /OSC feedback "speed" cannot use the command address/
+    );
+    const { config: fromEnv } = load(
+      { nodes: NODES },
+      { PARALLELPLAY_OSC_ADDRESSES: '{"/desk/go":"play"}' }
+    );
+    assert.deepEqual(fromEnv.osc.addresses, { "/desk/go": "play" });
+  });
+
+  it("checks the desktop hotkeys", () => {
+    const { config } = load({
+      nodes: NODES,
+      desktop: { hotkeys: { "CommandOrControl+P": "playPause" } },
+    });
+    assert.deepEqual(config.desktop.hotkeys, {
+      "CommandOrControl+P": "playPause",
+    });
+    assert.throws(
+      () => load({ nodes: NODES, desktop: { hotkeys: { F5: "rewind" } } }),
+      /Unknown hotkey action "rewind" for F5/
+    );
+  });
+
+  it("checks the node list", () => {
+    assert.throws(() => load({}), /must list at least one node/);
+    assert.throws(
+      () => load({ nodes: [NODES[0], NODES[0]] }),
+      /Duplicate node id "master"/
+    );
+    assert.throws(
+      () => load({ nodes: [{ ...NODES[0], driver: "quicktime" }] }),
+      /Unknown driver "quicktime"/
+    );
+  });
+
+  it("reports a file that cannot be parsed", () => {
+    fs.writeFileSync(file, "{ nodes: ");
+    assert.throws(() => read(file, {}), /Could not read/);
+  });
+});
@@ -0,0 +1,1692 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const fetch = require("node-fetch");
+const { createFakeVlc, createManualClock } = require("./fakeVlc");
+const { hashPassword } = require("../auth");
+
+const FILES = { master: "/media/show-a.mp4", slave: "/media/show-b.mp4" };
+const NEXT_FILES = { master: "/media/next-a.mp4", slave: "/media/next-b.mp4" };
+
+const clock = createManualClock();
+const master = createFakeVlc({ password: "secret", now: clock.now });
+const slave = createFakeVlc({
+  password: "secret",
+  now: clock.now,
+  tracks: {
+    audio: [
+      { id: 1, name: "English" },
+      { id: 2, name: "Deutsch" },
+    ],
+    subtitle: [{ id: 3, name: "English" }],
+  },
+});
+const fakes = [master, slave];
+const originalDir = process.cwd();
+let workDir;
+let configFile;
+let mediaDir;
+let server;
+let baseUrl;
+let operatorToken;
+
+// Stands in for the master's node agent (agent.js); the slave has none
+// running, so its agent is offline
+const agentRequests = [];
+let agentPlayer = { state: "stopped", pid: null, restarts: 0, error: null };
+const agent = http.createServer((req, res) => {
+  agentRequests.push({
+    method: req.method,
+    url: req.url,
+    auth: req.headers.authorization,
+  });
+  if (req.method === "POST") {
+    const action = req.url.split("/").pop();
+    agentPlayer = {
+      ...agentPlayer,
+      state: action === "stop" ? "stopped" : "ready",
+      pid: action === "stop" ? null : 4242,
+    };
+  }
+  res.setHeader("Content-Type", "application/json");
+  res.end(JSON.stringify({ node: "master", player: agentPlayer }));
+});
+
+async function login(name, password) {
+  const res = await fetch(`${baseUrl}/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name, password }),
+  });
+  return { status: res.status, body: await res.json() };
+}
+
+function post(route, body, token = operatorToken) {
+  return fetch(`${baseUrl}${route}`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: JSON.stringify(body),
+  });
+}
+
+async function control(command, body = {}) {
+  const res = await post("/control", { command, ...body });
+  return res.json();
+}
+
+// Helper: Call /api/v1; resolves to { status, body, headers }
+async function api(method, route, body, token = operatorToken) {
+  const res = await fetch(`${baseUrl}/api/v1${route}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      Authorization: `Bearer ${token}`,
+    },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json(), headers: res.headers };
+}
+
+async function get(route, token = operatorToken) {
+  const res = await fetch(`${baseUrl}${route}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return res.json();
+}
+
+// Helper: Poll until `check` passes or the time runs out
+async function eventually(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  for (;;) {
+    try {
+      return await check();
+    } catch (err) {
+      if (Date.now() > deadline) throw err;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  }
+}
+
+// Helper: Equal to the millisecond
+function assertNear(actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) < 0.001,
+    `${actual} is not ${expected}`
+  );
+}
+
+function assertAll(check) {
+  fakes.forEach((fake) => check(fake.player.status()));
+}
+
+before(async () => {
+  // The control server keeps its presets and logs in the working directory
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), "parallelplay-"));
+  process.chdir(workDir);
+  const [masterPort, slavePort] = await Promise.all(
+    fakes.map((fake) => fake.listen())
+  );
+  // A media folder, and an ffprobe that reports the same details for any file
+  mediaDir = path.join(workDir, "media");
+  fs.mkdirSync(path.join(mediaDir, "Openers"), { recursive: true });
+  ["Openers/intro.mp4", "Main Show.mov", "notes.txt", ".hidden.mp4"].forEach(
+    (name) => fs.writeFileSync(path.join(mediaDir, name), "")
+  );
+  const ffprobe = path.join(workDir, "ffprobe");
+  const probeOutput = {
+    format: { duration: "95.040000" },
+    streams: [
+      {
+        codec_type: "video",
+        codec_name: "h264",
+        width: 1920,
+        height: 1080,
+        avg_frame_rate: "25/1",
+      },
+      { codec_type: "audio", codec_name: "aac" },
+    ],
+  };
+  fs.writeFileSync(
+    ffprobe,
+    `#!${process.execPath}\nconsole.log(${JSON.stringify(
+      JSON.stringify(probeOutput)
+    )});\n`,
+    { mode: 0o755 }
+  );
+  await new Promise((resolve) => agent.listen(0, "127.0.0.1", resolve));
+  const closedPort = await new Promise((resolve) => {
+    const probe = http.createServer().listen(0, "127.0.0.1", () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+  configFile = path.join(workDir, "config.json");
+  fs.writeFileSync(
+    configFile,
+    JSON.stringify({
+      library: { folders: ["media"], ffprobe },
+      nodes: [
+        {
+          id: "master",
+          label: "Master",
+          host: "127.0.0.1",
+          port: masterPort,
+          agentPort: agent.address().port,
+          local: true,
+        },
+        {
+          id: "slave",
+          label: "Slave",
+          host: "127.0.0.1",
+          port: slavePort,
+          agentPort: closedPort,
+        },
+      ],
+    })
+  );
+  process.env.CONFIG_FILE = configFile;
+  const secretsFile = path.join(workDir, "secrets.json");
+  fs.writeFileSync(
+    secretsFile,
+    JSON.stringify({
+      users: [
+        { name: "op", role: "operator", passwordHash: hashPassword("op-pw") },
+        {
+          name: "guest",
+          role: "viewer",
+          passwordHash: hashPassword("guest-pw"),
+        },
+      ],
+      defaultNodePassword: "secret",
+      agentToken: "agent-token",
+    })
+  );
+
+  const app = require("../control");
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  operatorToken = (await login("op", "op-pw")).body.token;
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await Promise.all(fakes.map((fake) => fake.close()));
+  await new Promise((resolve) => agent.close(resolve));
+  process.chdir(originalDir);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe("access", () => {
+  it("turns away requests without a login", async () => {
+    const res = await fetch(`${baseUrl}/health`);
+    assert.equal(res.status, 401);
+    const command = await post("/control", { command: "stop" }, "bogus");
+    assert.equal(command.status, 401);
+  });
+
+  it("rejects a wrong password", async () => {
+    const { status, body } = await login("op", "nope");
+    assert.equal(status, 401);
+    assert.equal(body.error, "Wrong name or password.");
+  });
+
+  it("lets viewers read status but not send commands", async () => {
+    const { body } = await login("guest", "guest-pw");
+    assert.equal(body.role, "viewer");
+    const health = await get("/health", body.token);
+    assert.equal(health.nodes.length, 2);
+    const res = await post("/control", { command: "stop" }, body.token);
+    assert.equal(res.status, 403);
+    assert.deepEqual(master.received, []);
+  });
+
+  it("ends a session on logout", async () => {
+    const { body } = await login("guest", "guest-pw");
+    await post("/logout", {}, body.token);
+    const res = await fetch(`${baseUrl}/health`, {
+      headers: { Authorization: `Bearer ${body.token}` },
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("takes a token in the URL only for the event stream", async () => {
+    const query = `?token=${encodeURIComponent(operatorToken)}`;
+    assert.equal((await fetch(`${baseUrl}/health${query}`)).status, 401);
+    const controller = new AbortController();
+    const res = await fetch(`${baseUrl}/events${query}`, {
+      signal: controller.signal,
+    });
+    assert.equal(res.status, 200);
+    controller.abort();
+  });
+
+  it("serves the UI but nothing else from the app directory", async () => {
+    assert.equal((await fetch(`${baseUrl}/`)).status, 200);
+    assert.equal((await fetch(`${baseUrl}/Final%20logo.png`)).status, 200);
+    for (const file of ["presets.json", "secrets.json", "control.js"]) {
+      const res = await fetch(`${baseUrl}/${file}`);
+      assert.notEqual(res.status, 200, file);
+    }
+  });
+});
+
+describe("paths", () => {
+  it("refuses media commands before paths are saved", async () => {
+    const result = await control("play");
+    assert.match(result.error, /No file paths found/);
+  });
+
+  it("rejects incomplete paths", async () => {
+    const result = await control("savePaths", {
+      files: { master: FILES.master },
+    });
+    assert.equal(result.error, "Missing file paths.");
+  });
+
+  it("saves one path per node", async () => {
+    const result = await control("savePaths", { files: FILES });
+    assert.equal(result.message, "Paths saved successfully.");
+    const { nodes } = await get("/nodes");
+    assert.deepEqual(
+      nodes.map((node) => node.mediaPath),
+      [FILES.master, FILES.slave]
+    );
+  });
+
+  it("rejects unknown commands", async () => {
+    assert.equal((await control("dance")).error, "Invalid command.");
+  });
+});
+
+describe("transport", () => {
+  it("play loads every node's file and starts them all", async () => {
+    const result = await control("play");
+    assert.match(
+      result.message,
+      /Playback started in sync after 1-second buffer/
+    );
+    assert.ok(result.nodes.every((r) => r.ok));
+    assert.equal(master.player.status().file, FILES.master);
+    assert.equal(slave.player.status().file, FILES.slave);
+    assertAll((status) => {
+      assert.equal(status.state, "playing");
+      assert.equal(status.fullscreen, true);
+    });
+  });
+
+  it("pause aligns both players on the later sub-second time", async () => {
+    master.player.seek(42.4);
+    slave.player.seek(40.2);
+    const result = await control("pause");
+    assert.match(
+      result.message,
+      /synced to 42.4 sec \(00:00:42:10\) and paused/
+    );
+    assertAll((status) => {
+      assert.equal(status.state, "paused");
+      assertNear(status.time, 42.4);
+    });
+  });
+
+  it("play resumes from the paused position without reloading", async () => {
+    const result = await control("play");
+    assert.match(result.message, /resumed from paused position/);
+    assertAll((status) => {
+      assert.equal(status.state, "playing");
+      assertNear(status.time, 42.4);
+    });
+  });
+
+  it("seek moves every player", async () => {
+    await control("seek", { seekValue: "100" });
+    assertAll((status) => assert.equal(status.time, 100));
+    const result = await control("seek", { seekValue: "soon" });
+    assert.equal(result.error, "Invalid or missing seek value.");
+  });
+
+  it("seeks to a timecode frame", async () => {
+    await control("seek", { seekValue: "00:01:30:12" });
+    assertAll((status) => assertNear(status.time, 90.48));
+    const result = await control("seek", { seekValue: "00:01:30:25" });
+    assert.equal(result.error, "Invalid or missing seek value.");
+    const res = await api("PUT", "/position", { timecode: "12:75" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid or missing seek value.");
+    await control("seek", { seekValue: "100" });
+  });
+
+  it("skips forward and backward by ten seconds", async () => {
+    await control("skip_forward");
+    assertAll((status) => assert.equal(status.time, 110));
+    await control("skip_backward");
+    assertAll((status) => assert.equal(status.time, 100));
+  });
+
+  it("skips by a step sent with the command", async () => {
+    const result = await control("skip_forward", { step: "00:00:00:01" });
+    assert.equal(result.message, "Skipped forward 0.04 seconds.");
+    assertAll((status) => assertNear(status.time, 100.04));
+    await control("skip_backward", { step: 0.54 });
+    assertAll((status) => assertNear(status.time, 99.5));
+    const bad = await control("skip_forward", { step: "0" });
+    assert.equal(bad.error, "The skip step must be more than 0.");
+    await control("seek", { seekValue: "100" });
+  });
+
+  it("sets and resets the speed", async () => {
+    await control("setSpeed", { speed: "1.5" });
+    assertAll((status) => assert.equal(status.rate, 1.5));
+    await control("resetSpeed");
+    assertAll((status) => assert.equal(status.rate, 1));
+    const result = await control("setSpeed", { speed: "-2" });
+    assert.match(result.error, /Invalid speed value/);
+  });
+
+  it("fullscreen only toggles players that left it", async () => {
+    slave.player.setFullscreen(false);
+    const result = await control("fullscreen");
+    assert.deepEqual(
+      result.nodes.map((r) => r.detail),
+      ["already", "now"]
+    );
+    assertAll((status) => assert.equal(status.fullscreen, true));
+  });
+
+  it("stop stops every player", async () => {
+    const result = await control("stop");
+    assert.equal(result.message, "All players stopped.");
+    assertAll((status) => assert.equal(status.state, "stopped"));
+  });
+
+  it("wakeUp reloads and starts every player", async () => {
+    const result = await control("wakeUp");
+    assert.match(result.message, /Wake-up completed/);
+    assertAll((status) => {
+      assert.equal(status.state, "playing");
+      assert.equal(status.time, 0);
+    });
+  });
+});
+
+describe("command queue", () => {
+  // Helper: Wait until the queue shows wakeUp running with n commands behind it
+  function queueShows(n) {
+    return eventually(async () => {
+      const { running, queued } = await get("/commands");
+      assert.equal(running && running.command, "wakeUp");
+      assert.equal(queued.length, n);
+      return queued;
+    });
+  }
+
+  it("runs commands one at a time, in the order they came in", async () => {
+    const wakeUp = control("wakeUp");
+    await queueShows(0);
+    const seek = control("seek", { seekValue: "40" });
+    await queueShows(1);
+    assert.match((await wakeUp).message, /Wake-up completed/);
+    assert.equal((await seek).message, "Seek command sent.");
+    assertAll((status) => assert.equal(status.time, 40));
+    const { finished } = await get("/commands");
+    assert.deepEqual(
+      finished.slice(-2).map((c) => [c.command, c.status]),
+      [
+        ["wakeUp", "completed"],
+        ["seek", "completed"],
+      ]
+    );
+  });
+
+  it("stop cancels the running command and everything queued", async () => {
+    const wakeUp = control("wakeUp");
+    await queueShows(0);
+    const seek = control("seek", { seekValue: "70" });
+    await queueShows(1);
+    const stop = await control("stop");
+    assert.equal(stop.message, "All players stopped.");
+    assert.equal((await wakeUp).error, "wakeUp was cancelled by stop.");
+    assert.equal((await seek).error, "seek was cancelled by stop.");
+    assertAll((status) => {
+      assert.equal(status.state, "stopped");
+      assert.notEqual(status.time, 70);
+    });
+    const { finished } = await get("/commands");
+    assert.deepEqual(
+      finished.slice(-3).map((c) => [c.command, c.status]),
+      [
+        ["seek", "cancelled"],
+        ["wakeUp", "cancelled"],
+        ["stop", "completed"],
+      ]
+    );
+  });
+
+  it("cancels a queued command on request", async () => {
+    const wakeUp = control("wakeUp");
+    await queueShows(0);
+    const seek = control("seek", { seekValue: "70" });
+    const [queued] = await queueShows(1);
+    const guest = (await login("guest", "guest-pw")).body.token;
+    const denied = await post(`/commands/${queued.id}/cancel`, {}, guest);
+    assert.equal(denied.status, 403);
+    const res = await post(`/commands/${queued.id}/cancel`, {});
+    assert.equal((await res.json()).message, "Cancelling seek.");
+    assert.match((await seek).error, /cancelled by op/);
+    assert.match((await wakeUp).message, /Wake-up completed/);
+    assert.equal((await get(`/commands/${queued.id}`)).status, "cancelled");
+    const again = await post(`/commands/${queued.id}/cancel`, {});
+    assert.equal(again.status, 409);
+    assert.match((await again.json()).error, /already finished/);
+
+    assert.equal((await post("/commands/nope/cancel", {})).status, 404);
+    const unknown = await fetch(`${baseUrl}/commands/nope`, {
+      headers: { Authorization: `Bearer ${operatorToken}` },
+    });
+    assert.equal(unknown.status, 404);
+    assert.equal((await unknown.json()).error, "No such command.");
+  });
+});
+
+describe("show state", () => {
+  it("follows the commands and refuses ones that do not fit", async () => {
+    await control("pause");
+    const paused = await get("/show");
+    assert.equal(paused.state, "paused");
+    assert.equal(paused.previous, "playing");
+    assert.equal(paused.command, "pause");
+    assert.equal(
+      (await control("pause")).error,
+      "Cannot pause while the show is paused."
+    );
+    await control("stop");
+    assert.equal(
+      (await control("seek", { seekValue: "5" })).error,
+      "Cannot seek while the show is stopped."
+    );
+  });
+
+  it("is saved to state.json", async () => {
+    const saved = JSON.parse(
+      fs.readFileSync(path.join(workDir, "state.json"), "utf-8")
+    );
+    assert.equal(saved.state, "stopped");
+    assert.equal(saved.previous, "paused");
+    assert.equal(typeof saved.position, "number");
+  });
+
+  it("resume continues from the last known position", async () => {
+    const { position } = await get("/show");
+    const result = await control("resume");
+    assert.equal(result.message, `Show resumed at ${position.toFixed(1)} sec.`);
+    assertAll((status) => {
+      assert.equal(status.state, "playing");
+      assert.equal(status.time, position);
+    });
+    assert.equal((await get("/show")).state, "playing");
+    assert.match((await control("resume")).error, /while the show is playing/);
+  });
+
+  it("follows the players when they disagree for two polls", () => {
+    const { reconcile, getShowState } = require("../showState");
+    const report = (state) => ({
+      reference: "master",
+      nodes: [
+        { id: "master", online: true, state, time: 12 },
+        { id: "slave", online: true, state, time: 12 },
+      ],
+    });
+    reconcile(report("paused"));
+    assert.equal(getShowState().state, "playing");
+    reconcile(report("paused"));
+    assert.equal(getShowState().state, "paused");
+    assert.equal(getShowState().command, "reconcile");
+    reconcile({ reference: null, nodes: [{ id: "master", online: false }] });
+    reconcile(report("paused"));
+    assert.equal(getShowState().state, "paused");
+  });
+});
+
+describe("logs", () => {
+  it("follows one command through every player call it made", async () => {
+    const res = await post("/control", { command: "seek", seekValue: "30" });
+    const requestId = res.headers.get("x-request-id");
+    assert.ok(requestId);
+    const { entries } = await get(`/logs?requestId=${requestId}`);
+    assert.ok(entries.every((entry) => entry.command === "seek"));
+    const calls = entries.filter((entry) => entry.call === "seek");
+    assert.deepEqual(calls.map((entry) => entry.node).sort(), [
+      "master",
+      "slave",
+    ]);
+    calls.forEach((entry) => assert.equal(typeof entry.durationMs, "number"));
+  });
+
+  it("filters by node and level", async () => {
+    const { entries } = await get("/logs?node=slave&level=info");
+    assert.ok(entries.length > 0);
+    assert.ok(entries.every((entry) => entry.node === "slave"));
+    assert.match((await get("/logs?level=chatty")).error, /Unknown log level/);
+  });
+});
+
+describe("configuration", () => {
+  it("shows the configuration in effect", async () => {
+    const body = await get("/config");
+    assert.equal(body.file, configFile);
+    assert.deepEqual(
+      body.config.nodes.map((node) => node.id),
+      ["master", "slave"]
+    );
+    assert.equal(body.config.timing.playStartDelayMs, 1000);
+    assert.equal(body.config.files.presets, path.join(workDir, "presets.json"));
+  });
+
+  it("applies an edited file without a restart", async () => {
+    const { reload } = require("../config");
+    const original = fs.readFileSync(configFile, "utf-8");
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({ ...JSON.parse(original), control: { skipSeconds: 5 } })
+    );
+    try {
+      assert.equal(reload(), true);
+      await control("seek", { seekValue: "20" });
+      const result = await control("skip_forward");
+      assert.equal(result.message, "Skipped forward 5 seconds.");
+      assertAll((status) => assert.equal(status.time, 25));
+    } finally {
+      fs.writeFileSync(configFile, original);
+      reload();
+    }
+  });
+
+  it("keeps the running config when the edited file is invalid", async () => {
+    const { reload } = require("../config");
+    const original = fs.readFileSync(configFile, "utf-8");
+    fs.writeFileSync(configFile, JSON.stringify({ server: { port: -1 } }));
+    try {
+      assert.equal(reload(), false);
+    } finally {
+      fs.writeFileSync(configFile, original);
+    }
+    const { entries } = await get("/logs?level=error");
+    assert.match(entries.pop().message, /Config reload failed/);
+    assert.equal((await get("/config")).config.nodes.length, 2);
+  });
+});
+
+describe("sync", () => {
+  it("sync brings a drifted player back to the leader", async () => {
+    master.player.seek(100);
+    slave.player.seek(95);
+    const result = await control("sync");
+    assert.match(result.message, /Sync complete/);
+    const drift = slave.player.status().time - master.player.status().time;
+    assert.ok(Math.abs(drift) <= 1, `drift ${drift}s`);
+  });
+
+  it("sync rejoins a stopped player at the group position", async () => {
+    master.player.seek(120);
+    slave.player.stop();
+    const result = await control("sync");
+    assert.match(result.nodes[1].detail, /rejoined at 120/);
+    const status = slave.player.status();
+    assert.equal(status.state, "playing");
+    assert.ok(Math.abs(status.time - 120) < 1);
+  });
+
+  it("the sync engine corrects drift while it runs", async () => {
+    const started = await control("syncStart", {
+      settings: { intervalMs: 250 },
+    });
+    assert.match(started.message, /Auto sync running: every 250 ms/);
+    master.player.seek(200);
+    slave.player.seek(195);
+    await eventually(() => {
+      const drift = slave.player.status().time - master.player.status().time;
+      assert.ok(Math.abs(drift) < 0.5, `drift ${drift}s`);
+    });
+    const { nodes } = await get("/sync");
+    assert.ok(nodes.slave.corrections > 0);
+  });
+
+  it("rejects invalid sync settings", async () => {
+    const result = await control("syncSettings", {
+      settings: { seekThreshold: 0.1 },
+    });
+    assert.match(result.error, /seekThreshold must be larger/);
+  });
+
+  it("syncStop stops the engine", async () => {
+    assert.equal((await control("syncStop")).message, "Auto sync stopped.");
+    assert.equal((await get("/sync")).running, false);
+  });
+});
+
+describe("synchronized start", () => {
+  it("schedules and cancels a start at a time of day", async (t) => {
+    const at = new Date(Date.now() + 120 * 1000);
+    if (at.getDate() !== new Date().getDate()) {
+      return t.skip("too close to midnight");
+    }
+    const startAt = at.toTimeString().slice(0, 8);
+    await control("stop");
+    const result = await control("syncedPlay", { startAt });
+    assert.match(result.message, /Synchronized start scheduled/);
+    assert.ok((await get("/sync")).scheduledStart);
+    assert.equal((await get("/show")).state, "armed");
+    assert.equal(
+      (await control("play")).error,
+      "Cannot play while the show is armed."
+    );
+    const cancelled = await control("cancelStart");
+    assert.equal(cancelled.message, "Scheduled start cancelled.");
+    assert.equal((await get("/sync")).scheduledStart, null);
+    assert.equal((await get("/show")).state, "stopped");
+  });
+
+  it("rejects a start time that has passed", async () => {
+    const result = await control("syncedPlay", { startAt: "00:00:00" });
+    assert.match(result.error, /already passed/);
+  });
+
+  it("syncedPlay starts every node on a shared instant", async () => {
+    await control("stop");
+    const result = await control("syncedPlay");
+    assert.match(result.message, /Playback started on a shared start instant/);
+    result.nodes.forEach((r) =>
+      assert.equal(typeof r.detail.offsetMs, "number")
+    );
+    assertAll((status) => assert.equal(status.state, "playing"));
+  });
+});
+
+describe("running order", () => {
+  const items = [
+    { title: "Opening", files: FILES },
+    { title: "Finale", files: NEXT_FILES, start: 5 },
+  ];
+
+  it("saves a playlist", async () => {
+    const result = await control("savePlaylist", { items });
+    assert.equal(result.message, "Playlist saved with 2 items.");
+    const saved = await get("/playlist");
+    assert.deepEqual(
+      saved.items.map((item) => item.title),
+      ["Opening", "Finale"]
+    );
+  });
+
+  it("rejects items without a file for every node", async () => {
+    const result = await control("savePlaylist", {
+      items: [{ files: { master: FILES.master } }],
+    });
+    assert.equal(result.error, "Item 1 has no file for Slave.");
+  });
+
+  it("jumps, steps forward and back", async () => {
+    let result = await control("jumpTo", { index: 1 });
+    assert.match(result.message, /Loaded item 2\/2: Finale \(playing\)/);
+    assert.equal(slave.player.status().file, NEXT_FILES.slave);
+    assert.ok(slave.player.status().time >= 5);
+
+    result = await control("previous");
+    assert.match(result.message, /Loaded item 1\/2: Opening/);
+    assert.equal(master.player.status().file, FILES.master);
+
+    result = await control("next");
+    assert.match(result.message, /Loaded item 2\/2/);
+    result = await control("next");
+    assert.equal(result.error, "No playlist item 3.");
+  });
+
+  it("plays a held item from its start point without loading it again", async () => {
+    await control("jumpTo", { index: 1, play: false });
+    assertAll((status) => {
+      assert.equal(status.state, "paused");
+      assert.equal(status.time, 5);
+    });
+    master.received.length = 0;
+    const result = await control("play");
+    assert.match(result.message, /Playback started from the loaded position/);
+    assert.ok(!master.received.some((r) => r.command === "in_enqueue"));
+    assert.equal(master.player.status().file, NEXT_FILES.master);
+    assertAll((status) => {
+      assert.equal(status.state, "playing");
+      assert.equal(status.time, 5);
+    });
+  });
+
+  it("auto-advances when an item ends", async () => {
+    await control("jumpTo", { index: 0 });
+    await control("setAutoAdvance", { enabled: true });
+    // Let the watcher see the item playing, then run it into the last
+    // half second (playlist.endMarginSeconds) of its 300 s
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    clock.advance(299.7 * 1000);
+    await eventually(() => {
+      assert.equal(master.player.status().file, NEXT_FILES.master);
+    }, 5000);
+    await eventually(async () => {
+      assert.equal((await get("/playlist")).current, 1);
+      assert.equal((await get("/show")).state, "playing");
+    });
+    assertAll((status) => assert.equal(status.state, "playing"));
+    await control("setAutoAdvance", { enabled: false });
+  });
+
+  it("stays on the item when the show is stopped mid-item", async () => {
+    await control("jumpTo", { index: 0, play: true });
+    await control("setAutoAdvance", { enabled: true });
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    await control("stop");
+    // Give the watcher (every playlist.watchIntervalMs) a few looks
+    await new Promise((resolve) => setTimeout(resolve, 2500));
+    assert.equal((await get("/playlist")).current, 0);
+    assert.equal((await get("/show")).state, "stopped");
+    assertAll((status) => assert.equal(status.state, "stopped"));
+    await control("setAutoAdvance", { enabled: false });
+  });
+  it("cancels an auto-advance in progress on stop", async () => {
+    await control("jumpTo", { index: 0, play: true });
+    await control("setAutoAdvance", { enabled: true });
+    await new Promise((resolve) => setTimeout(resolve, 1200));
+    clock.advance(299.7 * 1000);
+    // Loading the next item waits timing.playStartDelayMs before playing
+    const advance = await eventually(async () => {
+      const { running } = await get("/commands");
+      assert.equal(running && running.command, "autoAdvance");
+      assert.equal(running.by, "playlist");
+      return running;
+    }, 5000);
+    await control("stop");
+    const { finished } = await get("/commands");
+    assert.equal(
+      finished.find((job) => job.id === advance.id).status,
+      "cancelled"
+    );
+    await new Promise((resolve) => setTimeout(resolve, 1500));
+    assert.equal((await get("/show")).state, "stopped");
+    assertAll((status) => assert.equal(status.state, "stopped"));
+    await control("setAutoAdvance", { enabled: false });
+  });
+});
+
+describe("cues", () => {
+  it("saves, edits and deletes the cues of an item", async () => {
+    let result = await control("saveCue", {
+      item: 0,
+      cue: { at: "02:15", command: "pause", label: "Interval" },
+    });
+    assert.equal(result.message, "Cue at 02:15 saved.");
+    let { cues } = await get("/cues?item=0");
+    assert.deepEqual(
+      cues.map((cue) => [cue.at, cue.command, cue.label]),
+      [[135, "pause", "Interval"]]
+    );
+
+    result = await control("saveCue", {
+      item: 0,
+      cue: { ...cues[0], at: "4:00", command: "setSpeed", args: { speed: 1 } },
+    });
+    assert.equal(result.message, "Cue at 04:00 saved.");
+    ({ cues } = await get("/cues?item=0"));
+    assert.equal(cues.length, 1);
+    assert.equal(cues[0].at, 240);
+
+    assert.match(
+      (
+        await control("saveCue", {
+          item: 0,
+          cue: { at: "soon", command: "stop" },
+        })
+      ).error,
+      /Invalid cue time "soon"/
+    );
+    assert.equal(
+      (await control("saveCue", { item: 0, cue: { at: 1, command: "dance" } }))
+        .error,
+      'A cue cannot send "dance".'
+    );
+
+    // The running order editor sends the items back with their cues
+    const { items } = await get("/playlist");
+    await control("savePlaylist", { items });
+    assert.equal((await get("/cues?item=0")).cues.length, 1);
+
+    result = await control("deleteCue", { item: 0, id: cues[0].id });
+    assert.equal(result.message, "Cue deleted.");
+    assert.deepEqual((await get("/cues?item=0")).cues, []);
+    assert.equal(
+      (await control("deleteCue", { item: 0, id: cues[0].id })).error,
+      "No such cue."
+    );
+  });
+
+  it("fires cues as the synchronized position passes them", async () => {
+    await control("saveCue", {
+      item: 0,
+      cue: { at: 1.5, command: "setSpeed", args: { speed: 2 } },
+    });
+    await control("saveCue", {
+      item: 0,
+      cue: { at: "end", command: "next", args: { play: false } },
+    });
+    await control("jumpTo", { index: 0, play: true });
+    const stop = require("../cues").start((body) =>
+      control(body.command, body)
+    );
+    try {
+      await eventually(async () => {
+        const { position } = await get("/cues");
+        assert.ok(position !== null && position < 1);
+      });
+      clock.advance(1600);
+      await eventually(() =>
+        assertAll((status) => assert.equal(status.rate, 2))
+      );
+      assert.equal((await get("/cues")).upcoming.length, 1);
+
+      // The end cue loads the next item and holds it on its first frame
+      await control("seek", { seekValue: "299" });
+      await eventually(() => {
+        assert.equal(master.player.status().file, NEXT_FILES.master);
+      });
+      await eventually(async () => {
+        assert.equal((await get("/show")).state, "loaded");
+      });
+      assertAll((status) => assert.notEqual(status.state, "playing"));
+    } finally {
+      stop();
+    }
+    await control("resetSpeed");
+  });
+});
+
+describe("media library", () => {
+  after(() => fakes.forEach((fake) => fake.setFiles(null)));
+
+  it("searches the media folders with each file's details", async () => {
+    const body = await get("/library?q=intro");
+    assert.equal(body.total, 2); // No text files, no hidden files
+    assert.equal(body.matches, 1);
+    const [item] = body.items;
+    assert.equal(item.path, path.join(mediaDir, "Openers", "intro.mp4"));
+    assert.equal(item.directory, "Openers");
+    assert.equal(item.duration, 95.04);
+    assert.equal(item.width, 1920);
+    assert.equal(item.frameRate, 25);
+    assert.equal(item.videoCodec, "h264");
+    assert.equal((await get("/library?q=show main")).matches, 1);
+  });
+
+  it("browses folder by folder", async () => {
+    const top = await get("/library/browse");
+    assert.deepEqual(
+      top.folders.map((folder) => [folder.path, folder.files]),
+      [[mediaDir, 2]]
+    );
+    const root = await get(
+      `/library/browse?path=${encodeURIComponent(mediaDir)}`
+    );
+    assert.deepEqual(
+      root.folders.map((folder) => folder.name),
+      ["Openers"]
+    );
+    assert.deepEqual(
+      root.files.map((file) => file.name),
+      ["Main Show.mov"]
+    );
+    assert.equal(root.parent, null);
+    const outside = await get("/library/browse?path=/etc");
+    assert.equal(outside.error, "/etc is not in the media library.");
+  });
+
+  it("picks up new files on rescan", async () => {
+    fs.writeFileSync(path.join(mediaDir, "encore.mp4"), "");
+    const guest = (await login("guest", "guest-pw")).body.token;
+    const denied = await post("/library/rescan", {}, guest);
+    assert.equal(denied.status, 403);
+    const body = await (await post("/library/rescan", {})).json();
+    assert.equal(body.message, "Media library has 3 files.");
+    assert.equal((await get("/library?q=encore")).matches, 1);
+  });
+
+  it("skips a file removed between listing and reading it", async () => {
+    const gone = path.join(mediaDir, "gone.mp4");
+    fs.writeFileSync(gone, "");
+    const { stat } = fs.promises;
+    // Remove the file when the scan first looks at it
+    fs.promises.stat = async (file, ...rest) => {
+      if (file === gone) fs.rmSync(gone);
+      return stat(file, ...rest);
+    };
+    try {
+      const body = await (await post("/library/rescan", {})).json();
+      assert.equal(body.message, "Media library has 3 files.");
+    } finally {
+      fs.promises.stat = stat;
+    }
+  });
+
+  it("refuses to save a file a node does not have", async () => {
+    const file = path.join(mediaDir, "Main Show.mov");
+    master.setFiles([file]);
+    slave.setFiles([]);
+    let result = await control("savePaths", {
+      files: { master: file, slave: file },
+    });
+    assert.equal(result.error, `${file} is not on Slave.`);
+
+    result = await control("savePlaylist", { items: [{ file }] });
+    assert.equal(result.error, `Item 1: ${file} is not on Slave.`);
+
+    slave.setFiles([file]);
+    result = await control("savePaths", {
+      files: { master: file, slave: file },
+    });
+    assert.equal(result.message, "Paths saved successfully.");
+    assert.equal(result.warning, undefined);
+  });
+
+  it("saves with a warning when a node cannot check its files", async () => {
+    master.setFiles([FILES.master]);
+    slave.setFiles(null);
+    const result = await control("savePaths", { files: FILES });
+    assert.equal(result.message, "Paths saved successfully.");
+    assert.equal(result.warning, "Could not check the files on Slave.");
+  });
+});
+
+describe("presets", () => {
+  it("saves and activates a preset with its own speed", async () => {
+    let result = await control("savePreset", {
+      preset: { name: "Matinee", files: NEXT_FILES, speed: 1.25 },
+    });
+    assert.equal(result.message, 'Preset "Matinee" saved.');
+    result = await control("activatePreset", { name: "Matinee" });
+    assert.match(result.message, /speed 1.25x, fullscreen on/);
+
+    await control("stop");
+    await control("play");
+    assert.equal(master.player.status().file, NEXT_FILES.master);
+    assertAll((status) => assert.equal(status.rate, 1.25));
+  });
+
+  it("refuses to delete the active preset", async () => {
+    const result = await control("deletePreset", { name: "Matinee" });
+    assert.equal(result.error, "The active preset cannot be deleted.");
+  });
+
+  it("deletes a preset once another is active", async () => {
+    await control("activatePreset", { name: "Default" });
+    const result = await control("deletePreset", { name: "Matinee" });
+    assert.equal(result.message, 'Preset "Matinee" deleted.');
+    const { presets } = await get("/presets");
+    assert.deepEqual(
+      presets.map((preset) => preset.name),
+      ["Default"]
+    );
+  });
+
+  it("starts from a Default preset when presets.json is corrupt", async () => {
+    const { reload } = require("../config");
+    const original = fs.readFileSync(configFile, "utf-8");
+    const corrupt = path.join(workDir, "corrupt-presets.json");
+    fs.writeFileSync(corrupt, '{"active": "Default", "presets": [');
+    const config = JSON.parse(original);
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        ...config,
+        files: { ...config.files, presets: corrupt },
+      })
+    );
+    try {
+      assert.equal(reload(), true);
+      const { active, presets } = await get("/presets");
+      assert.equal(active, "Default");
+      assert.deepEqual(presets[0].files, {});
+      const { entries } = await get("/logs?level=error");
+      assert.match(entries.pop().message, /Could not read .*corrupt-presets/);
+    } finally {
+      fs.writeFileSync(configFile, original);
+      reload();
+    }
+    assert.equal((await get("/presets")).presets.length, 1);
+  });
+});
+
+describe("REST API", () => {
+  it("publishes an OpenAPI document without a login", async () => {
+    const res = await fetch(`${baseUrl}/api/v1/openapi.json`);
+    assert.equal(res.status, 200);
+    const doc = await res.json();
+    assert.equal(doc.openapi, "3.1.0");
+    const play = doc.paths["/transport/play"].post;
+    assert.equal(play.operationId, "play");
+    assert.equal(play["x-role"], "operator");
+    const cue = doc.paths["/playlist/items/{index}/cues/{id}"];
+    assert.deepEqual(Object.keys(cue).sort(), ["delete", "put"]);
+    assert.deepEqual(
+      cue.put.parameters.map((parameter) => parameter.name),
+      ["index", "id"]
+    );
+  });
+
+  it("answers with status codes for logins and roles", async () => {
+    const anonymous = await fetch(`${baseUrl}/api/v1/show`);
+    assert.equal(anonymous.status, 401);
+    const guest = (await login("guest", "guest-pw")).body.token;
+    assert.equal((await api("GET", "/show", undefined, guest)).status, 200);
+    const denied = await api("PUT", "/speed", { speed: 2 }, guest);
+    assert.equal(denied.status, 403);
+    assert.equal((await api("GET", "/no-such-thing")).status, 404);
+  });
+
+  it("rejects requests that do not match the schema", async () => {
+    let res = await api("PUT", "/speed", { speed: "fast" });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "Invalid request: body.speed must be number.");
+    res = await api("PUT", "/position", { seconds: -1, force: true });
+    assert.deepEqual(res.body.details, [
+      "body.seconds must be at least 0.",
+      "body.force is not allowed.",
+    ]);
+    res = await api("POST", "/playlist/items/first/load", {});
+    assert.equal(res.status, 400);
+    const raw = await fetch(`${baseUrl}/api/v1/speed`, {
+      method: "PUT",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${operatorToken}`,
+      },
+      body: "{speed:",
+    });
+    assert.equal(raw.status, 400);
+    assert.equal((await raw.json()).error, "The request body is not JSON.");
+  });
+
+  it("drives the transport through the command queue", async () => {
+    let res = await api("POST", "/transport/stop");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "All players stopped.");
+    const id = res.headers.get("X-Request-Id");
+    assert.equal((await get(`/commands/${id}`)).status, "completed");
+
+    res = await api("POST", "/transport/pause");
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "Cannot pause while the show is stopped.");
+
+    res = await api("POST", "/transport/play", {});
+    assert.equal(res.status, 200);
+    res = await api("PUT", "/position", { seconds: 30 });
+    assert.equal(res.body.message, "Seek command sent.");
+    assertAll((status) => assert.equal(Math.floor(status.time), 30));
+    const position = (await api("GET", "/position")).body;
+    assert.equal(position.state, "playing");
+    assert.equal(Math.floor(position.time), 30);
+    assert.equal(position.frameRate, 25);
+    assert.match(position.timecode, /^00:00:30:\d\d$/);
+    assert.equal(position.nodes.length, 2);
+    res = await api("PUT", "/position", { timecode: "00:00:45:05" });
+    assert.equal(res.status, 200);
+    assertAll((status) => assertNear(status.time, 45.2));
+    res = await api("POST", "/position/skip", {
+      direction: "backward",
+      step: "00:00:00:05",
+    });
+    assert.equal(res.body.message, "Skipped backward 0.2 seconds.");
+    assertAll((status) => assertNear(status.time, 45));
+  });
+
+  it("sets and resets the speed", async () => {
+    assert.equal((await api("PUT", "/speed", { speed: 1.5 })).status, 200);
+    assert.equal((await api("GET", "/speed")).body.speed, 1.5);
+    assert.equal((await api("DELETE", "/speed")).status, 200);
+    assertAll((status) => assert.equal(status.rate, 1));
+  });
+
+  it("reports nodes and 404s for unknown ones", async () => {
+    const { body } = await api("GET", "/nodes/slave");
+    assert.equal(body.label, "Slave");
+    assert.equal(body.file, FILES.slave);
+    assert.equal(body.status.online, true);
+    const missing = await api("GET", "/nodes/nope");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "No such node.");
+    assert.equal((await api("POST", "/presets/Nope/activate")).status, 404);
+    assert.equal((await api("POST", "/commands/nope/cancel")).status, 404);
+  });
+
+  it("keeps /control answering 200 with a plain error", async () => {
+    await api("POST", "/transport/stop");
+    const res = await post("/control", { command: "pause" });
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), {
+      error: "Cannot pause while the show is stopped.",
+    });
+  });
+});
+
+describe("audio", () => {
+  after(async () => {
+    await control("setMute", { muted: false });
+    await control("setVolume", { volume: 100, node: "slave" });
+    await control("setVolume", { volume: 100 });
+  });
+
+  it("sets the group volume and each node's on top of it", async () => {
+    let result = await control("setVolume", { volume: 50 });
+    assert.equal(result.message, "Volume 50% on all players.");
+    assertAll((status) => assert.equal(status.volume, 50));
+    result = await control("setVolume", { volume: 80, node: "slave" });
+    assert.equal(result.message, "Volume 80% on slave.");
+    assert.equal(master.player.status().volume, 50);
+    assert.equal(slave.player.status().volume, 40);
+    const bad = await api("PUT", "/audio/volume", { volume: 50, node: "x" });
+    assert.equal(bad.status, 404);
+  });
+
+  it("mutes a node and the group", async () => {
+    await control("setMute", { muted: true, node: "master" });
+    assert.equal(master.player.status().volume, 0);
+    assert.equal(slave.player.status().volume, 40);
+    await control("setMute", { muted: true });
+    assert.equal(slave.player.status().volume, 0);
+    await control("setMute", { muted: false });
+    const { body } = await api("GET", "/audio");
+    const [own, other] = body.nodes;
+    assert.deepEqual([own.muted, own.level, own.playerVolume], [true, 0, 0]);
+    assert.deepEqual([other.volume, other.level], [80, 40]);
+    await control("setMute", { muted: false, node: "master" });
+    assert.equal(master.player.status().volume, 50);
+  });
+
+  it("chooses tracks and keeps them for the next load", async () => {
+    const { body } = await api("GET", "/audio");
+    assert.deepEqual(
+      body.nodes[1].tracks.audio.map((track) => track.name),
+      ["English", "Deutsch"]
+    );
+    let res = await api("PUT", "/nodes/slave/audio-track", { track: 2 });
+    assert.equal(res.body.message, "Audio track 2 on slave.");
+    res = await api("PUT", "/nodes/slave/subtitle-track", { track: 3 });
+    assert.equal(res.status, 200);
+    assert.equal(slave.player.status().audioTrack, 2);
+    await control("wakeUp");
+    assert.equal(slave.player.status().audioTrack, 2);
+    assert.equal(slave.player.status().subtitleTrack, 3);
+    assert.equal(slave.player.status().volume, 40);
+    const saved = (await get("/presets")).presets[0].audio.nodes.slave;
+    assert.deepEqual(saved, {
+      volume: 80,
+      muted: false,
+      audioTrack: 2,
+      subtitleTrack: 3,
+    });
+  });
+
+  it("fades out before stopping and comes back for the next play", async () => {
+    master.received.length = 0;
+    const result = await control("stop", { fadeSeconds: 0.3 });
+    assert.equal(
+      result.message,
+      "All players faded out over 0.3s and stopped."
+    );
+    const volumes = master.received
+      .filter((r) => r.command === "volume")
+      .map((r) => Math.round(Number(r.val) / 2.56));
+    assert.deepEqual(volumes, [33, 17, 0, 50]);
+    const stopAt = master.received.findIndex((r) => r.command === "pl_stop");
+    assert.ok(stopAt > 0 && stopAt < master.received.length - 1);
+    assertAll((status) => assert.equal(status.state, "stopped"));
+  });
+});
+
+describe("OSC", () => {
+  const { reload } = require("../config");
+  const osc = require("../osc");
+  let desk; // The console's socket, also where feedback goes
+  let received = [];
+  let stopOsc;
+  let original;
+
+  // Helper: Send one message to the listener from the desk
+  function sendOsc(address, args) {
+    const { port } = osc.address();
+    desk.send(osc.encodeMessage(address, args), port, "127.0.0.1");
+  }
+
+  // Helper: The arguments of the feedback received at `address`
+  function feedback(address) {
+    return received.filter((m) => m.address === address).map((m) => m.args);
+  }
+
+  before(async () => {
+    desk = require("dgram").createSocket("udp4");
+    desk.on("message", (buffer) => received.push(...osc.decodePacket(buffer)));
+    await new Promise((resolve) => desk.bind(0, "127.0.0.1", resolve));
+    original = fs.readFileSync(configFile, "utf-8");
+    fs.writeFileSync(
+      configFile,
+      JSON.stringify({
+        ...JSON.parse(original),
+        osc: {
+          enabled: true,
+          port: 0,
+          feedbackHost: "127.0.0.1",
+          feedbackPort: desk.address().port,
+        },
+      })
+    );
+    assert.equal(reload(), true);
+    stopOsc = osc.start((body) => control(body.command, body));
+    await eventually(() => assert.ok(osc.address()));
+  });
+
+  after(() => {
+    stopOsc();
+    desk.close();
+    fs.writeFileSync(configFile, original);
+    reload();
+  });
+
+  it("runs mapped addresses as commands and reports back", async () => {
+    received = [];
+    sendOsc("/parallelplay/play", [1]);
+    await eventually(() => {
+      const [[command, message]] = feedback("/parallelplay/status/result");
+      assert.equal(command, "play");
+      assert.match(message, /^Playback started in sync/);
+    }, 5000);
+    await eventually(() =>
+      assert.ok(
+        feedback("/parallelplay/status/state").some(([s]) => s === "playing")
+      )
+    );
+    sendOsc("/parallelplay/seek", [{ int: 40 }]);
+    await eventually(() =>
+      assertAll((status) => assert.equal(Math.floor(status.time), 40))
+    );
+    sendOsc("/parallelplay/stop", []);
+    await eventually(() =>
+      assert.ok(
+        feedback("/parallelplay/status/state").some(([s]) => s === "stopped")
+      )
+    );
+  });
+
+  it("ignores button releases and reports bad arguments", async () => {
+    received = [];
+    sendOsc("/parallelplay/play", [0]);
+    sendOsc("/parallelplay/speed", ["fast"]);
+    await eventually(() =>
+      assert.deepEqual(feedback("/parallelplay/status/error"), [
+        ["/parallelplay/speed", "/parallelplay/speed needs a rate as a number"],
+      ])
+    );
+    assert.deepEqual(feedback("/parallelplay/status/result"), []);
+    assert.equal((await get("/show")).state, "stopped");
+  });
+});
+
+describe("arm", () => {
+  it("loads every node paused on frame 0 and checks it", async () => {
+    const result = await control("arm");
+    assert.equal(
+      result.message,
+      "Armed: every check passed on 2 nodes. Nothing is playing."
+    );
+    assert.equal(result.arm.ready, true);
+    result.arm.nodes.forEach((node) => {
+      assert.deepEqual(
+        node.checks.map((check) => check.name),
+        [
+          "reachable",
+          "latency",
+          "file",
+          "loaded",
+          "length",
+          "frame0",
+          "fullscreen",
+          "lengthMatch",
+        ]
+      );
+      assert.ok(node.checks.every((check) => check.ok !== false));
+      assert.equal(typeof node.latencyMs, "number");
+    });
+    assertAll((status) => {
+      assert.equal(status.state, "paused");
+      assert.equal(status.time, 0);
+    });
+    assert.equal(master.player.status().file, FILES.master);
+    assert.equal((await get("/show")).state, "loaded");
+    assert.deepEqual((await get("/arm")).check.nodes, result.arm.nodes);
+  });
+
+  it("plays the armed frame without loading again", async () => {
+    await control("arm");
+    master.received.length = 0;
+    const result = await control("play");
+    assert.match(result.message, /Playback started from the loaded position/);
+    assert.ok(!master.received.some((r) => r.command === "in_enqueue"));
+    assert.equal(master.player.status().file, FILES.master);
+    assertAll((status) => {
+      assert.equal(status.state, "playing");
+      assert.equal(status.time, 0);
+    });
+    await control("stop");
+  });
+
+  it("is refused during a show", async () => {
+    await control("play");
+    const res = await api("POST", "/transport/arm");
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "Cannot arm while the show is playing.");
+    await control("stop");
+  });
+});
+
+describe("sessions", () => {
+  before(() => require("../sessions").start());
+
+  it("records a show session and reports it", async () => {
+    await control("play");
+    await control("setSpeed", { speed: 1.5 });
+    await control("pause");
+    await control("play");
+    await control("syncStart", { settings: { intervalMs: 250 } });
+    master.player.seek(60);
+    slave.player.seek(55);
+    await eventually(async () => {
+      const [open] = (await get("/sessions")).sessions;
+      assert.ok(open.corrections > 0);
+    });
+    await control("syncStop");
+    await control("resetSpeed");
+    await control("stop");
+
+    const [session] = (await get("/sessions")).sessions;
+    assert.equal(session.open, false);
+    assert.equal(session.interrupted, false);
+    assert.ok(session.endedAt);
+    assert.equal(session.items.length, 1);
+    assert.equal(session.pauses, 1);
+    assert.equal(session.speedChanges, 2);
+
+    const { events } = await get(`/sessions/${session.id}`);
+    assert.deepEqual(
+      events.filter((e) => e.type !== "correction").map((e) => e.type),
+      ["start", "item", "speed", "pause", "resume", "speed", "stop"]
+    );
+    const correction = events.find((e) => e.type === "correction");
+    assert.equal(correction.node, "slave");
+    assert.ok(Math.abs(correction.drift) > 1);
+
+    const report = await api("GET", `/sessions/${session.id}/report`);
+    assert.equal(report.status, 200);
+    const [drift] = report.body.drift;
+    assert.equal(drift.node, "slave");
+    assert.ok(drift.maxDrift > 1);
+    const { nodes } = await get("/sessions/drift");
+    assert.equal(nodes[0].node, "slave");
+    assert.equal(nodes[0].sessions, 1);
+  });
+
+  it("exports a session as CSV", async () => {
+    const [session] = (await get("/sessions")).sessions;
+    const res = await fetch(
+      `${baseUrl}/api/v1/sessions/${session.id}/report?format=csv`,
+      { headers: { Authorization: `Bearer ${operatorToken}` } }
+    );
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/csv/);
+    assert.match(res.headers.get("content-disposition"), /attachment/);
+    const [header, ...rows] = (await res.text()).trim().split("\n");
+    assert.equal(header, "time,offsetSeconds,type,node,item,detail");
+    assert.ok(rows.some((row) => row.split(",")[2] === "pause"));
+    assert.ok(rows.some((row) => /,correction,slave,/.test(row)));
+  });
+
+  it("answers 404 for an unknown session", async () => {
+    const res = await api("GET", "/sessions/no-such-session");
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'No session "no-such-session".');
+  });
+
+  it("answers 404 and 400 on the control server's session routes", async () => {
+    let res = await fetch(`${baseUrl}/sessions/no-such-session`, {
+      headers: { Authorization: `Bearer ${operatorToken}` },
+    });
+    assert.equal(res.status, 404);
+    assert.equal((await res.json()).error, 'No session "no-such-session".');
+
+    res = await fetch(`${baseUrl}/sessions/no-such-session/report`, {
+      headers: { Authorization: `Bearer ${operatorToken}` },
+    });
+    assert.equal(res.status, 404);
+
+    const [session] = (await get("/sessions")).sessions;
+    res = await fetch(`${baseUrl}/sessions/${session.id}/report?format=xml`, {
+      headers: { Authorization: `Bearer ${operatorToken}` },
+    });
+    assert.equal(res.status, 400);
+    assert.match((await res.json()).error, /xml/);
+  });
+});
+
+describe("schedule", () => {
+  const schedule = require("../schedule");
+  const MINUTE = 60 * 1000;
+
+  before(() => {
+    // Saved before a restart: a daily run missed two hours ago, and a
+    // one-off run due a minute ago, still inside missedGraceMinutes
+    const ago = (ms) => new Date(Date.now() - ms).toISOString();
+    fs.writeFileSync(
+      path.join(workDir, "schedule.json"),
+      JSON.stringify({
+        entries: [
+          {
+            id: "missed",
+            label: "Morning",
+            enabled: true,
+            at: null,
+            cron: "0 6 * * *",
+            steps: [{ command: "play" }],
+            nextRunAt: ago(120 * MINUTE),
+            lastRun: null,
+          },
+          {
+            id: "late",
+            label: "",
+            enabled: true,
+            at: ago(MINUTE),
+            cron: null,
+            steps: [{ command: "resetSpeed" }],
+            nextRunAt: ago(MINUTE),
+            lastRun: null,
+          },
+        ],
+      })
+    );
+    schedule.start((body) => control(body.command, body));
+  });
+
+  after(() => schedule.stop());
+
+  it("makes a late run after a restart and records a missed one", async () => {
+    const entries = await eventually(async () => {
+      const { entries } = await get("/schedule");
+      const late = entries.find((e) => e.id === "late");
+      assert.ok(late.lastRun);
+      return entries;
+    });
+    const late = entries.find((e) => e.id === "late");
+    assert.equal(late.lastRun.ok, true);
+    assert.equal(late.lastRun.late, true);
+    assert.equal(late.enabled, false);
+    assert.equal(late.nextRunAt, null);
+    const missed = entries.find((e) => e.id === "missed");
+    assert.equal(missed.lastRun.ok, false);
+    assert.equal(missed.lastRun.error, "Missed: the server was not running.");
+    assert.equal(new Date(missed.nextRunAt).getHours(), 6);
+    assert.ok(Date.parse(missed.nextRunAt) > Date.now());
+    assert.equal((await get("/show")).state, "stopped");
+  });
+
+  it("runs a one-off entry at its time", async () => {
+    const at = new Date(Date.now() + 1000).toISOString();
+    const res = await api("POST", "/schedule", {
+      at,
+      label: "Start",
+      steps: [{ command: "play" }, { command: "setSpeed", speed: 1.25 }],
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.body.message, /^Schedule entry saved; next run /);
+    const entry = await eventually(async () => {
+      const { entries } = await get("/schedule");
+      const found = entries.find((e) => e.label === "Start");
+      assert.ok(found.lastRun);
+      return found;
+    });
+    assert.equal(entry.lastRun.ok, true);
+    assert.equal(entry.enabled, false);
+    assert.equal((await get("/show")).state, "playing");
+    assertAll((status) => assert.equal(status.rate, 1.25));
+    await control("resetSpeed");
+    await control("stop");
+  });
+
+  it("switches entries off and on", async () => {
+    const off = await api("POST", "/schedule/missed/disable");
+    assert.equal(off.body.message, "Schedule entry off.");
+    let { entries } = await get("/schedule");
+    const missed = entries.find((e) => e.id === "missed");
+    assert.equal(missed.enabled, false);
+    assert.equal(missed.nextRunAt, null);
+    await api("POST", "/schedule/missed/enable");
+    ({ entries } = await get("/schedule"));
+    assert.equal(entries[0].id, "missed");
+    assert.ok(entries[0].nextRunAt);
+    const past = await api("POST", "/schedule/late/enable");
+    assert.equal(past.status, 409);
+    assert.match(past.body.error, /has passed\.$/);
+  });
+
+  it("checks entries before saving them", async () => {
+    const bad = await api("POST", "/schedule", {
+      cron: "0 25 * * *",
+      steps: [{ command: "play" }],
+    });
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.error, 'Invalid hour "25" in cron.');
+    const both = await api("POST", "/schedule", {
+      cron: "0 6 * * *",
+      at: "2030-01-01T06:00",
+      steps: [{ command: "play" }],
+    });
+    assert.match(both.body.error, /either "at"/);
+    const removed = await api("DELETE", "/schedule/missed");
+    assert.equal(removed.status, 200);
+    const gone = await api("DELETE", "/schedule/missed");
+    assert.equal(gone.status, 404);
+  });
+});
+
+describe("unreachable nodes", () => {
+  it("reports the node that failed and still drives the rest", async () => {
+    await slave.close();
+    const result = await control("stop");
+    assert.equal(result.message, "All players stopped. Failed on Slave.");
+    const failed = result.nodes.find((r) => r.id === "slave");
+    assert.equal(failed.ok, false);
+    assert.match(failed.error, /Slave did not accept stop/);
+    assert.equal(master.player.status().state, "stopped");
+  });
+
+  it("fails the pre-show check of a node that does not answer", async () => {
+    const res = await api("POST", "/transport/arm");
+    assert.equal(res.status, 409);
+    assert.equal(res.body.error, "Not ready: Slave (reachable).");
+    const [masterCheck, slaveCheck] = res.body.arm.nodes;
+    assert.equal(masterCheck.ok, true);
+    assert.equal(slaveCheck.ok, false);
+    assert.equal(
+      masterCheck.checks.find((c) => c.name === "lengthMatch").detail,
+      "No other node to compare with."
+    );
+    assert.equal(master.player.status().state, "paused");
+  });
+
+  it("returns a clean error when no player answers", async () => {
+    await master.close();
+    const stop = await control("stop");
+    assert.match(stop.error, /^No player responded:/);
+    assert.equal((await get("/show")).state, "error");
+    assert.equal(
+      (await control("pause")).error,
+      "Cannot pause while the show is in error."
+    );
+    assert.equal((await control("sync")).error, "All players are unreachable.");
+    assert.equal((await api("POST", "/transport/sync")).status, 502);
+  });
+});
+
+describe("rig", () => {
+  it("reports every node's agent and player", async () => {
+    const rig = await get("/rig");
+    const [master, slave] = rig.nodes;
+    assert.equal(master.agent, "online");
+    assert.equal(master.player.state, "stopped");
+    assert.equal(slave.agent, "offline");
+    assert.match(slave.error, /does not answer/);
+    assert.equal(agentRequests.at(-1).auth, "Bearer agent-token");
+  });
+
+  it("starts and stops players through their agents", async () => {
+    const started = await post("/rig/start", {});
+    const body = await started.json();
+    assert.equal(body.ok, false);
+    assert.equal(body.message, "Not ready: Slave.");
+    assert.equal(body.nodes[0].player.state, "ready");
+
+    const stopped = await post("/rig/master/stop", {});
+    assert.equal((await stopped.json()).message, "Master: player stopped");
+    assert.equal((await post("/rig/slave/start", {})).status, 502);
+    assert.equal((await post("/rig/nobody/start", {})).status, 404);
+    assert.equal((await post("/rig/master/dance", {})).status, 404);
+    assert.deepEqual(
+      agentRequests.filter((r) => r.method === "POST").map((r) => r.url),
+      ["/player/start", "/player/stop"]
+    );
+    const viewer = await post(
+      "/rig/start",
+      {},
+      (await login("guest", "guest-pw")).body.token
+    );
+    assert.equal(viewer.status, 403);
+  });
+
+  it("answers player actions in /api/v1 with status codes", async () => {
+    let res = await api("POST", "/nodes/master/player/restart");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.player.state, "ready");
+    res = await api("POST", "/nodes/slave/player/start");
+    assert.equal(res.status, 502);
+    res = await api("POST", "/nodes/nobody/player/start");
+    assert.equal(res.status, 404);
+    res = await api("POST", "/rig/start");
+    assert.equal(res.status, 502);
+    assert.equal(res.body.nodes.length, 2);
+  });
+});
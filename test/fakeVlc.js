@@ -0,0 +1,247 @@
+/*
+Fake VLC: a stand-in for VLC's HTTP interface, for the tests and for trying
+the control server without any players.
+- Serves /requests/status.json with the commands the control server sends:
+  in_enqueue, in_play, pl_next, pl_play, pl_pause, pl_stop, seek, rate,
+  fullscreen, volume, audio_track and subtitle_track. Like VLC, `time` and
+  `length` are whole seconds, `position` carries the fraction, `volume`
+  runs to 512 (256 = 100%) and the tracks are listed as "Stream N" in the
+  information.
+- With a `files` list it also serves /requests/browse.xml for the folders
+  of those files; without one, browse.xml is missing (404) as on a VLC that
+  cannot tell.
+- Playback runs on the simulated player from drivers/simulated.js against a
+  clock the tests can replace with a manual one and move forward by hand.
+- `node test/fakeVlc.js 9101 9102` starts one fake per port; they accept
+  any password. Started with VLC's own flags (--http-port 9101
+  --http-password pw, others ignored) it stands in for VLC under the node
+  agent (agent.js).
+*/
+
+const http = require("http");
+const path = require("path");
+const { createSimulatedPlayer } = require("../drivers/simulated");
+
+// A clock that only moves when told to
+function createManualClock(start = Date.now()) {
+  let current = start;
+  return {
+    now: () => current,
+    advance(ms) {
+      current += ms;
+    },
+  };
+}
+
+// Helper: Target of a VLC seek value: "90", "+10", "-10" or "50%"
+function seekTarget(val, status) {
+  const value = String(val).trim();
+  if (value.endsWith("%")) return (parseFloat(value) / 100) * status.length;
+  if (/^[+-]/.test(value)) return status.time + parseFloat(value);
+  return parseFloat(value);
+}
+
+// Helper: browse.xml for `folder`, listing the entries of `files` inside it
+function browseXml(folder, files) {
+  const escape = (text) =>
+    text.replace(/&/g, "&amp;").replace(/"/g, "&quot;").replace(/</g, "&lt;");
+  const elements = files
+    .filter((file) => path.posix.dirname(file) === folder)
+    .map((file) => {
+      const name = path.posix.basename(file);
+      return `<element type="file" path="${escape(file)}" name="${escape(
+        name
+      )}" uri="file://${escape(encodeURI(file))}" size="0"/>`;
+    });
+  return `<?xml version="1.0" encoding="utf-8" standalone="yes" ?>\n<root>\n${elements.join(
+    "\n"
+  )}\n</root>`;
+}
+
+function createFakeVlc({
+  password = null,
+  mediaLength,
+  now,
+  files = null,
+  tracks,
+} = {}) {
+  const player = createSimulatedPlayer({ mediaLength, now, tracks });
+  const queue = []; // Enqueued files, in order
+  const received = []; // Every command, for assertions
+  let current = -1;
+  let server = null;
+
+  // Switch to queue item `index`; nothing starts unless `play` is set
+  function open(index, play) {
+    if (index < 0 || index >= queue.length) return;
+    current = index;
+    player.load(queue[index]);
+    if (play) player.play();
+  }
+
+  function run(command, params) {
+    const status = player.status();
+    switch (command) {
+      case "in_enqueue":
+        queue.push(params.get("input"));
+        break;
+      case "in_play":
+        queue.push(params.get("input"));
+        open(queue.length - 1, true);
+        break;
+      case "pl_next":
+        open(current + 1, status.state === "playing");
+        break;
+      case "pl_play":
+        if (current === -1) open(0, true);
+        else player.play();
+        break;
+      case "pl_pause":
+        player.togglePause();
+        break;
+      case "pl_stop":
+        player.stop();
+        break;
+      case "seek":
+        player.seek(seekTarget(params.get("val"), status));
+        break;
+      case "rate":
+        player.setRate(parseFloat(params.get("val")));
+        break;
+      case "fullscreen":
+        player.setFullscreen(!status.fullscreen);
+        break;
+      case "volume":
+        player.setVolume(Math.round(parseFloat(params.get("val")) / 2.56));
+        break;
+      case "audio_track":
+        player.setAudioTrack(Number(params.get("val")));
+        break;
+      case "subtitle_track":
+        player.setSubtitleTrack(Number(params.get("val")));
+        break;
+      default:
+        break; // VLC ignores commands it does not know
+    }
+  }
+
+  // Helper: The "Stream N" entries of the information, as VLC lists them
+  function streams() {
+    const { audio, subtitle } = player.tracks();
+    const category = { "Stream 0": { Type: "Video", Codec: "H264" } };
+    audio.forEach((track) => {
+      category[`Stream ${track.id}`] = { Type: "Audio", Language: track.name };
+    });
+    subtitle.forEach((track) => {
+      category[`Stream ${track.id}`] = {
+        Type: "Subtitle",
+        Language: track.name,
+      };
+    });
+    return category;
+  }
+
+  // status.json as VLC reports it
+  function status() {
+    const s = player.status();
+    return {
+      state: s.state,
+      time: Math.floor(s.time),
+      length: Math.round(s.length),
+      position: s.position,
+      rate: s.rate,
+      fullscreen: s.fullscreen,
+      volume: Math.round(s.volume * 2.56),
+      currentplid: current,
+      information: s.file
+        ? {
+            category: {
+              meta: { filename: s.file.split("/").pop() },
+              ...streams(),
+            },
+          }
+        : undefined,
+    };
+  }
+
+  function authorized(req) {
+    if (password === null) return true;
+    const expected = "Basic " + Buffer.from(":" + password).toString("base64");
+    return req.headers.authorization === expected;
+  }
+
+  function handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    if (!authorized(req)) {
+      res.writeHead(401);
+      return res.end();
+    }
+    if (url.pathname === "/requests/browse.xml" && files) {
+      const uri = url.searchParams.get("uri") || "";
+      const folder = decodeURI(uri.replace(/^file:\/\//, ""));
+      res.writeHead(200, { "Content-Type": "text/xml" });
+      return res.end(browseXml(folder, files));
+    }
+    if (url.pathname !== "/requests/status.json") {
+      res.writeHead(404);
+      return res.end();
+    }
+    const command = url.searchParams.get("command");
+    if (command) {
+      received.push({ command, val: url.searchParams.get("val") });
+      run(command, url.searchParams);
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(status()));
+  }
+
+  return {
+    player,
+    received,
+    status,
+    // Replace the files browse.xml knows about (null: no browse.xml)
+    setFiles(list) {
+      files = list;
+    },
+    // Resolves with the port (0 picks a free one)
+    listen(port = 0) {
+      server = http.createServer(handle);
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, "127.0.0.1", () => resolve(server.address().port));
+      });
+    },
+    close() {
+      if (!server) return Promise.resolve();
+      const closing = server;
+      server = null;
+      return new Promise((resolve) => {
+        closing.close(() => resolve());
+        closing.closeAllConnections();
+      });
+    },
+  };
+}
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const flag = (name) => {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+  };
+  if (flag("--http-port") !== undefined) {
+    const port = Number(flag("--http-port"));
+    createFakeVlc({ password: flag("--http-password") || null })
+      .listen(port)
+      .then(() => console.log(`Fake VLC listening on port ${port}`));
+  } else {
+    const ports = args.map(Number);
+    if (ports.length === 0) ports.push(8080);
+    ports.forEach(async (port) => {
+      await createFakeVlc().listen(port);
+      console.log(`Fake VLC listening on port ${port}`);
+    });
+  }
+}
+
+module.exports = { createFakeVlc, createManualClock };
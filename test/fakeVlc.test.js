@@ -0,0 +1,69 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fetch = require("node-fetch");
+const { createFakeVlc, createManualClock } = require("./fakeVlc");
+
+describe("fake VLC", () => {
+  const clock = createManualClock();
+  const vlc = createFakeVlc({ password: "secret", now: clock.now });
+  let statusUrl;
+
+  const auth = {
+    Authorization: "Basic " + Buffer.from(":secret").toString("base64"),
+  };
+  async function command(name, params = {}) {
+    const query = new URLSearchParams({ command: name, ...params });
+    const res = await fetch(`${statusUrl}?${query}`, { headers: auth });
+    return res.json();
+  }
+
+  before(async () => {
+    const port = await vlc.listen();
+    statusUrl = `http://127.0.0.1:${port}/requests/status.json`;
+  });
+  after(() => vlc.close());
+
+  it("rejects requests without the password", async () => {
+    const res = await fetch(statusUrl);
+    assert.equal(res.status, 401);
+  });
+
+  it("loads an enqueued file with pl_next without starting it", async () => {
+    await command("in_enqueue", { input: "/media/a.mp4" });
+    const status = await command("pl_next");
+    assert.equal(status.state, "paused");
+    assert.equal(status.time, 0);
+    assert.equal(status.information.category.meta.filename, "a.mp4");
+  });
+
+  it("plays against the simulated clock", async () => {
+    await command("pl_play");
+    clock.advance(2500);
+    const status = await command("rate", { val: "2" });
+    assert.equal(status.state, "playing");
+    assert.equal(status.time, 2); // Whole seconds, like VLC
+    clock.advance(1000);
+    assert.equal(vlc.player.status().time, 4.5);
+  });
+
+  it("seeks to absolute, relative and percent positions", async () => {
+    assert.equal((await command("seek", { val: "60" })).time, 60);
+    assert.equal((await command("seek", { val: "+10" })).time, 70);
+    assert.equal((await command("seek", { val: "-20" })).time, 50);
+    assert.equal((await command("seek", { val: "50%" })).time, 150);
+  });
+
+  it("toggles pause and fullscreen", async () => {
+    assert.equal((await command("pl_pause")).state, "paused");
+    assert.equal((await command("pl_pause")).state, "playing");
+    assert.equal((await command("fullscreen")).fullscreen, true);
+    assert.equal((await command("fullscreen")).fullscreen, false);
+  });
+
+  it("stops at the end of the media", async () => {
+    clock.advance(200 * 1000);
+    const status = await command("pl_stop");
+    assert.equal(status.state, "stopped");
+    assert.deepEqual(vlc.received.map((r) => r.command).slice(-1), ["pl_stop"]);
+  });
+});
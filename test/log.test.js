@@ -0,0 +1,88 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  logAction,
+  logDebug,
+  logWarn,
+  logError,
+  withLogContext,
+  configureLogging,
+  readLogs,
+} = require("../log");
+
+describe("log", () => {
+  let dir;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "parallelplay-log-"));
+    configureLogging({ dir, level: "info", maxFileBytes: 2000, maxFiles: 2 });
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("writes JSON lines with level, message and fields", async () => {
+    logAction("Players loaded", { node: "master", durationMs: 12 });
+    const [entry] = await readLogs();
+    assert.equal(entry.level, "info");
+    assert.equal(entry.message, "Players loaded");
+    assert.equal(entry.node, "master");
+    assert.equal(entry.durationMs, 12);
+    assert.ok(Date.parse(entry.time));
+  });
+
+  it("skips entries below the configured level", async () => {
+    logDebug("status poll");
+    const entries = await readLogs({ level: "debug" });
+    assert.ok(entries.every((entry) => entry.message !== "status poll"));
+  });
+
+  it("adds the request context to everything logged inside it", async () => {
+    await withLogContext({ requestId: "abc123", command: "sync" }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      logWarn("Slave is degraded", { node: "slave" });
+    });
+    const [entry] = await readLogs({ requestId: "abc123" });
+    assert.equal(entry.command, "sync");
+    assert.equal(entry.node, "slave");
+  });
+
+  it("filters by level, node, command and time range", async () => {
+    logError("seek error", { node: "slave" });
+    assert.deepEqual(
+      (await readLogs({ level: "warn" })).map((entry) => entry.level),
+      ["warn", "error"]
+    );
+    assert.equal((await readLogs({ node: "slave" })).length, 2);
+    assert.equal((await readLogs({ command: "sync" })).length, 1);
+    const future = new Date(Date.now() + 60000).toISOString();
+    assert.equal((await readLogs({ since: future })).length, 0);
+    assert.equal((await readLogs({ until: "0" })).length, 0);
+    assert.equal((await readLogs({ limit: 1 }))[0].message, "seek error");
+  });
+
+  it("rejects unknown levels and bad times", async () => {
+    await assert.rejects(readLogs({ level: "loud" }), /Unknown log level/);
+    await assert.rejects(readLogs({ since: "yesterday" }), /Invalid since/);
+  });
+
+  it("rotates by size and keeps a fixed number of old files", async () => {
+    for (let i = 0; i < 100; i++) {
+      logAction(`Line ${i}`, { padding: "x".repeat(50) });
+    }
+    await readLogs();
+    const files = fs.readdirSync(dir).sort();
+    assert.deepEqual(files, [
+      "control.1.jsonl",
+      "control.2.jsonl",
+      "control.jsonl",
+    ]);
+    files.forEach((file) => {
+      assert.ok(fs.statSync(path.join(dir, file)).size <= 2000);
+    });
+    const entries = await readLogs({ limit: 0 });
+    assert.equal(entries[entries.length - 1].message, "Line 99");
+    assert.ok(entries.length < 100); // The oldest lines were dropped
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { decodePacket, encodeMessage, toCommand } = require("../osc");
+
+// Helper: An OSC bundle of `messages` (encoded messages)
+function bundle(messages) {
+  const timeTag = Buffer.alloc(8);
+  timeTag.writeUInt32BE(1, 4); // "Immediately"
+  return Buffer.concat([
+    Buffer.from("#bundle\0"),
+    timeTag,
+    ...messages.flatMap((message) => {
+      const size = Buffer.alloc(4);
+      size.writeInt32BE(message.length);
+      return [size, message];
+    }),
+  ]);
+}
+
+describe("osc", () => {
+  it("encodes and decodes messages", () => {
+    const buffer = encodeMessage("/parallelplay/item", [
+      { int: 3 },
+      "Main Show",
+      1.5,
+      true,
+    ]);
+    assert.equal(buffer.length % 4, 0);
+    assert.deepEqual(decodePacket(buffer), [
+      { address: "/parallelplay/item", args: [3, "Main Show", 1.5, true] },
+    ]);
+  });
+
+  it("decodes every message in a bundle", () => {
+    const messages = decodePacket(
+      bundle([
+        encodeMessage("/parallelplay/stop"),
+        encodeMessage("/parallelplay/seek", [{ int: 90 }]),
+      ])
+    );
+    assert.deepEqual(messages, [
+      { address: "/parallelplay/stop", args: [] },
+      { address: "/parallelplay/seek", args: [90] },
+    ]);
+  });
+
+  it("rejects packets that are not OSC", () => {
+    assert.throws(
+      () => decodePacket(Buffer.from("play\0\0\0\0")),
+      /Not an OSC/
+    );
+    assert.throws(
+      () => decodePacket(encodeMessage("/x").subarray(0, 2)),
+      /Unterminated/
+    );
+  });
+
+  it("maps addresses to /control commands", () => {
+    assert.deepEqual(toCommand("/parallelplay/seek", [90]), {
+      command: "seek",
+      seekValue: "90",
+    });
+    assert.deepEqual(toCommand("/parallelplay/speed", [1.05]), {
+      command: "setSpeed",
+      speed: 1.05,
+    });
+    assert.deepEqual(toCommand("/parallelplay/goto", [2]), {
+      command: "jumpTo",
+      index: 1,
+    });
+    assert.deepEqual(toCommand("/parallelplay/play", [1]), { command: "play" });
+    assert.equal(toCommand("/parallelplay/play", [0]), null); // Button release
+    assert.equal(toCommand("/lights/go", []), null);
+    assert.deepEqual(toCommand("/parallelplay/seek", ["00:01:30:12"]), {
+      command: "seek",
+      seekValue: "00:01:30:12",
+    });
+    assert.throws(
+      () => toCommand("/parallelplay/seek", []),
+      /needs the seconds as a number/
+    );
+  });
+});
@@ -0,0 +1,46 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseCron, nextCronTime } = require("../schedule");
+
+// Helper: The next time `expression` is due after `date`, as a local Date
+function next(expression, date) {
+  return new Date(nextCronTime(parseCron(expression), date.getTime()));
+}
+
+describe("schedule", () => {
+  it("finds the next run of a daily entry", () => {
+    const morning = new Date(2026, 9, 19, 5, 30);
+    assert.deepEqual(next("0 6 * * *", morning), new Date(2026, 9, 19, 6, 0));
+    const later = new Date(2026, 9, 19, 6, 0);
+    assert.deepEqual(next("0 6 * * *", later), new Date(2026, 9, 20, 6, 0));
+    assert.deepEqual(next("@daily", later), new Date(2026, 9, 20, 0, 0));
+  });
+
+  it("reads lists, ranges and steps", () => {
+    const monday = new Date(2026, 9, 19, 7, 31); // A Monday
+    assert.deepEqual(
+      next("30 7 * * 6,0", monday),
+      new Date(2026, 9, 24, 7, 30)
+    );
+    assert.deepEqual(
+      next("*/15 7-8 * * 1-5", monday),
+      new Date(2026, 9, 19, 7, 45)
+    );
+    assert.deepEqual(next("0 6 * * 7", monday), new Date(2026, 9, 25, 6, 0));
+  });
+
+  it("matches either day field when both are given, like cron", () => {
+    const start = new Date(2026, 9, 19, 12, 0);
+    // The 1st of the month or any Friday, whichever comes first
+    assert.deepEqual(next("0 6 1 * 5", start), new Date(2026, 9, 23, 6, 0));
+    assert.deepEqual(next("0 6 29 2 *", start), new Date(2028, 1, 29, 6, 0));
+    assert.equal(nextCronTime(parseCron("0 6 31 2 *"), start.getTime()), null);
+  });
+
+  it("rejects what is not cron", () => {
+    assert.throws(() => parseCron("0 6 * *"), /Invalid cron "0 6 \* \*"/);
+    assert.throws(() => parseCron("0 24 * * *"), /Invalid hour "24"/);
+    assert.throws(() => parseCron("*/0 * * * *"), /Invalid minute/);
+    assert.throws(() => parseCron("0 6 * * mon"), /Invalid day of week/);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createSupervisor } = require("../supervisor");
+
+// Stands in for control.js: reports ready, then crashes if CRASH_AFTER_MS is
+// set, otherwise stays up until it is killed
+const SERVER = `
+process.send({ type: "listening", port: 3999 });
+const crashAfter = Number(process.env.CRASH_AFTER_MS);
+if (crashAfter) setTimeout(() => process.exit(3), crashAfter);
+else setInterval(() => {}, 1000);
+`;
+
+describe("supervisor", () => {
+  let dir;
+  let script;
+
+  // Helper: Resolve with the first status that passes `test`
+  function waitFor(supervisor, test) {
+    return new Promise((resolve) => {
+      if (test(supervisor.getStatus())) return resolve(supervisor.getStatus());
+      const unsubscribe = supervisor.subscribe((status) => {
+        if (!test(status)) return;
+        unsubscribe();
+        resolve(status);
+      });
+    });
+  }
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "parallelplay-supervisor-"));
+    script = path.join(dir, "server.js");
+    fs.writeFileSync(script, SERVER);
+  });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it("starts the server and reports it running on its port", async () => {
+    const supervisor = createSupervisor({ script, env: {} });
+    supervisor.start();
+    assert.equal(supervisor.getStatus().state, "starting");
+    const status = await waitFor(supervisor, (s) => s.state === "running");
+    assert.equal(status.port, 3999);
+    assert.ok(status.pid);
+    await supervisor.stop();
+    assert.equal(supervisor.getStatus().state, "stopped");
+    assert.equal(supervisor.getStatus().restarts, 0);
+  });
+
+  it("restarts a crashed server, waiting longer after each crash", async () => {
+    const supervisor = createSupervisor({
+      script,
+      env: { CRASH_AFTER_MS: "10" },
+      restartDelayMs: 20,
+      maxRestartDelayMs: 30,
+    });
+    const delays = [];
+    supervisor.subscribe((status) => {
+      if (status.state !== "restarting") return;
+      delays.push(
+        Date.parse(status.nextStartAt) - Date.parse(status.lastExit.at)
+      );
+    });
+    supervisor.start();
+    const status = await waitFor(supervisor, (s) => s.restarts === 3);
+    assert.equal(status.lastExit.code, 3);
+    await supervisor.stop();
+    assert.equal(supervisor.getStatus().state, "stopped");
+    // 20, 40 capped at 30, 30 (give or take a millisecond of clock)
+    assert.deepEqual(
+      delays.map((delay) => Math.round(delay / 10) * 10),
+      [20, 30, 30]
+    );
+  });
+
+  it("keeps a stopped server down", async () => {
+    const supervisor = createSupervisor({
+      script,
+      env: {},
+      restartDelayMs: 10,
+    });
+    supervisor.start();
+    await waitFor(supervisor, (s) => s.state === "running");
+    await supervisor.stop();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(supervisor.getStatus().state, "stopped");
+    assert.equal(supervisor.getStatus().pid, null);
+  });
+});
@@ -0,0 +1,39 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { parseTimecode, formatTimecode } = require("../timecode");
+
+describe("timecode", () => {
+  it("reads seconds, clock times and frames", () => {
+    assert.equal(parseTimecode(12.5, 25), 12.5);
+    assert.equal(parseTimecode("90.25", 25), 90.25);
+    assert.equal(parseTimecode("01:30", 25), 90);
+    assert.equal(parseTimecode("90:00", 25), 5400);
+    assert.equal(parseTimecode("00:59.5", 25), 59.5);
+    assert.equal(parseTimecode("01:00:02.5", 25), 3602.5);
+    assert.equal(parseTimecode("00:01:30:12", 25), 90.48);
+    assert.equal(parseTimecode("00:00:01;15", 30), 1.5);
+  });
+
+  it("counts 29.97 fps like non-drop timecode", () => {
+    assert.equal(parseTimecode("00:00:01:00", 29.97), 30 / 29.97);
+    assert.equal(formatTimecode(30 / 29.97, 29.97), "00:00:01:00");
+    assert.equal(formatTimecode(29 / 29.97, 29.97), "00:00:00:29");
+  });
+
+  it("rejects frames past the frame rate and other text", () => {
+    assert.throws(() => parseTimecode("00:00:01:25", 25), /out of range/);
+    assert.throws(() => parseTimecode("00:61:00:00", 25), /out of range/);
+    assert.throws(() => parseTimecode("12:75", 25), /Time "12:75" is out/);
+    assert.throws(() => parseTimecode("01:60:00", 25), /out of range/);
+    assert.throws(() => parseTimecode("00:59.5:00", 25), /Invalid time/);
+    assert.throws(() => parseTimecode("soon", 25), /Invalid time "soon"/);
+    assert.throws(() => parseTimecode(-1, 25), /Invalid time/);
+  });
+
+  it("shows the frame on screen", () => {
+    assert.equal(formatTimecode(0, 25), "00:00:00:00");
+    assert.equal(formatTimecode(90.48, 25), "00:01:30:12");
+    assert.equal(formatTimecode(3723.999, 25), "01:02:03:24");
+    assert.equal(formatTimecode(42.4, 24), "00:00:42:09");
+  });
+});
@@ -0,0 +1,77 @@
+/*
+Timecode: SMPTE-style HH:MM:SS:FF positions, for seeking to a frame and for
+showing where the show is.
+- Frames count from 0 to the rounded frame rate minus one (0-24 at 25 fps,
+  0-29 at 29.97), so 29.97 material is counted like non-drop timecode:
+  the seconds of a timecode are its frame count divided by the real rate.
+- ";" before the frames (drop-frame notation) is read like ":".
+- Positions may also be given as seconds ("90.5"), "MM:SS" or "HH:MM:SS",
+  with or without a fraction; minutes and seconds after the first field
+  must be below 60.
+*/
+
+const TIMECODE = /^(\d+):(\d{1,2}):(\d{1,2})[:;](\d{1,2})$/;
+const CLOCK = /^(\d+:)?\d+:\d{1,2}(\.\d+)?$/;
+const SECONDS = /^\d+(\.\d+)?$/;
+
+// Helper: Frames per second as the frame numbers count them
+function frameBase(frameRate) {
+  return Math.max(1, Math.round(frameRate));
+}
+
+// Seconds from a number, seconds as text, "MM:SS", "HH:MM:SS" or
+// "HH:MM:SS:FF" at `frameRate`; throws on anything else
+function parseTimecode(value, frameRate) {
+  if (typeof value === "number" && Number.isFinite(value) && value >= 0) {
+    return value;
+  }
+  const text = String(value).trim();
+  if (SECONDS.test(text)) return Number(text);
+  if (CLOCK.test(text)) {
+    const parts = text.split(":").map(Number);
+    // Only the first field may run past 59: "90:00" is 90 minutes
+    if (parts.slice(1).some((part) => part >= 60)) {
+      throw new Error(`Time "${value}" is out of range.`);
+    }
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+  const match = TIMECODE.exec(text);
+  if (match) {
+    const [hours, minutes, seconds, frames] = match.slice(1).map(Number);
+    const base = frameBase(frameRate);
+    if (minutes > 59 || seconds > 59 || frames >= base) {
+      throw new Error(
+        `Timecode "${value}" is out of range at ${frameRate} fps.`
+      );
+    }
+    const count = ((hours * 60 + minutes) * 60 + seconds) * base + frames;
+    return count / frameRate;
+  }
+  throw new Error(
+    `Invalid time "${value}". Use seconds, HH:MM:SS or HH:MM:SS:FF.`
+  );
+}
+
+// HH:MM:SS:FF for `seconds` at `frameRate`, on the frame being shown
+function formatTimecode(seconds, frameRate) {
+  const base = frameBase(frameRate);
+  // The small margin keeps float noise from dropping a frame
+  const count = Math.floor(Math.max(0, seconds || 0) * frameRate + 1e-6);
+  const frames = count % base;
+  const total = Math.floor(count / base);
+  return [
+    Math.floor(total / 3600),
+    Math.floor(total / 60) % 60,
+    total % 60,
+    frames,
+  ]
+    .map((part) => String(part).padStart(2, "0"))
+    .join(":");
+}
+
+// Seconds rounded to the millisecond, for messages: 42.4000001 -> 42.4
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = { parseTimecode, formatTimecode, roundSeconds };